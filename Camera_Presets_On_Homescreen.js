@@ -50,7 +50,553 @@ const config = {
      * @type {boolean}
      * @defaultValue true
      */
-    MainSourceSetOnCameraRampStop: true
+    MainSourceSetOnCameraRampStop: true,
+    /** Separates Camera Presets into a section per camera when presets from more than 1 camera are available
+     * 
+     * Label each section under ```UserInterface.Panel.Text.Page.CameraGroups```
+     * @type {boolean}
+     * @defaultValue true
+     */
+    GroupPresetsByCamera: true,
+    /** Reads tags in Camera Preset Names to organize the Camera Preset menu
+     * 
+     * - ```[Section]``` places the preset under a section of the same name
+     * - ```#n``` sets the preset's sort order, lowest first
+     * - A leading ```_``` hides the preset from the Camera Preset menu
+     * 
+     * ex: ```#1 [Stage] Lectern```
+     * @type {boolean}
+     * @defaultValue true
+     */
+    PresetNameTags: true,
+    /** Watches the Main Video Source and tracking status, and corrects the Panel selection whenever it no longer matches what's live
+     * 
+     * A selection that isn't live is replaced by the live tracking feature or Camera Preset, or cleared if nothing shown in the Panel is live
+     * @type {boolean}
+     * @defaultValue true
+     */
+    ReconcileSelection: true
+  },
+  /** Governs the ```PresetLayout```, how Camera Presets are ordered, labelled and paged in the Camera Preset Panel
+   * 
+   * Favorites, labels and order set from the Admin page are saved to the Storage Macro and take priority over ```Metadata```
+   */
+  PresetLayout: {
+    /** The number of columns each group of Camera Presets is shown in, from 1 to 4
+     * @type {number}
+     * @defaultValue 1
+     */
+    Columns: 1,
+    /** The number of Camera Presets shown per page. Once a room has more, the rest move to More pages
+     * 
+     * Set to 0 to show every preset on the Camera Preset List page
+     * @type {number}
+     * @defaultValue 0
+     */
+    PageSize: 0,
+    /** Display options keyed by PresetId
+     * 
+     * - ```Favorite```: Pins the preset to the top of the list, under ```Text.Page.Favorites```
+     * - ```Label```: Shown in place of the preset name, the name is still used to select the preset by name
+     * - ```Order```: The preset's sort order, lowest first. Takes priority over the ```#n``` name tag
+     * 
+     * ex: ```{ 2: { Favorite: true }, 5: { Label: 'Panel Discussion', Order: 1 } }```
+     * @type {object}
+     * @defaultValue {}
+     */
+    Metadata: {}
+  },
+  /** Governs the ```Schedule``` rules, used to select a Camera Preset or Tracking mode by time of day and date
+   */
+  Schedule: {
+    /** Enables the Schedule rules
+     * @type {boolean}
+     * @defaultValue false
+     */
+    Enabled: false,
+    /** Apply the active rule when a call connects, in place of the Default Camera Preset
+     * @type {boolean}
+     * @defaultValue true
+     */
+    ApplyOnCallConnect: true,
+    /** Apply a rule's selection as soon as its time window starts
+     * @type {boolean}
+     * @defaultValue true
+     */
+    ApplyAtRuleStart: true,
+    /** Rules are checked in order, the first active rule is used
+     * 
+     * - ```Name```: Used for logging
+     * - ```Days```: Any of ```'Sun'```, ```'Mon'```, ```'Tue'```, ```'Wed'```, ```'Thu'```, ```'Fri'``` or ```'Sat'```. Every day when left out
+     * - ```Dates```: ```'YYYY-MM-DD'``` dates the rule is limited to [Optional]
+     * - ```ExcludeDates```: ```'YYYY-MM-DD'``` dates the rule is skipped on [Optional]
+     * - ```Start``` and ```End```: ```'HH:MM'``` in 24 hour time. An End earlier than Start spans midnight
+     * - ```Selection```: ```{ Preset: 'Lectern' }```, ```{ PresetId: 3 }```, ```{ Tracking: 'Frames' }``` or ```{ DefaultPreset: true }```
+     * 
+     * ex: ```{ Name: 'Lectures', Days: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'], Start: '08:00', End: '12:00', Selection: { Preset: 'Lectern' } }```
+     * @type {object[]}
+     * @defaultValue []
+     */
+    Rules: []
+  },
+  /** Governs ```CallPolicies```, used to select a Camera Preset or Tracking mode for the call that connects and to reset the camera once calls end
+   */
+  CallPolicies: {
+    /** Enables the Call Policies
+     * @type {boolean}
+     * @defaultValue false
+     */
+    Enabled: false,
+    /** Policies are checked in order when a call connects, the first matching policy is used
+     * 
+     * Every condition left out matches any call
+     * 
+     * - ```Name```: Used for logging
+     * - ```Direction```: ```'Incoming'``` or ```'Outgoing'```
+     * - ```CallType```: ex: ```'Video'``` or ```'Audio'```
+     * - ```Protocol```: ex: ```'SIP'```, ```'H323'``` or ```'Spark'```
+     * - ```RemoteURI```: A regular expression tested against the remote number and callback number of the call. A policy with an invalid expression is reported as a config problem and never matches
+     * - ```Selection```: ```{ Preset: 'Lectern' }```, ```{ PresetId: 3 }```, ```{ Tracking: 'Frames' }``` or ```{ DefaultPreset: true }```
+     * 
+     * ex: ```{ Name: 'Broadcast Studio', RemoteURI: '^studio@example\\.com$', Selection: { Preset: 'Lectern' } }```
+     * 
+     * Calls without a matching policy fall back to the Schedule and then to ```Features.OnCallSetDefaultPreset```
+     * @type {object[]}
+     * @defaultValue []
+     */
+    Policies: [],
+    /** What to do once the last call disconnects
+     * 
+     * - ```'None'```: Leave the camera as is
+     * - ```'Restore'```: Return to the selection that was live before the first call connected
+     * - ```'Park'```: Apply the ```ParkSelection```, such as a privacy preset
+     * @type {string}
+     * @defaultValue 'None'
+     */
+    OnDisconnect: 'None',
+    /** The selection used when ```OnDisconnect``` is ```'Park'```
+     * @type {object}
+     * @defaultValue { Preset: 'Privacy' }
+     */
+    ParkSelection: { Preset: 'Privacy' }
+  },
+  /** Governs ```FarEndControl```, a Far End section in the Camera Preset Panel to steer the remote room's camera during calls
+   * 
+   * The section is only shown while a connected call allows Far End Camera Control
+   */
+  FarEndControl: {
+    /** Enables the Far End section
+     * @type {boolean}
+     * @defaultValue false
+     */
+    Enabled: false,
+    /** The remote room presets to offer, each with a ```PresetId``` from 1 to 15 and a ```Name```
+     * 
+     * Leave empty to offer every preset the far end reports, labelled by number
+     * 
+     * ex: ```[{ PresetId: 1, Name: 'Stage' }, { PresetId: 2, Name: 'Audience' }]```
+     * @type {object[]}
+     * @defaultValue []
+     */
+    Presets: [],
+    /** Adds a pan, tilt and zoom pad for the remote room's camera
+     * @type {boolean}
+     * @defaultValue true
+     */
+    ShowPad: true
+  },
+  /** Governs ```PeerSync```, which mirrors Camera Preset, Composite and tracking selections to linked codecs, such as the codecs of a combinable room
+   * 
+   * Every peer runs this macro with the same ```Group```. Selections are only mirrored while the rooms are Combined
+   * 
+   * Peers receive selections through ```xCommand Message Send```, posted to their ```/putxml``` endpoint with ```xCommand HttpClient Post```. ```xConfiguration HttpClient Mode``` must be ```On```
+   * 
+   * The shared ```Secret``` and each peer's ```Credentials``` are kept in the Storage Macro, not in this config. Peer Sync stays off until a ```Secret``` is set there
+   */
+  PeerSync: {
+    /** Enables Peer Sync
+     * @type {boolean}
+     * @defaultValue false
+     */
+    Enabled: false,
+    /** Shared by every codec that syncs together. Messages from other groups are ignored
+     * @type {string}
+     * @defaultValue 'camPresets'
+     */
+    Group: 'camPresets',
+    /** The codecs to mirror selections to
+     * 
+     * - ```Name```: Used for logging and to find the peer's Credentials in the Storage Macro
+     * - ```Url```: The peer's putxml endpoint, ex: ```'https://10.1.1.20/putxml'```. An ```http://``` Url needs ```xConfiguration HttpClient AllowHTTP: True```
+     * 
+     * ex: ```[{ Name: 'Room B', Url: 'https://10.1.1.20/putxml' }]```
+     * @type {object[]}
+     * @defaultValue []
+     */
+    Peers: [],
+    /** How a mirrored Camera Preset is found on the peer, ```'Name'``` or ```'Id'```
+     * @type {string}
+     * @defaultValue 'Name'
+     */
+    MatchPresetsBy: 'Name',
+    /** The state used when the macro starts, ```'Combined'``` or ```'Split'```. The last state is kept instead when ```Persistence``` is enabled
+     * @type {string}
+     * @defaultValue 'Split'
+     */
+    DefaultState: 'Split',
+    /** Adds a Combined toggle to the Camera Preset Panel. The state is also set on every peer
+     * @type {boolean}
+     * @defaultValue true
+     */
+    ShowStateSwitch: true,
+    /** Allows peers with self-signed certificates
+     * @type {boolean}
+     * @defaultValue false
+     */
+    AllowInsecureHTTPS: false,
+    /** Seconds to wait for a peer to respond
+     * @type {number}
+     * @defaultValue 5
+     */
+    Timeout: 5
+  },
+  /** Governs the ```RoomReset```, which returns the camera to a known state once the room empties, is left in Manual or goes to sleep
+   */
+  RoomReset: {
+    /** Enables the Room Reset
+     * @type {boolean}
+     * @defaultValue false
+     */
+    Enabled: false,
+    /** The selection applied on reset. ```{ DefaultPreset: true }```, ```{ Tracking: 'Speaker' }```, ```{ Preset: 'Privacy' }``` or ```{ PresetId: 3 }```
+     * @type {object}
+     * @defaultValue { DefaultPreset: true }
+     */
+    Selection: { DefaultPreset: true },
+    /** Resets once RoomAnalytics reports the room as empty for ```PeopleLeaveDelay``` seconds
+     * 
+     * The delay starts when the room empties, or after a selection or call ends while it's empty. A room that's already empty when the macro starts isn't reset until one of those happens
+     * 
+     * Requires RoomAnalytics PeoplePresenceDetector or PeopleCountOutOfCall to be enabled on the device
+     * @type {boolean}
+     * @defaultValue true
+     */
+    OnPeopleLeave: true,
+    /** Seconds the room must stay empty before resetting
+     * @type {number}
+     * @defaultValue 120
+     */
+    PeopleLeaveDelay: 120,
+    /** Minutes the camera may stay in Manual after the last camera move before resetting. Set to 0 to disable
+     * @type {number}
+     * @defaultValue 10
+     */
+    ManualIdleTimeout: 10,
+    /** Resets when the device enters Standby
+     * @type {boolean}
+     * @defaultValue true
+     */
+    OnStandby: true,
+    /** Resets when the device enters Halfwake
+     * @type {boolean}
+     * @defaultValue false
+     */
+    OnHalfwake: false,
+    /** Skips any reset while a call is active
+     * @type {boolean}
+     * @defaultValue true
+     */
+    SkipDuringCalls: true
+  },
+  /** Governs the ```PresentationRules```, which switch the camera while content is shared
+   */
+  PresentationRules: {
+    /** Enables the Presentation Rules
+     * @type {boolean}
+     * @defaultValue false
+     */
+    Enabled: false,
+    /** Rules are checked in order when a presentation starts or changes source, and for a presentation already shared when the macro starts. The first matching rule is used
+     * 
+     * - ```Name```: Used for logging
+     * - ```Source```: The presentation source to match, such as the document camera or whiteboard input. Left out, it matches any source
+     * - ```Selection```: ```{ Preset: 'Audience' }```, ```{ PresetId: 3 }```, ```{ Tracking: 'Frames' }``` or ```{ DefaultPreset: true }```
+     * 
+     * ex: ```[{ Name: 'Document Camera', Source: 3, Selection: { Preset: 'Whiteboard' } }, { Name: 'Any Share', Selection: { Preset: 'Audience' } }]```
+     * @type {object[]}
+     * @defaultValue []
+     */
+    Rules: [],
+    /** Returns to the selection that was live before the presentation once sharing stops, or the source no longer matches a rule
+     * @type {boolean}
+     * @defaultValue true
+     */
+    RestoreOnStop: true
+  },
+  /** Governs the preset ```Tour```, which cycles through a list of Camera Presets until another selection is made or the camera is moved manually
+   */
+  Tour: {
+    /** Adds a Tour option to the Camera Preset menu when at least 1 Stop is configured
+     * @type {boolean}
+     * @defaultValue false
+     */
+    Enabled: false,
+    /** The Camera Presets to visit, in order. The Tour loops back to the first Stop after the last
+     * 
+     * - ```Preset``` or ```PresetId```: The Camera Preset to activate
+     * - ```Dwell```: Seconds to stay on the Camera Preset once the camera stops
+     * 
+     * ex: ```[{ Preset: 'Lectern', Dwell: 30 }, { Preset: 'Audience', Dwell: 15 }]```
+     * @type {object[]}
+     * @defaultValue []
+     */
+    Stops: []
+  },
+  /** Governs ```Composites```, Panel entries that activate Camera Presets on 2 or more cameras together and compose those cameras into the main source
+   */
+  Composites: {
+    /** Adds the Composites to the Camera Preset menu
+     * @type {boolean}
+     * @defaultValue false
+     */
+    Enabled: false,
+    /** The layout used when an entry doesn't set its own. ```'Equal'``` places the cameras side by side, ```'PIP'``` shows the first camera with the others picture in picture
+     * @type {string}
+     * @defaultValue 'Equal'
+     */
+    Layout: 'Equal',
+    /** The Composite entries, shown in order
+     * 
+     * - ```Name```: Shown in the Panel
+     * - ```Presets```: ```{ Preset: 'Wide' }``` or ```{ PresetId: 2 }``` for each camera, in the order they are composed. Each Camera Preset must be on a different camera
+     * - ```Layout```: Overrides ```Composites.Layout``` [Optional]
+     * 
+     * ex: ```{ Name: 'Panel Discussion', Presets: [{ Preset: 'Wide' }, { Preset: 'Q&A' }], Layout: 'PIP' }```
+     * @type {object[]}
+     * @defaultValue []
+     */
+    Entries: []
+  },
+  /** Governs the ```MacroApi```, used by other macros to control this macro and follow its selection over ```xCommand Message Send```
+   * 
+   * See the readme for the full command and response protocol
+   */
+  MacroApi: {
+    /** Accept commands from other macros
+     * @type {boolean}
+     * @defaultValue true
+     */
+    Enabled: true,
+    /** Send an Event message to other macros each time the selection changes
+     * @type {boolean}
+     * @defaultValue true
+     */
+    BroadcastSelection: true,
+    /** The value of the ```Macro``` key this macro answers to
+     * @type {string}
+     * @defaultValue 'camPresets'
+     */
+    Id: 'camPresets'
+  },
+  /** Governs the ```Webhook``` notifier, which posts a JSON event to an HTTP receiver each time a preset or tracking mode is activated, or the camera is moved manually
+   * 
+   * Requires ```xConfiguration HttpClient Mode: On```
+   */
+  Webhook: {
+    /** Enables the Webhook notifier
+     * @type {boolean}
+     * @defaultValue false
+     */
+    Enabled: false,
+    /** The URL events are posted to
+     * @type {string}
+     * @defaultValue ''
+     */
+    Url: '',
+    /** Additional request headers, ex: ```['Authorization: Bearer abc123']```
+     * @type {string[]}
+     * @defaultValue []
+     */
+    Headers: [],
+    /** Allow posting to HTTPS receivers with self signed or otherwise untrusted certificates
+     * @type {boolean}
+     * @defaultValue false
+     */
+    AllowInsecureHTTPS: false,
+    /** Milliseconds to wait before the first retry, doubling after each failed attempt up to ```MaxRetryDelay```
+     * @type {number}
+     * @defaultValue 2000
+     */
+    RetryDelay: 2000,
+    /** The longest wait between retries, in milliseconds. Events are retried until they're delivered
+     * @type {number}
+     * @defaultValue 60000
+     */
+    MaxRetryDelay: 60000,
+    /** Events held while the receiver is unreachable. Once full, the oldest events are dropped first
+     * @type {number}
+     * @defaultValue 100
+     */
+    QueueLength: 100,
+    /** Seconds to wait on each request
+     * @type {number}
+     * @defaultValue 10
+     */
+    Timeout: 10
+  },
+  /** Governs ```Persistence``` of the last selection, so it can be restored after a macro restart or codec reboot
+   */
+  Persistence: {
+    /** Save the last selection to the Storage Macro
+     * @type {boolean}
+     * @defaultValue true
+     */
+    Enabled: true,
+    /** The macro used to store data for this macro. It's created for you and is never activated
+     * 
+     * If it can't be read, it's left as is and nothing is saved until the macro restarts
+     * @type {string}
+     * @defaultValue 'Camera_Presets_Memory'
+     */
+    StorageMacro: 'Camera_Presets_Memory',
+    /** What to do with the saved selection when the macro starts
+     * 
+     * - ```'Show'```: Show the saved selection if the camera is still on that preset or tracking mode
+     * - ```'Reapply'```: Show the saved selection if it's still live, otherwise activate it again
+     * - ```'None'```: Start with no selection
+     * @type {string}
+     * @defaultValue 'Show'
+     */
+    OnStartup: 'Show'
+  },
+  /** Governs preset usage ```Analytics```, shown on the Admin page
+   */
+  Analytics: {
+    /** Count activations, live time and manual overrides for each preset and tracking mode, saved to the Storage Macro
+     * 
+     * Live time is saved each minute while a selection stays live, so a restart loses at most a minute of it
+     * @type {boolean}
+     * @defaultValue true
+     */
+    Enabled: true
+  },
+  /** Governs ```VoiceFollow```, which switches Camera Presets based on which microphone zone is active
+   * 
+   * Intended for rooms without SpeakerTrack. Adds a Voice option to the Camera Preset menu when at least 1 Zone is configured
+   */
+  VoiceFollow: {
+    /** Enables Voice Follow
+     * @type {boolean}
+     * @defaultValue false
+     */
+    Enabled: false,
+    /** Microphone zones and the Camera Preset used for each
+     * 
+     * - ```Name```: Used for logging
+     * - ```ConnectorType```: ```'Microphone'``` or ```'Ethernet'```
+     * - ```ConnectorId```: The audio input connector
+     * - ```SubId```: The Ethernet microphone channel [Optional, Ethernet only. Every channel when left out]
+     * - ```Preset``` or ```PresetId```: The Camera Preset to activate when this zone is the only active zone
+     * 
+     * ex: ```{ Name: 'Lectern', ConnectorType: 'Microphone', ConnectorId: 1, Preset: 'Lectern' }```
+     * @type {object[]}
+     * @defaultValue []
+     */
+    Zones: [],
+    /** The Camera Preset used when several zones are active, or the room is silent. ```{ Preset: 'Wide' }``` or ```{ PresetId: 1 }```
+     * @type {object}
+     * @defaultValue { Preset: 'Wide' }
+     */
+    OverviewSelection: { Preset: 'Wide' },
+    /** The VuMeter level a zone must reach to become active
+     * @type {number}
+     * @defaultValue 30
+     */
+    ActivationLevel: 30,
+    /** How far below the ActivationLevel a zone must drop to become inactive again
+     * @type {number}
+     * @defaultValue 5
+     */
+    Hysteresis: 5,
+    /** Milliseconds the active zones must stay the same before the camera switches
+     * @type {number}
+     * @defaultValue 1500
+     */
+    HoldTime: 1500,
+    /** Minimum milliseconds between camera switches
+     * @type {number}
+     * @defaultValue 5000
+     */
+    MinimumSwitchInterval: 5000,
+    /** Milliseconds of silence before switching to the OverviewSelection
+     * @type {number}
+     * @defaultValue 8000
+     */
+    SilenceTimeout: 8000
+  },
+  /** Governs the PIN protected ```Admin``` page, used to store, overwrite, rename and remove Camera Presets from the Panel
+   */
+  Admin: {
+    /** Adds an Admin button to the Camera Preset Panel
+     * @type {boolean}
+     * @defaultValue false
+     */
+    Enabled: false,
+    /** The PIN required to unlock the Admin page. A warning is logged at startup while the Admin page is enabled with the default PIN
+     * @type {string}
+     * @defaultValue '0000'
+     */
+    Pin: '0000',
+    /** Minutes without Admin activity before the Admin page locks itself
+     * @type {number}
+     * @defaultValue 5
+     */
+    LockTimeout: 5,
+    /** Incorrect PINs in a row before the PIN prompt is locked out for ```LockoutTime```
+     * @type {number}
+     * @defaultValue 5
+     */
+    MaxPinAttempts: 5,
+    /** Minutes the PIN prompt stays locked out after ```MaxPinAttempts``` incorrect PINs
+     * @type {number}
+     * @defaultValue 5
+     */
+    LockoutTime: 5
+  },
+  /** Governs the ```ManualControl``` page, a pan, tilt and zoom pad inside the Camera Preset Panel
+   */
+  ManualControl: {
+    /** Opens the Manual Control page when Manual is selected, in place of the ```ManualPrompt```
+     * @type {boolean}
+     * @defaultValue false
+     */
+    Enabled: false,
+    /** Speed used to Pan and Tilt the camera, from 1 to 15
+     * @type {number}
+     * @defaultValue 8
+     */
+    PanTiltSpeed: 8,
+    /** Speed used to Zoom the camera, from 1 to 15
+     * @type {number}
+     * @defaultValue 8
+     */
+    ZoomSpeed: 8,
+    /** Adds a Save as Preset button, which stores the camera's current position as a new Camera Preset
+     * @type {boolean}
+     * @defaultValue false
+     */
+    ShowSavePreset: false
+  },
+  /** Governs the validation of this ```config```, run as the macro starts
+   * 
+   * Invalid values are replaced with their defaults and every problem, including misspelled keys, is written to the console
+   */
+  ConfigValidation: {
+    /** Shows an on-screen alert when problems are found. The alert is only shown again once the problems change
+     * @type {boolean}
+     * @defaultValue false
+     */
+    ShowAlert: false
   },
   /** Governs ```UI``` elements, such as panel name, color, text etc
    */
@@ -78,396 +624,4930 @@ const config = {
               Presenter: 'Presenter 🔀',
               Speaker: 'Speaker 🔀',
               Frames: 'Frames 🔀',
-              Manual: 'Manual 🔧'
+              Manual: 'Manual 🔧',
+              Tour: 'Tour 🔁',
+              Voice: 'Voice 🎙'
             }
           },
+          /** Shown in the Infobox while a Tour is running, followed by the live Camera Preset Name
+           * 
+           * @see config.Tour
+           */
+          TourStatus: 'Tour running, now showing',
           Preset: {
             DefaultIndicator: '✪'
           },
+          /** Labels shown above each camera's presets when ```Features.GroupPresetsByCamera``` is true
+           * 
+           * Names are keyed by CameraId, ex: ```Names: { 1: 'Front Camera', 2: 'Audience Cam' }```
+           * 
+           * Cameras without a name are labelled as ```DefaultName``` followed by their CameraId
+           */
+          CameraGroups: {
+            DefaultName: 'Camera',
+            Names: {}
+          },
+          /** Label shown above the Composites
+           * 
+           * @see config.Composites
+           */
+          Composites: 'Multi-Camera Views',
+          /** Label shown above the favorite Camera Presets
+           * 
+           * @see config.PresetLayout
+           */
+          Favorites: 'Favorites',
+          /** Labels for the More pages, used once there are more Camera Presets than ```PresetLayout.PageSize```
+           * 
+           * Each More page is named ```PageName``` followed by its page number
+           */
+          Paging: {
+            More: 'More…',
+            PageName: 'Presets'
+          },
+          /** Labels for the Far End section
+           * 
+           * @see config.FarEndControl
+           */
+          FarEnd: {
+            Title: 'Far End',
+            Preset: 'Preset',
+            Zoom: 'Zoom'
+          },
+          /** Label for the Combined toggle
+           * 
+           * @see config.PeerSync
+           */
+          PeerSync: 'Rooms Combined',
+          NoPresets: 'No Camera Presets found, create a few using the Native Camera Menu and they will populate here',
           ManualPrompt: {
             Title: 'Manual Camera Control',
             Text: 'To position the Camera Manually, open the Native Camera Control Menu and select Manual',
             Dismiss: 'Dismiss'
           }
+        },
+        /**
+         * Text elements associated to the Manual Control page
+         * 
+         * @see config.ManualControl
+         */
+        ManualPage: {
+          Name: 'Manual Control',
+          Infobox: 'Hold an arrow to move the camera, and + or - to zoom',
+          Cameras: 'Camera',
+          Zoom: 'Zoom',
+          Save: 'Save as Preset',
+          SavePrompt: {
+            Title: 'Save as Preset',
+            Text: 'Enter a name for the new preset. The current position of the camera will be stored',
+            SubmitText: 'Save'
+          },
+          Saved: 'Camera Preset saved'
+        },
+        /**
+         * Text elements associated to the Admin page
+         * 
+         * @see config.Admin
+         */
+        AdminPage: {
+          Name: 'Preset Admin',
+          Unlock: 'Admin 🔒',
+          Infobox: 'Select a camera to store a new preset, or select a preset to edit it',
+          Cameras: 'Camera',
+          Buttons: {
+            Store: 'Store New',
+            Overwrite: 'Overwrite',
+            Rename: 'Rename',
+            Default: 'Set Default',
+            Remove: 'Remove',
+            Lock: 'Lock',
+            Usage: 'Usage',
+            Favorite: 'Favorite ★',
+            Label: 'Label',
+            MoveUp: 'Move Up',
+            MoveDown: 'Move Down'
+          },
+          PinPrompt: {
+            Title: 'Camera Preset Admin',
+            Text: 'Enter the Admin PIN',
+            SubmitText: 'Unlock',
+            Incorrect: 'Incorrect PIN',
+            LockedOut: 'Too many incorrect PINs, try again later'
+          },
+          StorePrompt: {
+            Title: 'Store New Preset',
+            Text: 'Enter a name for the new preset. The current position of the selected camera will be stored',
+            SubmitText: 'Store'
+          },
+          RenamePrompt: {
+            Title: 'Rename Preset',
+            Text: 'Enter a new name for this preset',
+            SubmitText: 'Rename'
+          },
+          LabelPrompt: {
+            Title: 'Preset Label',
+            Text: 'Enter the label shown in the panel for this preset. Leave it empty to show the preset name',
+            SubmitText: 'Save'
+          },
+          ConfirmPrompt: {
+            Overwrite: 'Overwrite this preset with the current camera position?',
+            Remove: 'Remove this preset?',
+            Confirm: 'Confirm',
+            Cancel: 'Cancel'
+          },
+          NoPresetSelected: 'Select a preset first'
+        },
+        /**
+         * Text elements associated to the Usage page, opened from the Admin page
+         * 
+         * @see config.Analytics
+         */
+        UsagePage: {
+          Name: 'Preset Usage',
+          Since: 'Recorded since',
+          Activations: 'uses',
+          Live: 'live',
+          Overrides: 'manual overrides',
+          Empty: 'No usage recorded yet',
+          Export: 'Export JSON',
+          Exported: 'The usage report was written to the macro console',
+          Reset: 'Reset',
+          ResetPrompt: 'Clear all recorded usage?',
+          Back: 'Back'
+        },
+        /**
+         * Text elements associated to the config problem alert
+         * 
+         * @see config.ConfigValidation
+         */
+        ConfigAlert: {
+          Title: 'Camera Presets Config',
+          Text: 'Invalid settings were replaced with defaults, see the macro console. Check:'
+        }
+      },
+      /**
+       * Text packs for other languages, keyed by the ```xConfiguration UserInterface Language``` value
+       * 
+       * The pack matching the device's language is laid over ```Text```, so a pack only needs the elements it translates. Languages without a pack use ```Text```
+       * 
+       * ex: ```Italian: { Name: 'Preset Videocamera', Page: { Infobox: 'Seleziona un preset dalla lista' } }```
+       * 
+       * Regional languages fall back to their base pack, ex: ```SpanishLatin``` uses ```Spanish```
+       */
+      TextPacks: {
+        French: {
+          Name: 'Préréglages caméra',
+          Page: {
+            Name: 'Liste des préréglages',
+            Infobox: 'Sélectionnez un préréglage caméra dans la liste ci-dessous',
+            CameraTracking: {
+              Modes: {
+                Presenter: 'Présentateur 🔀',
+                Speaker: 'Orateur 🔀',
+                Frames: 'Cadrages 🔀',
+                Manual: 'Manuel 🔧',
+                Tour: 'Tournée 🔁',
+                Voice: 'Voix 🎙'
+              }
+            },
+            TourStatus: 'Tournée en cours, affiche',
+            CameraGroups: {
+              DefaultName: 'Caméra'
+            },
+            Composites: 'Vues multi-caméras',
+            Favorites: 'Favoris',
+            Paging: {
+              More: 'Plus…',
+              PageName: 'Préréglages'
+            },
+            FarEnd: {
+              Title: 'Site distant',
+              Preset: 'Préréglage'
+            },
+            PeerSync: 'Salles combinées',
+            NoPresets: 'Aucun préréglage caméra trouvé, créez-en depuis le menu caméra natif et ils apparaîtront ici',
+            ManualPrompt: {
+              Title: 'Contrôle manuel de la caméra',
+              Text: 'Pour positionner la caméra manuellement, ouvrez le menu caméra natif et sélectionnez Manuel',
+              Dismiss: 'Fermer'
+            }
+          },
+          ManualPage: {
+            Name: 'Contrôle manuel',
+            Infobox: 'Maintenez une flèche pour déplacer la caméra, et + ou - pour zoomer',
+            Cameras: 'Caméra',
+            Zoom: 'Zoom',
+            Save: 'Enregistrer le préréglage',
+            SavePrompt: {
+              Title: 'Enregistrer le préréglage',
+              Text: 'Saisissez un nom pour le nouveau préréglage. La position actuelle de la caméra sera enregistrée',
+              SubmitText: 'Enregistrer'
+            },
+            Saved: 'Préréglage caméra enregistré'
+          }
+        },
+        German: {
+          Name: 'Kamera-Presets',
+          Page: {
+            Name: 'Kamera-Preset-Liste',
+            Infobox: 'Wählen Sie ein Kamera-Preset aus der Liste unten',
+            CameraTracking: {
+              Modes: {
+                Presenter: 'Präsentator 🔀',
+                Speaker: 'Sprecher 🔀',
+                Frames: 'Frames 🔀',
+                Manual: 'Manuell 🔧',
+                Tour: 'Rundgang 🔁',
+                Voice: 'Stimme 🎙'
+              }
+            },
+            TourStatus: 'Rundgang läuft, aktuell',
+            CameraGroups: {
+              DefaultName: 'Kamera'
+            },
+            Composites: 'Mehrkamera-Ansichten',
+            Favorites: 'Favoriten',
+            Paging: {
+              More: 'Mehr…',
+              PageName: 'Presets'
+            },
+            FarEnd: {
+              Title: 'Gegenstelle'
+            },
+            PeerSync: 'Räume kombiniert',
+            NoPresets: 'Keine Kamera-Presets gefunden. Legen Sie einige im nativen Kameramenü an, sie erscheinen dann hier',
+            ManualPrompt: {
+              Title: 'Manuelle Kamerasteuerung',
+              Text: 'Um die Kamera manuell auszurichten, öffnen Sie das native Kameramenü und wählen Sie Manuell',
+              Dismiss: 'Schließen'
+            }
+          },
+          ManualPage: {
+            Name: 'Manuelle Steuerung',
+            Infobox: 'Halten Sie einen Pfeil gedrückt, um die Kamera zu bewegen, und + oder - zum Zoomen',
+            Cameras: 'Kamera',
+            Zoom: 'Zoom',
+            Save: 'Als Preset speichern',
+            SavePrompt: {
+              Title: 'Als Preset speichern',
+              Text: 'Geben Sie einen Namen für das neue Preset ein. Die aktuelle Kameraposition wird gespeichert',
+              SubmitText: 'Speichern'
+            },
+            Saved: 'Kamera-Preset gespeichert'
+          }
+        },
+        Spanish: {
+          Name: 'Preajustes de cámara',
+          Page: {
+            Name: 'Lista de preajustes',
+            Infobox: 'Seleccione un preajuste de cámara de la lista',
+            CameraTracking: {
+              Modes: {
+                Presenter: 'Presentador 🔀',
+                Speaker: 'Orador 🔀',
+                Frames: 'Encuadres 🔀',
+                Manual: 'Manual 🔧',
+                Tour: 'Recorrido 🔁',
+                Voice: 'Voz 🎙'
+              }
+            },
+            TourStatus: 'Recorrido en curso, mostrando',
+            CameraGroups: {
+              DefaultName: 'Cámara'
+            },
+            Composites: 'Vistas multicámara',
+            Favorites: 'Favoritos',
+            Paging: {
+              More: 'Más…',
+              PageName: 'Preajustes'
+            },
+            FarEnd: {
+              Title: 'Sala remota',
+              Preset: 'Preajuste'
+            },
+            PeerSync: 'Salas combinadas',
+            NoPresets: 'No se encontraron preajustes de cámara, cree algunos desde el menú nativo de la cámara y aparecerán aquí',
+            ManualPrompt: {
+              Title: 'Control manual de la cámara',
+              Text: 'Para mover la cámara manualmente, abra el menú nativo de la cámara y seleccione Manual',
+              Dismiss: 'Cerrar'
+            }
+          },
+          ManualPage: {
+            Name: 'Control manual',
+            Infobox: 'Mantenga pulsada una flecha para mover la cámara, y + o - para el zoom',
+            Cameras: 'Cámara',
+            Zoom: 'Zoom',
+            Save: 'Guardar como preajuste',
+            SavePrompt: {
+              Title: 'Guardar como preajuste',
+              Text: 'Introduzca un nombre para el nuevo preajuste. Se guardará la posición actual de la cámara',
+              SubmitText: 'Guardar'
+            },
+            Saved: 'Preajuste de cámara guardado'
+          }
         }
       }
     }
   }
 };
 
-/** The version of this Macro
- * 
- * Only used in logging
- * 
- * @see init
- */
-const version = `1-0-2`
-
-/** List of available Camera Presets
- * 
- * This list updates each time the UI is built
+/** Describes every key of ```config```, used to validate it as the macro starts
  * 
- * @see buildUserInterface();
- */
-let availableCameraTrackingFeatures = [];
-
-
-/** List of available Camera Tracking Features
+ * Each setting declares its ```Type``` and ```Default```, and may also declare
+ * - ```Values```: The allowed values
+ * - ```Pattern```: A regular expression the value must match
+ * - ```Min```, ```Max``` and ```Integer```: Limits for numbers
+ * - ```Items```: The type of each entry in an array, or a section of settings each entry is checked against
  * 
- * This list updates each time the UI is built
+ * Settings within an ```Items``` section are optional unless they declare ```Required```, with ```Alternative``` naming a setting that can be used instead.
+ * Entries that are missing a required setting or hold an invalid value are ignored
  * 
- * @see buildUserInterface();
- */
-let availableCameraPresets = [];
-
-/** Sets the time for the failsafe debounce timer
+ * ```selection``` settings are Camera Selections, as used by applyCameraSelection
  * 
- * @see monitorCameraStoppedPosition
+ * @see validateConfig
  */
-let failsafeDebounceTime_for_MainSourceSetOnCameraRampStop = 2500;
+const configSchema = {
+  Features: {
+    ShowTrackingOptions: { Type: 'boolean', Default: false },
+    OnCallSetDefaultPreset: { Type: 'boolean', Default: true },
+    MainSourceSetOnCameraRampStop: { Type: 'boolean', Default: true },
+    GroupPresetsByCamera: { Type: 'boolean', Default: true },
+    PresetNameTags: { Type: 'boolean', Default: true },
+    ReconcileSelection: { Type: 'boolean', Default: true }
+  },
+  PresetLayout: {
+    Columns: { Type: 'number', Default: 1, Min: 1, Max: 4, Integer: true },
+    PageSize: { Type: 'number', Default: 0, Min: 0, Integer: true },
+    Metadata: { Type: 'object', Default: {} }
+  },
+  Schedule: {
+    Enabled: { Type: 'boolean', Default: false },
+    ApplyOnCallConnect: { Type: 'boolean', Default: true },
+    ApplyAtRuleStart: { Type: 'boolean', Default: true },
+    Rules: {
+      Type: 'array', Default: [], Items: {
+        Name: { Type: 'string' },
+        Days: { Type: 'array', Items: 'string' },
+        Dates: { Type: 'array', Items: 'string' },
+        ExcludeDates: { Type: 'array', Items: 'string' },
+        Start: { Type: 'string', Pattern: /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/ },
+        End: { Type: 'string', Pattern: /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/ },
+        Selection: { Type: 'selection', Required: true }
+      }
+    }
+  },
+  CallPolicies: {
+    Enabled: { Type: 'boolean', Default: false },
+    Policies: {
+      Type: 'array', Default: [], Items: {
+        Name: { Type: 'string' },
+        Direction: { Type: 'string' },
+        CallType: { Type: 'string' },
+        Protocol: { Type: 'string' },
+        RemoteURI: { Type: 'string' },
+        Selection: { Type: 'selection', Required: true }
+      }
+    },
+    OnDisconnect: { Type: 'string', Default: 'None', Values: ['None', 'Restore', 'Park'] },
+    ParkSelection: { Type: 'selection', Default: { Preset: 'Privacy' } }
+  },
+  FarEndControl: {
+    Enabled: { Type: 'boolean', Default: false },
+    Presets: { Type: 'array', Default: [], Items: 'object' },
+    ShowPad: { Type: 'boolean', Default: true }
+  },
+  PeerSync: {
+    Enabled: { Type: 'boolean', Default: false },
+    Group: { Type: 'string', Default: 'camPresets', Pattern: /^\S+$/ },
+    Peers: { Type: 'array', Default: [], Items: 'object' },
+    MatchPresetsBy: { Type: 'string', Default: 'Name', Values: ['Name', 'Id'] },
+    DefaultState: { Type: 'string', Default: 'Split', Values: ['Combined', 'Split'] },
+    ShowStateSwitch: { Type: 'boolean', Default: true },
+    AllowInsecureHTTPS: { Type: 'boolean', Default: false },
+    Timeout: { Type: 'number', Default: 5, Min: 1, Max: 30, Integer: true }
+  },
+  RoomReset: {
+    Enabled: { Type: 'boolean', Default: false },
+    Selection: { Type: 'selection', Default: { DefaultPreset: true } },
+    OnPeopleLeave: { Type: 'boolean', Default: true },
+    PeopleLeaveDelay: { Type: 'number', Default: 120, Min: 0 },
+    ManualIdleTimeout: { Type: 'number', Default: 10, Min: 0 },
+    OnStandby: { Type: 'boolean', Default: true },
+    OnHalfwake: { Type: 'boolean', Default: false },
+    SkipDuringCalls: { Type: 'boolean', Default: true }
+  },
+  PresentationRules: {
+    Enabled: { Type: 'boolean', Default: false },
+    Rules: { Type: 'array', Default: [], Items: 'object' },
+    RestoreOnStop: { Type: 'boolean', Default: true }
+  },
+  Tour: {
+    Enabled: { Type: 'boolean', Default: false },
+    Stops: {
+      Type: 'array', Default: [], Items: {
+        Preset: { Type: 'string', Required: true, Alternative: 'PresetId' },
+        PresetId: { Type: 'number', Min: 1, Integer: true },
+        Dwell: { Type: 'number', Min: 0 }
+      }
+    }
+  },
+  Composites: {
+    Enabled: { Type: 'boolean', Default: false },
+    Layout: { Type: 'string', Default: 'Equal', Values: ['Equal', 'PIP'] },
+    Entries: { Type: 'array', Default: [], Items: 'object' }
+  },
+  MacroApi: {
+    Enabled: { Type: 'boolean', Default: true },
+    BroadcastSelection: { Type: 'boolean', Default: true },
+    Id: { Type: 'string', Default: 'camPresets', Pattern: /^[^~:]+$/ }
+  },
+  Webhook: {
+    Enabled: { Type: 'boolean', Default: false },
+    Url: { Type: 'string', Default: '' },
+    Headers: { Type: 'array', Default: [], Items: 'string' },
+    AllowInsecureHTTPS: { Type: 'boolean', Default: false },
+    RetryDelay: { Type: 'number', Default: 2000, Min: 0 },
+    MaxRetryDelay: { Type: 'number', Default: 60000, Min: 0 },
+    QueueLength: { Type: 'number', Default: 100, Min: 1 },
+    Timeout: { Type: 'number', Default: 10, Min: 0 }
+  },
+  Persistence: {
+    Enabled: { Type: 'boolean', Default: true },
+    StorageMacro: { Type: 'string', Default: 'Camera_Presets_Memory', Pattern: /^[\w-]+$/ },
+    OnStartup: { Type: 'string', Default: 'Show', Values: ['Show', 'Reapply', 'None'] }
+  },
+  Analytics: {
+    Enabled: { Type: 'boolean', Default: true }
+  },
+  VoiceFollow: {
+    Enabled: { Type: 'boolean', Default: false },
+    Zones: {
+      Type: 'array', Default: [], Items: {
+        Name: { Type: 'string' },
+        ConnectorType: { Type: 'string', Values: ['Microphone', 'Ethernet'] },
+        ConnectorId: { Type: 'number', Min: 1, Integer: true },
+        SubId: { Type: 'number', Min: 1, Integer: true },
+        Preset: { Type: 'string', Required: true, Alternative: 'PresetId' },
+        PresetId: { Type: 'number', Min: 1, Integer: true }
+      }
+    },
+    OverviewSelection: { Type: 'selection', Default: { Preset: 'Wide' } },
+    ActivationLevel: { Type: 'number', Default: 30, Min: 0 },
+    Hysteresis: { Type: 'number', Default: 5, Min: 0 },
+    HoldTime: { Type: 'number', Default: 1500, Min: 0 },
+    MinimumSwitchInterval: { Type: 'number', Default: 5000, Min: 0 },
+    SilenceTimeout: { Type: 'number', Default: 8000, Min: 0 }
+  },
+  Admin: {
+    Enabled: { Type: 'boolean', Default: false },
+    Pin: { Type: 'string', Default: '0000', Pattern: /^\d+$/ },
+    LockTimeout: { Type: 'number', Default: 5, Min: 1 },
+    MaxPinAttempts: { Type: 'number', Default: 5, Min: 1, Integer: true },
+    LockoutTime: { Type: 'number', Default: 5, Min: 1 }
+  },
+  ManualControl: {
+    Enabled: { Type: 'boolean', Default: false },
+    PanTiltSpeed: { Type: 'number', Default: 8, Min: 1, Max: 15, Integer: true },
+    ZoomSpeed: { Type: 'number', Default: 8, Min: 1, Max: 15, Integer: true },
+    ShowSavePreset: { Type: 'boolean', Default: false }
+  },
+  ConfigValidation: {
+    ShowAlert: { Type: 'boolean', Default: false }
+  },
+  UserInterface: {
+    Panel: {
+      Properties: {
+        Color: { Type: 'string', Default: '#1170CF', Pattern: /^#?[0-9a-fA-F]{6}$/ },
+        Order: { Type: 'number', Default: 1, Min: 1, Integer: true },
+        Location: { Type: 'string', Default: 'HomeScreenAndCallControls', Values: ['HomeScreen', 'HomeScreenAndCallControls', 'CallControls', 'ControlPanel', 'Hidden'] },
+        Icon: { Type: 'string', Default: 'Camera', Values: ['Blinds', 'Briefing', 'Camera', 'Concierge', 'Disc', 'Handset', 'Help', 'Helpdesk', 'Home', 'Hvac', 'Info', 'Input', 'Language', 'Laptop', 'Lightbulb', 'Media', 'Microphone', 'Power', 'Proximity', 'Record', 'Sliders', 'Spark', 'Tv', 'Webex', 'General'] }
+      },
+      Text: {
+        Name: { Type: 'string', Default: 'Camera Presets' },
+        Page: {
+          Name: { Type: 'string', Default: 'Camera Preset List' },
+          Infobox: { Type: 'string', Default: 'Select a Camera Preset from the list below' },
+          CameraTracking: {
+            Modes: {
+              Presenter: { Type: 'string', Default: 'Presenter 🔀' },
+              Speaker: { Type: 'string', Default: 'Speaker 🔀' },
+              Frames: { Type: 'string', Default: 'Frames 🔀' },
+              Manual: { Type: 'string', Default: 'Manual 🔧' },
+              Tour: { Type: 'string', Default: 'Tour 🔁' },
+              Voice: { Type: 'string', Default: 'Voice 🎙' }
+            }
+          },
+          TourStatus: { Type: 'string', Default: 'Tour running, now showing' },
+          Preset: {
+            DefaultIndicator: { Type: 'string', Default: '✪' }
+          },
+          CameraGroups: {
+            DefaultName: { Type: 'string', Default: 'Camera' },
+            Names: { Type: 'object', Default: {} }
+          },
+          Composites: { Type: 'string', Default: 'Multi-Camera Views' },
+          Favorites: { Type: 'string', Default: 'Favorites' },
+          Paging: {
+            More: { Type: 'string', Default: 'More…' },
+            PageName: { Type: 'string', Default: 'Presets' }
+          },
+          FarEnd: {
+            Title: { Type: 'string', Default: 'Far End' },
+            Preset: { Type: 'string', Default: 'Preset' },
+            Zoom: { Type: 'string', Default: 'Zoom' }
+          },
+          PeerSync: { Type: 'string', Default: 'Rooms Combined' },
+          NoPresets: { Type: 'string', Default: 'No Camera Presets found, create a few using the Native Camera Menu and they will populate here' },
+          ManualPrompt: {
+            Title: { Type: 'string', Default: 'Manual Camera Control' },
+            Text: { Type: 'string', Default: 'To position the Camera Manually, open the Native Camera Control Menu and select Manual' },
+            Dismiss: { Type: 'string', Default: 'Dismiss' }
+          }
+        },
+        ManualPage: {
+          Name: { Type: 'string', Default: 'Manual Control' },
+          Infobox: { Type: 'string', Default: 'Hold an arrow to move the camera, and + or - to zoom' },
+          Cameras: { Type: 'string', Default: 'Camera' },
+          Zoom: { Type: 'string', Default: 'Zoom' },
+          Save: { Type: 'string', Default: 'Save as Preset' },
+          SavePrompt: {
+            Title: { Type: 'string', Default: 'Save as Preset' },
+            Text: { Type: 'string', Default: 'Enter a name for the new preset. The current position of the camera will be stored' },
+            SubmitText: { Type: 'string', Default: 'Save' }
+          },
+          Saved: { Type: 'string', Default: 'Camera Preset saved' }
+        },
+        AdminPage: {
+          Name: { Type: 'string', Default: 'Preset Admin' },
+          Unlock: { Type: 'string', Default: 'Admin 🔒' },
+          Infobox: { Type: 'string', Default: 'Select a camera to store a new preset, or select a preset to edit it' },
+          Cameras: { Type: 'string', Default: 'Camera' },
+          Buttons: {
+            Store: { Type: 'string', Default: 'Store New' },
+            Overwrite: { Type: 'string', Default: 'Overwrite' },
+            Rename: { Type: 'string', Default: 'Rename' },
+            Default: { Type: 'string', Default: 'Set Default' },
+            Remove: { Type: 'string', Default: 'Remove' },
+            Lock: { Type: 'string', Default: 'Lock' },
+            Usage: { Type: 'string', Default: 'Usage' },
+            Favorite: { Type: 'string', Default: 'Favorite ★' },
+            Label: { Type: 'string', Default: 'Label' },
+            MoveUp: { Type: 'string', Default: 'Move Up' },
+            MoveDown: { Type: 'string', Default: 'Move Down' }
+          },
+          PinPrompt: {
+            Title: { Type: 'string', Default: 'Camera Preset Admin' },
+            Text: { Type: 'string', Default: 'Enter the Admin PIN' },
+            SubmitText: { Type: 'string', Default: 'Unlock' },
+            Incorrect: { Type: 'string', Default: 'Incorrect PIN' },
+            LockedOut: { Type: 'string', Default: 'Too many incorrect PINs, try again later' }
+          },
+          StorePrompt: {
+            Title: { Type: 'string', Default: 'Store New Preset' },
+            Text: { Type: 'string', Default: 'Enter a name for the new preset. The current position of the selected camera will be stored' },
+            SubmitText: { Type: 'string', Default: 'Store' }
+          },
+          RenamePrompt: {
+            Title: { Type: 'string', Default: 'Rename Preset' },
+            Text: { Type: 'string', Default: 'Enter a new name for this preset' },
+            SubmitText: { Type: 'string', Default: 'Rename' }
+          },
+          LabelPrompt: {
+            Title: { Type: 'string', Default: 'Preset Label' },
+            Text: { Type: 'string', Default: 'Enter the label shown in the panel for this preset. Leave it empty to show the preset name' },
+            SubmitText: { Type: 'string', Default: 'Save' }
+          },
+          ConfirmPrompt: {
+            Overwrite: { Type: 'string', Default: 'Overwrite this preset with the current camera position?' },
+            Remove: { Type: 'string', Default: 'Remove this preset?' },
+            Confirm: { Type: 'string', Default: 'Confirm' },
+            Cancel: { Type: 'string', Default: 'Cancel' }
+          },
+          NoPresetSelected: { Type: 'string', Default: 'Select a preset first' }
+        },
+        UsagePage: {
+          Name: { Type: 'string', Default: 'Preset Usage' },
+          Since: { Type: 'string', Default: 'Recorded since' },
+          Activations: { Type: 'string', Default: 'uses' },
+          Live: { Type: 'string', Default: 'live' },
+          Overrides: { Type: 'string', Default: 'manual overrides' },
+          Empty: { Type: 'string', Default: 'No usage recorded yet' },
+          Export: { Type: 'string', Default: 'Export JSON' },
+          Exported: { Type: 'string', Default: 'The usage report was written to the macro console' },
+          Reset: { Type: 'string', Default: 'Reset' },
+          ResetPrompt: { Type: 'string', Default: 'Clear all recorded usage?' },
+          Back: { Type: 'string', Default: 'Back' }
+        },
+        ConfigAlert: {
+          Title: { Type: 'string', Default: 'Camera Presets Config' },
+          Text: { Type: 'string', Default: 'Invalid settings were replaced with defaults, see the macro console. Check:' }
+        }
+      },
+      TextPacks: { Type: 'object', Default: {} }
+    }
+  }
+};
+
+/** The version of this Macro
+ * 
+ * Only used in logging
+ * 
+ * @see init
+ */
+const version = `1-0-2`
+
+/** List of available Camera Tracking Features
+ * 
+ * This list is rebuilt each time the UI is built
+ * 
+ * @see buildUserInterface();
+ */
+let availableCameraTrackingFeatures = [];
+
+
+/** List of available Camera Presets
+ * 
+ * This list updates each time the UI is built
+ * 
+ * @see buildUserInterface();
+ */
+let availableCameraPresets = [];
+
+/** Sets the time for the failsafe debounce timer
+ * 
+ * A camera expected to move that hasn't reported any movement within this time is treated as already in position
+ * 
+ * @see expectCameraMotion
+ */
+let failsafeDebounceTime_for_MainSourceSetOnCameraRampStop = 2500;
+
+/** Milliseconds without a position change before a moving camera is considered stopped
+ * 
+ * @see noteCameraMotion
+ */
+const cameraMotionSettleTime = 500;
+
+/** Cameras this macro is moving, keyed by CameraId, or ```*``` while tracking may move any camera
+ * 
+ * Position changes on these cameras are expected and aren't treated as a manual move. Each entry ends once its camera stops
+ * 
+ * @see expectCameraMotion
+ * @see noteCameraMotion
+ */
+let cameraMotion = {};
+
+/** True while a tracking feature may be moving the cameras
+ * 
+ * @see deactivateCameraTracking
+ */
+let cameraTrackingLive = false;
+
+/** Serializes Camera Preset, Composite and tracking activations
+ * 
+ * ```Latest``` is the newest request, every request before it is superseded
+ * 
+ * @see queueCameraAction
+ */
+let cameraActions = {
+  Queue: Promise.resolve(),
+  Latest: undefined
+};
+
+
+/** Stores the last know preset selection in the UI
+ */
+let lastPresetSelection = '';
+
+/** List of GroupButton WidgetIds that hold selections in the current Panel
+ * 
+ * This list updates each time the UI is built
+ * 
+ * @see buildUserInterface();
+ * @see setPresetSelectionFeedback
+ */
+let renderedPresetWidgets = [`camPresets~PresetList~Presets`];
+
+/** The WidgetId and Value each Camera Preset was rendered with, keyed by PresetId
+ * 
+ * This list updates each time the UI is built
+ * 
+ * @see buildUserInterface();
+ * @see setPresetSelectionFeedback
+ */
+let renderedPresetSelections = {};
+
+/** The WidgetId and Value each Composite was rendered with, keyed by CompositeId
+ * 
+ * This list updates each time the UI is built
+ * 
+ * @see buildUserInterface();
+ * @see setPresetSelectionFeedback
+ */
+let renderedCompositeSelections = {};
+
+/** The Panel text for the device's UserInterface Language
+ * 
+ * Updates each time the UI is built
+ * 
+ * @see loadTextPack
+ */
+let uiText = config.UserInterface.Panel.Text;
+
+/** Lays a text pack over the default Panel text, keeping any element the pack leaves out
+ * 
+ * @param {object} base
+ * @param {object} pack
+ */
+function mergeTextPack(base, pack) {
+  let merged = { ...base };
+  Object.entries(pack ?? {}).forEach(([key, value]) => {
+    merged[key] = (typeof value == 'object' && typeof base[key] == 'object') ? mergeTextPack(base[key], value) : value;
+  });
+  return merged;
+};
+
+/** Selects the text pack for ```xConfiguration UserInterface Language```, falling back to ```config.UserInterface.Panel.Text```
+ * 
+ * @see config.UserInterface.Panel.TextPacks
+ * @xapi [xConfiguration UserInterface Language](https://roomos.cisco.com/xapi/Configuration.UserInterface.Language/)
+ */
+async function loadTextPack(cause) {
+  const language = `${await xapi.Config.UserInterface.Language.get().catch(e => handleError(e, `Failed to get UserInterface Language`, 'debug')) ?? 'English'}`;
+  const packs = config.UserInterface.Panel.TextPacks ?? {};
+  const packName = packs[language] != undefined ? language : Object.keys(packs).find(name => language.startsWith(name));
+
+  uiText = packName == undefined ? config.UserInterface.Panel.Text : mergeTextPack(config.UserInterface.Panel.Text, packs[packName]);
+
+  console.debug({ Debug: `Panel Text set for UserInterface Language [${language}]`, TextPack: packName ?? 'Default', Cause: cause });
+};
+
+/** Parse string into JSON Object Literal
+ * 
+ * @param {string} data
+ * 
+ * data must be formatted as ```Key:Value~```
+ * 
+ * ```~``` acts as a separator for Key Value Pairs
+ * 
+ * ```:``` acts as a separator for Keys and Values
+ * 
+ * Values are decoded with decodeKeyValue
+ * 
+ * @see encodeKeyValuePairs
+ */
+function parseKeyValuePairs(data) {
+  const regex = /(?:([^~:]+):([^~:]+))(?:~|$)+/g;
+
+  if (!regex.test(data)) {
+    console.error(`Unable to parse data key value pair [${data}] || Malformed String`);
+    return { "Type": 'Error' };
+  };
+
+  let response = {};
+  const keyValuePairs = data.split(`~`);
+
+  keyValuePairs.forEach(element => {
+    if (element == '') {
+      return;
+    }
+    const separator = element.indexOf(':');
+    const key = separator < 0 ? element : element.slice(0, separator);
+    const value = separator < 0 ? undefined : decodeKeyValue(element.slice(separator + 1));
+    response[key] = isNaN(value) ? value : Number(value);
+  });
+
+  return response;
+};
+
+/** Builds a ```Key:Value~``` string from an object, the reverse of parseKeyValuePairs
+ * 
+ * Undefined and empty values are left out, and every value is encoded with encodeKeyValue
+ * 
+ * @param {object} pairs
+ * 
+ * @see parseKeyValuePairs
+ */
+function encodeKeyValuePairs(pairs) {
+  return Object.entries(pairs)
+    .filter(([, value]) => value != undefined && value !== '')
+    .map(([key, value]) => `${key}:${encodeKeyValue(value)}`)
+    .join('~');
+};
+
+/** Percent encodes the characters that have a meaning in a ```Key:Value~``` string
+ * 
+ * ```%``` becomes ```%25```, ```~``` becomes ```%7E``` and ```:``` becomes ```%3A```, ex: ```Stage: Wide``` is sent as ```Stage%3A Wide```
+ * 
+ * @see decodeKeyValue
+ */
+function encodeKeyValue(value) {
+  return `${value}`.replace(/[%~:]/g, character => `%${character.charCodeAt(0).toString(16).toUpperCase()}`);
+};
+
+/** Reverses encodeKeyValue
+ * 
+ * Only ```%25```, ```%7E``` and ```%3A``` are decoded, so any other ```%``` is kept as is
+ * 
+ * @see encodeKeyValue
+ */
+function decodeKeyValue(value) {
+  return `${value}`.replace(/%(25|7E|3A)/gi, (match, code) => String.fromCharCode(parseInt(code, 16)));
+};
+
+/** Escapes text for the Panel XML
+ * 
+ * @param {string} text
+ * 
+ * @see buildUserInterface
+ */
+function escapeXml(text) {
+  return `${text}`.replace(/[&<>"']/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[character]);
+};
+
+
+/**
+ * Prints error to console, with optional Context and Type parameters
+ * 
+ * @param {object} e
+ * The original error to be handled
+ * 
+ * @param {string} context
+ * Details to better eplain the error
+ * 
+ * @param {string} type
+ * define the logging type. Defaults to ```error``` if not defined
+ */
+function handleError(error, context, type = 'error') {
+  let err = { Context: context, ...error }
+  let confirmType = 'error';
+  switch (type.toLowerCase()) {
+    case 'log': case 'warn': case 'debug': case 'info': case 'warn':
+      confirmType = type.toLowerCase();
+      break;
+  }
+  console[confirmType](err)
+}
+
+/** Data saved in the Storage Macro
+ * 
+ * @see readMemory
+ * @see writeMemory
+ */
+let memory = {
+  Data: {},
+  Saved: '',
+  SaveHandler: '',
+  Unreadable: false
+};
+
+/** Loads saved data from the Storage Macro, creating it if it's missing from the list of macros
+ * 
+ * If the Storage Macro exists but can't be read or parsed, or the list of macros can't be read, it's left untouched and nothing is saved to it until the macro restarts
+ * 
+ * @see config.Persistence.StorageMacro
+ * @xapi [xCommand Macros Macro Get](https://roomos.cisco.com/xapi/Command.Macros.Macro.Get/)
+ */
+async function readMemory() {
+  let content;
+  try {
+    const macros = (await xapi.Command.Macros.Macro.Get({ Content: 'False' })).Macro ?? [];
+    if (!macros.some(macro => macro.Name == config.Persistence.StorageMacro)) {
+      console.debug({ Debug: `Storage Macro [${config.Persistence.StorageMacro}] not found, creating it` });
+      memory.Data = {};
+      await saveMemory();
+      return memory.Data;
+    }
+    const result = await xapi.Command.Macros.Macro.Get({ Name: config.Persistence.StorageMacro, Content: 'True' });
+    content = result.Macro[0].Content;
+  } catch (e) {
+    handleError(e, `Unable to read Storage Macro [${config.Persistence.StorageMacro}], saved data won't be updated`, 'warn');
+    memory.Data = {};
+    memory.Unreadable = true;
+    return memory.Data;
+  }
+  try {
+    memory.Data = JSON.parse(content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1));
+    memory.Saved = JSON.stringify(memory.Data);
+    console.debug({ Debug: `Storage Macro [${config.Persistence.StorageMacro}] loaded` });
+  } catch (e) {
+    handleError(e, `Unable to parse Storage Macro [${config.Persistence.StorageMacro}], saved data won't be updated`, 'warn');
+    memory.Data = {};
+    memory.Unreadable = true;
+  }
+  return memory.Data;
+};
+
+/** Sets a value in the saved data and schedules a save to the Storage Macro
+ * 
+ * Saves are debounced so rapid changes only write once
+ * 
+ * @param {string} key
+ * @param {any} value
+ * Must be JSON serializable
+ */
+function writeMemory(key, value) {
+  memory.Data[key] = value;
+  clearTimeout(memory.SaveHandler);
+  memory.SaveHandler = setTimeout(saveMemory, 2000);
+};
+
+/** Writes the saved data to the Storage Macro if it changed, unless the Storage Macro couldn't be read
+ * 
+ * @xapi [xCommand Macros Macro Save](https://roomos.cisco.com/xapi/Command.Macros.Macro.Save/)
+ */
+async function saveMemory() {
+  const data = JSON.stringify(memory.Data);
+  if (data == memory.Saved || memory.Unreadable) {
+    return;
+  }
+  const content = `/* Storage for ${_main_macro_name()}. Do not activate this macro. Only edit the PeerSync Secret and Credentials, while ${_main_macro_name()} is stopped */\nconst memory = ${JSON.stringify(memory.Data, null, 2)};\n`;
+  try {
+    await xapi.Command.Macros.Macro.Save({ Name: config.Persistence.StorageMacro, Overwrite: 'True', Transpile: 'False' }, content);
+    memory.Saved = data;
+  } catch (e) {
+    handleError(e, `Failed to save Storage Macro [${config.Persistence.StorageMacro}]`);
+  }
+};
+
+/** Checks if a saved selection is still live on the codec
+ * 
+ * Presets are live if no tracking feature is active, their camera is the Main Video Source and the camera is still at the preset's position
+ * 
+ * @param {object} selection
+ * A Panel selection, such as ```lastPresetSelection```
+ * 
+ * @xapi [xCommand Camera Preset Show](https://roomos.cisco.com/xapi/Command.Camera.Preset.Show/)
+ * @xapi [xStatus Cameras Camera[n] Position](https://roomos.cisco.com/xapi/search?Type=Status&search=Status+Camera+*+Position)
+ * @xapi [xStatus Cameras SpeakerTrack Status](https://roomos.cisco.com/xapi/Status.Cameras.SpeakerTrack.Status/)
+ * @xapi [xStatus Cameras SpeakerTrack Frames Status](https://roomos.cisco.com/xapi/Status.Cameras.SpeakerTrack.Frames.Status/)
+ * @xapi [xStatus Cameras PresenterTrack Status](https://roomos.cisco.com/xapi/Status.Cameras.PresenterTrack.Status/)
+ * @xapi [xStatus Video Input MainVideoSource](https://roomos.cisco.com/xapi/Status.Video.Input.MainVideoSource/)
+ */
+async function isSelectionLive(selection) {
+  const speakerTrack = `${await xapi.Status.Cameras.SpeakerTrack.Status.get().catch(() => 'Unavailable')}`.toLowerCase() == 'active';
+  const frames = `${await xapi.Status.Cameras.SpeakerTrack.Frames.Status.get().catch(() => 'Unavailable')}`.toLowerCase() == 'active';
+  const presenterTrack = `${await xapi.Status.Cameras.PresenterTrack.Status.get().catch(() => 'Off')}`.toLowerCase() == 'follow';
+
+  switch (selection?.Type) {
+    case 'Automatic':
+      switch (selection.Feature) {
+        case 'Speaker':
+          return speakerTrack && !frames;
+        case 'Frames':
+          return frames;
+        case 'Presenter':
+          return presenterTrack;
+        case 'Manual':
+          return !speakerTrack && !frames && !presenterTrack;
+      }
+      return false;
+    case 'Preset':
+      if (speakerTrack || frames || presenterTrack) {
+        return false;
+      }
+      if (!await isMainVideoSource(selection.CameraId)) {
+        return false;
+      }
+      return await isCameraPresetPositionLive(selection.PresetId);
+    case 'Composite': {
+      if (speakerTrack || frames || presenterTrack) {
+        return false;
+      }
+      const composite = findComposite(selection);
+      const presets = composite == undefined ? undefined : resolveCompositePresets(composite);
+      if (presets == undefined) {
+        return false;
+      }
+      for (const preset of presets) {
+        if (!await isCameraPresetPositionLive(preset.PresetId)) {
+          return false;
+        }
+      }
+      return true;
+    }
+  }
+  return false;
+};
+
+/** Returns true if a camera is the Main Video Source
+ * 
+ * Treated as true when the Main Video Source can't be read
+ * 
+ * @param {number} cameraId
+ * 
+ * @xapi [xStatus Video Input MainVideoSource](https://roomos.cisco.com/xapi/Status.Video.Input.MainVideoSource/)
+ */
+async function isMainVideoSource(cameraId) {
+  if (cameraId == undefined) {
+    return true;
+  }
+  try {
+    return `${await xapi.Status.Video.Input.MainVideoSource.get()}` == `${cameraId}`;
+  } catch (e) {
+    handleError(e, `Unable to read the Main Video Source`, 'debug');
+    return true;
+  }
+};
+
+/** Returns true if a camera is still within a small tolerance of a Camera Preset's position
+ * 
+ * @param {number} presetId
+ * 
+ * @xapi [xCommand Camera Preset Show](https://roomos.cisco.com/xapi/Command.Camera.Preset.Show/)
+ * @xapi [xStatus Cameras Camera[n] Position](https://roomos.cisco.com/xapi/search?Type=Status&search=Status+Camera+*+Position)
+ */
+async function isCameraPresetPositionLive(presetId) {
+  try {
+    const preset = await xapi.Command.Camera.Preset.Show({ PresetId: presetId });
+    const position = await xapi.Status.Cameras.Camera[preset.CameraId].Position.get();
+    const tolerance = 5;
+    return ['Pan', 'Tilt', 'Zoom'].every(axis => preset[axis] == undefined || Math.abs(Number(preset[axis]) - Number(position[axis])) <= tolerance);
+  } catch (e) {
+    handleError(e, `Unable to compare Camera Preset [${presetId}] to the camera position`, 'debug');
+    return false;
+  }
+};
+
+/** Shows or reapplies the saved selection when the macro starts
+ * 
+ * Falls back to no selection when the saved selection can't be confirmed
+ * 
+ * The Storage Macro must be read first
+ * 
+ * @see readMemory
+ * @see config.Persistence.OnStartup
+ */
+async function restoreLastSelection(cause) {
+  if (!config.Persistence.Enabled || config.Persistence.OnStartup == 'None') {
+    setPresetSelectionFeedback('', cause);
+    return;
+  }
+
+  const saved = memory.Data.LastSelection;
+
+  if (saved == undefined || saved == '') {
+    setPresetSelectionFeedback('', cause);
+    return;
+  }
+
+  if (await isSelectionLive(saved)) {
+    console.log({ Message: `Restored last selection`, Selection: saved, Cause: cause });
+    lastPresetSelection = saved;
+    setPresetSelectionFeedback(saved, cause);
+    return;
+  }
+
+  if (config.Persistence.OnStartup == 'Reapply' && panelSelectionToCameraSelection(saved) != undefined) {
+    console.log({ Message: `Reapplying last selection`, Selection: saved, Cause: cause });
+    if (await applyCameraSelection(panelSelectionToCameraSelection(saved), `${cause} Reapply Last Selection`)) {
+      return;
+    }
+  }
+
+  console.log({ Message: `Last selection is no longer live, starting with no selection`, Selection: saved, Cause: cause });
+  setPresetSelectionFeedback('', cause);
+};
+
+/** Milliseconds to wait for the Main Video Source and tracking status to settle before reconciling the Panel selection
+ * 
+ * @see scheduleSelectionReconcile
+ */
+const selectionReconcileDebounceTime = 1000;
+
+/** Tracks the pending reconciliation of the Panel selection
+ * 
+ * @see scheduleSelectionReconcile
+ */
+let selectionReconcile = {
+  Handler: '',
+  Causes: []
+};
+
+/** Reconciles the Panel selection once the Main Video Source and tracking status stop changing
+ * 
+ * @see config.Features.ReconcileSelection
+ * @see reconcilePanelSelection
+ */
+function scheduleSelectionReconcile(cause) {
+  if (!config.Features.ReconcileSelection) {
+    return;
+  }
+  if (!selectionReconcile.Causes.includes(cause)) {
+    selectionReconcile.Causes.push(cause);
+  }
+  clearTimeout(selectionReconcile.Handler);
+  selectionReconcile.Handler = setTimeout(() => {
+    const causes = selectionReconcile.Causes.join(', ');
+    selectionReconcile.Causes = [];
+    reconcilePanelSelection(causes);
+  }, selectionReconcileDebounceTime);
+};
+
+/** Sets the Panel selection to what's actually live, so the Panel never claims a selection that isn't
+ * 
+ * Waits while a camera action is pending or a camera is moving under this macro's control, as the selection is still being applied
+ * 
+ * @see findLiveSelection
+ */
+async function reconcilePanelSelection(cause) {
+  if (isCameraActionPending() || Object.keys(cameraMotion).length > 0) {
+    scheduleSelectionReconcile(cause);
+    return;
+  }
+
+  try {
+    const selection = await findLiveSelection();
+
+    if (isCameraActionPending() || Object.keys(cameraMotion).length > 0) {
+      scheduleSelectionReconcile(cause);
+      return;
+    }
+
+    if (JSON.stringify(selection) == JSON.stringify(lastPresetSelection)) {
+      return;
+    }
+
+    console.log({ Message: `Panel selection reconciled`, Previous: lastPresetSelection, Selection: selection, Cause: cause });
+    if (selection?.Type == 'Automatic' && ['Speaker', 'Frames', 'Presenter'].includes(selection.Feature)) {
+      stopAutomaticPresetModes(`Reconcile [${cause}]`);
+    }
+    lastPresetSelection = selection;
+    setPresetSelectionFeedback(selection, `Reconcile [${cause}]`);
+  } catch (e) {
+    handleError(e, `Failed to reconcile the Panel selection. Cause: ${cause}`, 'debug');
+  }
+};
+
+/** Works out the selection that's live on the codec
+ * 
+ * In order, returns the active tracking feature, the current selection if it's still live, a Camera Preset shown in the Panel that's live on the Main Video Source, or ```''``` for no selection
+ * 
+ * Tour, Voice Follow and Manual selections are kept while no tracking feature is active, as they don't claim a Camera Preset
+ * 
+ * @xapi [xStatus Cameras SpeakerTrack Status](https://roomos.cisco.com/xapi/Status.Cameras.SpeakerTrack.Status/)
+ * @xapi [xStatus Cameras SpeakerTrack Frames Status](https://roomos.cisco.com/xapi/Status.Cameras.SpeakerTrack.Frames.Status/)
+ * @xapi [xStatus Cameras PresenterTrack Status](https://roomos.cisco.com/xapi/Status.Cameras.PresenterTrack.Status/)
+ * @xapi [xStatus Video Input MainVideoSource](https://roomos.cisco.com/xapi/Status.Video.Input.MainVideoSource/)
+ */
+async function findLiveSelection() {
+  for (const feature of ['Frames', 'Speaker', 'Presenter']) {
+    const selection = { Type: 'Automatic', Feature: feature };
+    if (await isSelectionLive(selection)) {
+      cameraTrackingLive = true;
+      return lastPresetSelection?.Type == 'Automatic' && lastPresetSelection.Feature == feature ? lastPresetSelection : selection;
+    }
+  }
+
+  cameraTrackingLive = false;
+
+  const keptModes = { Tour: tour.Active, Voice: voiceFollow.Active, Manual: true };
+  if (lastPresetSelection?.Type == 'Automatic' && keptModes[lastPresetSelection.Feature]) {
+    return lastPresetSelection;
+  }
+
+  if (['Preset', 'Composite'].includes(lastPresetSelection?.Type) && await isSelectionLive(lastPresetSelection)) {
+    return lastPresetSelection;
+  }
+
+  const mainSource = await xapi.Status.Video.Input.MainVideoSource.get().catch(() => undefined);
+  for (const presetId of Object.keys(renderedPresetSelections)) {
+    const preset = findCameraPreset({ PresetId: presetId });
+    if (preset == undefined || `${preset.CameraId}` != `${mainSource}`) {
+      continue;
+    }
+    if (await isCameraPresetPositionLive(preset.PresetId)) {
+      return { Type: 'Preset', CameraId: preset.CameraId, PresetId: preset.PresetId, PresetName: parsePresetNameTags(preset.Name).DisplayName };
+    }
+  }
+
+  return '';
+};
+
+/** Tracks the selection currently counted by the Analytics
+ * 
+ * @see recordSelectionUsage
+ */
+let usage = {
+  Current: undefined
+};
+
+/** Returns the saved usage data, creating it if it's missing
+ * 
+ * @see config.Analytics
+ */
+function getUsageData() {
+  if (memory.Data.Usage == undefined) {
+    memory.Data.Usage = { Since: new Date().toISOString(), Presets: {}, Tracking: {} };
+  }
+  memory.Data.Usage.Composites = memory.Data.Usage.Composites ?? {};
+  return memory.Data.Usage;
+};
+
+/** Maps the cause of a selection to the source recorded in the Analytics
+ * 
+ * @returns {string} ```Panel```, ```NativeMenu```, ```CallAuto```, ```Schedule```, ```RoomReset```, ```Presentation```, ```MacroApi```, ```Startup```, ```Manual```, ```Reconcile```, ```PeerSync``` or ```Other```
+ */
+function usageSourceFromCause(cause) {
+  const text = `${cause}`;
+  switch (true) {
+    case text.startsWith('WidgetAction'):
+      return 'Panel';
+    case text.startsWith('External Preset Selection'): case text.includes('Status Subscription'):
+      return 'NativeMenu';
+    case text.startsWith('Call'):
+      return 'CallAuto';
+    case text.startsWith('Schedule'):
+      return 'Schedule';
+    case text.startsWith('Room Reset'):
+      return 'RoomReset';
+    case text.startsWith('Presentation'):
+      return 'Presentation';
+    case text.startsWith('Macro API'):
+      return 'MacroApi';
+    case text.startsWith('Macro Initialization'):
+      return 'Startup';
+    case text.startsWith('CameraPosition'): case text.startsWith('Manual Control'):
+      return 'Manual';
+    case text.startsWith('Reconcile'):
+      return 'Reconcile';
+    case text.startsWith('Peer Sync'):
+      return 'PeerSync';
+  }
+  return 'Other';
+};
+
+/** Returns the usage entry for a ```Preset~[PresetId]```, ```Composite~[CompositeId]``` or ```Tracking~[Feature]``` key, creating it if it's missing
+ * 
+ * @param {object} data
+ * The usage data, or a copy of it
+ * 
+ * @see getUsageData
+ */
+function usageEntryFor(data, key) {
+  const [group, id] = key.split('~');
+  const list = group == 'Preset' ? data.Presets : group == 'Composite' ? data.Composites : data.Tracking;
+  list[id] = list[id] ?? { Activations: 0, Seconds: 0, Overrides: 0, Sources: {} };
+  return list[id];
+};
+
+/** Counts a selection as it goes live and adds the time the previous selection was live
+ * 
+ * A Manual selection that replaces another selection is counted as a manual override of that selection
+ * 
+ * Repeats of the current selection are ignored
+ * 
+ * @param {object} selection
+ * A Panel selection, such as ```lastPresetSelection```
+ * 
+ * @see config.Analytics
+ */
+function recordSelectionUsage(selection, cause) {
+  if (!config.Analytics.Enabled || !['Preset', 'Composite', 'Automatic'].includes(selection?.Type)) {
+    return;
+  }
+
+  const key = selection.Type == 'Automatic' ? `Tracking~${selection.Feature}` : selection.Type == 'Composite' ? `Composite~${selection.CompositeId}` : `Preset~${selection.PresetId}`;
+
+  if (usage.Current?.Key == key) {
+    return;
+  }
+
+  const data = getUsageData();
+
+  if (usage.Current != undefined) {
+    const previous = usageEntryFor(data, usage.Current.Key);
+    previous.Seconds = previous.Seconds + Math.round((Date.now() - usage.Current.Since) / 1000);
+    if (selection.Feature == 'Manual' && usage.Current.Key != 'Tracking~Manual') {
+      previous.Overrides++;
+    }
+  }
+
+  const entry = usageEntryFor(data, key);
+  const source = usageSourceFromCause(cause);
+  entry.Activations++;
+  entry.Sources[source] = (entry.Sources[source] ?? 0) + 1;
+  if (selection.Type == 'Preset') {
+    entry.CameraId = selection.CameraId;
+    entry.Name = selection.PresetName ?? entry.Name;
+  }
+  if (selection.Type == 'Composite') {
+    entry.Name = selection.CompositeName ?? entry.Name;
+  }
+
+  usage.Current = { Key: key, Since: Date.now() };
+  writeMemory('Usage', data);
+};
+
+/** Milliseconds between saves of the current selection's live time, the most live time a restart can lose
+ * 
+ * @see checkpointSelectionUsage
+ */
+const usageCheckpointInterval = 60000;
+
+/** Adds the time the current selection has been live so far to its usage and saves it
+ * 
+ * Runs every usageCheckpointInterval, so the live time of the selection that's current when the macro restarts isn't lost
+ * 
+ * @see config.Analytics
+ */
+function checkpointSelectionUsage() {
+  if (!config.Analytics.Enabled || usage.Current == undefined) {
+    return;
+  }
+
+  const seconds = Math.floor((Date.now() - usage.Current.Since) / 1000);
+
+  if (seconds < 1) {
+    return;
+  }
+
+  const data = getUsageData();
+  const entry = usageEntryFor(data, usage.Current.Key);
+  entry.Seconds = entry.Seconds + seconds;
+  usage.Current.Since = usage.Current.Since + (seconds * 1000);
+  writeMemory('Usage', data);
+};
+
+/** Formats seconds as hours, minutes and seconds for the Usage page
+ */
+function formatUsageDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  if (minutes > 0) {
+    return `${minutes}m ${seconds % 60}s`;
+  }
+  return `${seconds}s`;
+};
+
+/** Assembles the Usage Page for the Camera Preset Panel
+ * 
+ * Only rendered while the Admin page is unlocked
+ * 
+ * @see config.Analytics
+ */
+function buildUsagePageXml() {
+  const text = uiText.UsagePage;
+  const data = getUsageData();
+
+  const entries = [
+    ...Object.entries(data.Presets).map(([presetId, entry]) => { return { Name: entry.Name ?? `Preset ${presetId}`, ...entry } }),
+    ...Object.entries(data.Composites).map(([compositeId, entry]) => { return { Name: entry.Name ?? `Composite ${compositeId}`, ...entry } }),
+    ...Object.entries(data.Tracking).map(([feature, entry]) => { return { Name: uiText.Page.CameraTracking.Modes[feature] ?? feature, ...entry } })
+  ].sort((a, b) => b.Activations - a.Activations);
+
+  let rowXml = ``;
+  entries.forEach((entry, index) => {
+    const sources = Object.entries(entry.Sources).map(([source, count]) => `${source} ${count}`).join(', ');
+    rowXml = rowXml + `<Row>
+        <Name>${escapeXml(entry.Name)}</Name>
+        <Widget>
+          <WidgetId>camPresets~Usage~Entry${index}</WidgetId>
+          <Name>${escapeXml(`${entry.Name}: ${entry.Activations} ${text.Activations}, ${formatUsageDuration(entry.Seconds)} ${text.Live}, ${entry.Overrides} ${text.Overrides} (${sources})`)}</Name>
+          <Type>Text</Type>
+          <Options>size=4;fontSize=small;align=left</Options>
+        </Widget>
+      </Row>`
+  });
+
+  if (entries.length < 1) {
+    rowXml = `<Row>
+        <Name>Empty</Name>
+        <Widget>
+          <WidgetId>camPresets~Usage~Empty</WidgetId>
+          <Name>${escapeXml(text.Empty)}</Name>
+          <Type>Text</Type>
+          <Options>size=4;fontSize=normal;align=center</Options>
+        </Widget>
+      </Row>`
+  }
+
+  return `<Page>
+      <Name>${escapeXml(text.Name)}</Name>
+      <Row>
+        <Name>Info</Name>
+        <Widget>
+          <WidgetId>camPresets~Usage~Info</WidgetId>
+          <Name>${escapeXml(text.Since)} ${data.Since.slice(0, 10)}</Name>
+          <Type>Text</Type>
+          <Options>size=4;fontSize=normal;align=center</Options>
+        </Widget>
+      </Row>
+      ${rowXml}
+      <Row>
+        <Name>Actions</Name>
+        <Widget>
+          <WidgetId>camPresets~Usage~Export</WidgetId>
+          <Name>${escapeXml(text.Export)}</Name>
+          <Type>Button</Type>
+          <Options>size=2</Options>
+        </Widget>
+        <Widget>
+          <WidgetId>camPresets~Usage~Reset</WidgetId>
+          <Name>${escapeXml(text.Reset)}</Name>
+          <Type>Button</Type>
+          <Options>size=1</Options>
+        </Widget>
+        <Widget>
+          <WidgetId>camPresets~Usage~Back</WidgetId>
+          <Name>${escapeXml(text.Back)}</Name>
+          <Type>Button</Type>
+          <Options>size=1</Options>
+        </Widget>
+      </Row>
+      <PageId>camPresets~Usage</PageId>
+      <Options>hideRowNames=1</Options>
+    </Page>`
+};
+
+/** Writes the usage data to the console as JSON, and posts it to the Webhook if enabled
+ * 
+ * The time the current selection has been live so far is included
+ * 
+ * @see config.Analytics
+ * @see notifyWebhook
+ */
+function exportUsageReport(cause) {
+  const report = JSON.parse(JSON.stringify(getUsageData()));
+
+  if (usage.Current != undefined) {
+    const entry = usageEntryFor(report, usage.Current.Key);
+    entry.Seconds = entry.Seconds + Math.round((Date.now() - usage.Current.Since) / 1000);
+  }
+
+  report.Exported = new Date().toISOString();
+  console.log({ Message: `Preset Usage Report`, Cause: cause, Report: JSON.stringify(report) });
+  notifyWebhook('UsageReport', { Report: report, Cause: cause });
+  return report;
+};
+
+/** Tracks the Webhook queue
+ * 
+ * @see notifyWebhook
+ * @see sendWebhookQueue
+ */
+let webhook = {
+  Queue: [],
+  Sending: false,
+  RoomName: undefined
+};
+
+/** Queues a Webhook event and starts delivery in the background
+ * 
+ * Never awaited by callers, so an unreachable receiver can't slow down preset activation
+ * 
+ * Every event is queued, callers skip reporting a change twice
+ * 
+ * @param {string} event
+ * ```PresetActivated```, ```TrackingActivated``` or ```Manual```
+ * 
+ * @param {object} details
+ * Added to the event, such as ```Preset```, ```CameraId```, ```Feature``` and ```Cause```
+ * 
+ * @see config.Webhook
+ */
+function notifyWebhook(event, details) {
+  if (!config.Webhook.Enabled || config.Webhook.Url == '') {
+    return;
+  }
+
+  webhook.Queue.push({
+    Attempts: 0,
+    Body: { Room: webhook.RoomName, Event: event, ...details, Timestamp: new Date().toISOString() }
+  });
+
+  while (webhook.Queue.length > config.Webhook.QueueLength) {
+    const dropped = webhook.Queue.shift();
+    console.warn({ Warn: `Webhook Queue full, dropping oldest event`, Event: dropped.Body });
+  }
+
+  sendWebhookQueue();
+};
+
+/** Posts queued Webhook events in order
+ * 
+ * Failed events are held in the queue and retried with an exponential backoff, capped at ```MaxRetryDelay```, until they're delivered
+ * 
+ * An event the receiver rejects with a 4xx status, other than 408 or 429, is dropped as retrying it can't succeed
+ * 
+ * @xapi [xCommand HttpClient Post](https://roomos.cisco.com/xapi/Command.HttpClient.Post/)
+ * @xapi [xStatus UserInterface ContactInfo Name](https://roomos.cisco.com/xapi/Status.UserInterface.ContactInfo.Name/)
+ */
+async function sendWebhookQueue() {
+  if (webhook.Sending) {
+    return;
+  }
+  webhook.Sending = true;
+
+  if (webhook.RoomName == undefined) {
+    webhook.RoomName = await xapi.Status.UserInterface.ContactInfo.Name.get().catch(e => handleError(e, `Failed to get Room Name for Webhook`, 'debug')) ?? '';
+    webhook.Queue.forEach(item => item.Body.Room = item.Body.Room ?? webhook.RoomName);
+  }
+
+  while (webhook.Queue.length > 0) {
+    const item = webhook.Queue[0];
+    try {
+      await xapi.Command.HttpClient.Post({
+        Url: config.Webhook.Url,
+        Header: ['Content-Type: application/json', ...config.Webhook.Headers],
+        AllowInsecureHTTPS: config.Webhook.AllowInsecureHTTPS ? 'True' : 'False',
+        ResultBody: 'None',
+        Timeout: config.Webhook.Timeout
+      }, JSON.stringify(item.Body));
+      webhook.Queue = webhook.Queue.filter(queued => queued != item);
+    } catch (e) {
+      item.Attempts++;
+      const statusCode = Number(e?.data?.StatusCode);
+      if (statusCode >= 400 && statusCode < 500 && ![408, 429].includes(statusCode)) {
+        handleError(e, `Webhook event rejected with Status Code [${statusCode}], dropping it`, 'warn');
+        webhook.Queue = webhook.Queue.filter(queued => queued != item);
+        continue;
+      }
+      const delay = Math.min(config.Webhook.RetryDelay * Math.pow(2, Math.min(item.Attempts - 1, 30)), config.Webhook.MaxRetryDelay);
+      handleError(e, `Failed to post Webhook event, retrying in [${delay}ms]. Attempt [${item.Attempts}], [${webhook.Queue.length}] events queued`, item.Attempts == 1 ? 'warn' : 'debug');
+      setTimeout(() => {
+        webhook.Sending = false;
+        sendWebhookQueue();
+      }, delay);
+      return;
+    }
+  }
+
+  webhook.Sending = false;
+};
+
+/** Highlights a selection in the Camera Preset Panel and clears it from every other selection group
+ * 
+ * @param {object} selection
+ * 
+ * A parsed selection, ex: ```{ Type: 'Preset', PresetId: 1 }``` or ```{ Type: 'Automatic', Feature: 'Speaker' }```
+ * 
+ * Selections that are not rendered in the Panel clear all groups
+ * 
+ * @param {string} cause
+ * Used for logging
+ * 
+ * @see renderedPresetWidgets
+ * @see renderedPresetSelections
+ * @xapi [xCommand UserInterface Extensions Widget SetValue](https://roomos.cisco.com/xapi/Command.UserInterface.Extensions.Widget.SetValue/)
+ * @xapi [xCommand UserInterface Extensions Widget UnsetValue](https://roomos.cisco.com/xapi/Command.UserInterface.Extensions.Widget.UnsetValue/)
+ */
+function setPresetSelectionFeedback(selection, cause) {
+  presetSelectionFeedbackQueue = presetSelectionFeedbackQueue.then(() => updatePresetSelectionWidgets(selection, cause)).catch(e => handleError(e, `Failed to update Preset Selection Feedback. Cause: ${cause}`, 'debug'));
+  return presetSelectionFeedbackQueue;
+};
+
+/** Orders Panel feedback updates so overlapping selections can't leave more than 1 group highlighted
+ * 
+ * @see setPresetSelectionFeedback
+ */
+let presetSelectionFeedbackQueue = Promise.resolve();
+
+/** Sets and Unsets the selection widgets for setPresetSelectionFeedback
+ * 
+ * @see setPresetSelectionFeedback
+ */
+async function updatePresetSelectionWidgets(selection, cause) {
+  let widgetId = `camPresets~PresetList~Presets`;
+  let value = ``;
+
+  broadcastSelectionChange(selection, cause);
+  syncSelectionToPeers(selection, cause);
+  if (selection != '') {
+    armRoomReset(cause);
+  }
+
+  if (config.Persistence.Enabled && ['Preset', 'Composite', 'Automatic'].includes(selection?.Type)) {
+    writeMemory('LastSelection', selection);
+  }
+
+  recordSelectionUsage(selection, cause);
+
+  switch (selection?.Type) {
+    case 'Automatic':
+      value = encodeKeyValuePairs({ Type: 'Automatic', Feature: selection.Feature });
+      break;
+    case 'Preset':
+      if (renderedPresetSelections[selection.PresetId] != undefined) {
+        widgetId = renderedPresetSelections[selection.PresetId].WidgetId;
+        value = renderedPresetSelections[selection.PresetId].Value;
+      }
+      break;
+    case 'Composite':
+      if (renderedCompositeSelections[selection.CompositeId] != undefined) {
+        widgetId = renderedCompositeSelections[selection.CompositeId].WidgetId;
+        value = renderedCompositeSelections[selection.CompositeId].Value;
+      }
+      break;
+  }
+
+  for (const id of renderedPresetWidgets) {
+    if (id == widgetId && value != '') {
+      continue;
+    }
+    await xapi.Command.UserInterface.Extensions.Widget.UnsetValue({ WidgetId: id }).catch(e => handleError(e, `Failed to Unset Widget Value. Cause: ${cause}`, 'debug'));
+  }
+
+  if (value == '') {
+    return;
+  }
+
+  await xapi.Command.UserInterface.Extensions.Widget.SetValue({ WidgetId: widgetId, Value: value }).catch(e => {
+    xapi.Command.UserInterface.Extensions.Widget.UnsetValue({ WidgetId: widgetId });
+    handleError(e, `Failed to Set Widget Value. Cause: ${cause}`, 'debug');
+  });
+};
+
+/** Activates camera preset and set's main source to CameraId
+ * 
+ * @param {object} presetInfo
+ * 
+ * presetInfo must include a minimum definition of a CameraId and PresetId as Keys. Name is optional and helps with logging
+ * 
+ * Runs through the camera action queue, resolving ```false``` if a newer request supersedes it or the preset fails to activate
+ * 
+ * @see queueCameraAction
+ * @xapi [xCommand Camera Preset Activate](https://roomos.cisco.com/xapi/Command.Camera.Preset.Activate/)
+ * @xapi [xCommand Video Input SetMainVideoSource](https://roomos.cisco.com/xapi/Command.Video.Input.SetMainVideoSource/)
+ * @xapi [xCommand Cameras SpeakerTrack Deactivate](https://roomos.cisco.com/xapi/Command.Cameras.SpeakerTrack.Deactivate/)
+ * @xapi [xCommand Cameras SpeakerTrack Frames Deactivate](https://roomos.cisco.com/xapi/Command.Cameras.SpeakerTrack.Frames.Deactivate/)
+ * @xapi [xCommand Cameras PresenterTrack Set](https://roomos.cisco.com/xapi/Command.Cameras.PresenterTrack.Set/)
+ */
+async function activateCameraPreset(presetInfo, cause) {
+  if (presetInfo.CameraId == undefined || presetInfo.PresetId == undefined) {
+    throw new Error(`Unable to set Camera Preset, a CameraId and PresetId are required. Cause: ${cause}`);
+  };
+
+  return await queueCameraAction(`Preset [${presetInfo.PresetId}]`, async request => {
+    await deactivateCameraTracking(cause);
+
+    console.debug({ Debug: `Setting Preset`, ...presetInfo, Cause: cause })
+    expectCameraMotion([presetInfo.CameraId], cause);
+    try {
+      await xapi.Command.Camera.Preset.Activate({ PresetId: presetInfo.PresetId });
+    } catch (e) {
+      handleError(e, `Failed to Activate Camera Preset [${presetInfo.PresetId}], leaving the MainSource as is. Cause: ${cause}`);
+      return false;
+    }
+
+    if (config.Features.MainSourceSetOnCameraRampStop) {
+      console.debug({ Debug: `Waiting for Camera Position to Set` })
+      await waitForCameraStop([presetInfo.CameraId], request).then(resolution => {
+        console.debug({ Debug: `Camera Position Monitoring Stopped on [[${presetInfo.CameraId}]]`, Resolution: resolution })
+      });
+    }
+
+    if (request.Superseded) {
+      console.debug({ Debug: `Camera Preset [${presetInfo.PresetId}] superseded, leaving the MainSource as is`, Cause: cause });
+      return false;
+    }
+
+    console.debug({ Debug: `Setting MainSource to [${presetInfo.CameraId}] for Camera Preset` })
+    await xapi.Command.Video.Input.SetMainVideoSource({ ConnectorId: presetInfo.CameraId });
+
+    console.log({ Message: `Camera Preset Activated`, PresetInfo: presetInfo, Cause: cause });
+    notifyWebhook('PresetActivated', { Preset: { PresetId: presetInfo.PresetId, Name: presetInfo.PresetName }, CameraId: presetInfo.CameraId, Cause: cause });
+    return true;
+  });
+};
+
+/** Runs a camera action once the actions before it finish, so activations never interleave
+ * 
+ * A new request supersedes every request still waiting, which then never runs, and interrupts the running action's wait for its cameras to stop
+ * 
+ * @param {string} description
+ * Used for logging
+ * @param {function} action
+ * Receives the request, whose ```Superseded``` key turns true once a newer request arrives
+ * 
+ * @returns {Promise<any>} The action's result, or ```false``` if it was superseded before it ran
+ */
+function queueCameraAction(description, action) {
+  if (cameraActions.Latest != undefined) {
+    cameraActions.Latest.Superseded = true;
+    cameraActions.Latest.Interrupt();
+  }
+
+  const request = { Description: description, Superseded: false, Done: false, Interrupt: () => void 0 };
+  cameraActions.Latest = request;
+
+  const run = cameraActions.Queue.then(() => {
+    if (request.Superseded) {
+      console.debug({ Debug: `Camera Action [${description}] superseded before it started` });
+      return false;
+    }
+    return action(request);
+  });
+
+  cameraActions.Queue = run.catch(() => void 0).then(() => { request.Done = true });
+  return run;
+};
+
+/** Returns true while a camera action is waiting or running
+ * 
+ * @see queueCameraAction
+ */
+function isCameraActionPending() {
+  return cameraActions.Latest != undefined && !cameraActions.Latest.Done;
+};
+
+/** Returns true if a tracking feature is already the selection, or this macro is activating tracking
+ * 
+ * Used so the codec reporting tracking this macro started isn't posted as a new change. Frames runs on SpeakerTrack, so Speaker counts as selected with Frames, and any tracking activation counts
+ * 
+ * @see activateCameraTracking
+ */
+function isTrackingSelected(feature) {
+  const selected = lastPresetSelection?.Type == 'Automatic' ? lastPresetSelection.Feature : undefined;
+  if (selected == feature || (selected == 'Frames' && feature == 'Speaker')) {
+    return true;
+  }
+  return isCameraActionPending() && cameraActions.Latest.Description.startsWith('Tracking [');
+};
+
+/** Marks cameras as moving under this macro's control, so their position changes aren't treated as a manual move
+ * 
+ * Each camera stays marked until it stops moving, or until the failsafe if it never starts
+ * 
+ * @param {Array<number|string>} cameraIds
+ * CameraIds, or ```*``` for every camera
+ * 
+ * @see noteCameraMotion
+ * @see waitForCameraStop
+ */
+function expectCameraMotion(cameraIds, cause) {
+  cameraIds.forEach(cameraId => {
+    const key = `${cameraId}`;
+    const previous = cameraMotion[key];
+    let entry = { Moved: false, Cause: cause, Settle: '', Failsafe: '', Stopped: previous?.Stopped, Resolve: previous?.Resolve };
+
+    if (previous != undefined) {
+      clearTimeout(previous.Settle);
+      clearTimeout(previous.Failsafe);
+    } else {
+      entry.Stopped = new Promise(resolve => entry.Resolve = resolve);
+    }
+
+    entry.Failsafe = setTimeout(() => {
+      if (!entry.Moved) {
+        endCameraMotion(key, 'Timed Out');
+      }
+    }, failsafeDebounceTime_for_MainSourceSetOnCameraRampStop);
+
+    cameraMotion[key] = entry;
+  });
+};
+
+/** Clears a camera's motion entry and releases anything waiting on it
+ */
+function endCameraMotion(key, resolution) {
+  const entry = cameraMotion[key];
+  if (entry == undefined) {
+    return;
+  }
+  clearTimeout(entry.Settle);
+  clearTimeout(entry.Failsafe);
+  delete cameraMotion[key];
+  entry.Resolve(`Camera [${key}] ${resolution}`);
+};
+
+/** Records a position change on a camera this macro is moving
+ * 
+ * Changes while a tracking feature is live are expected too, as tracking keeps moving the cameras long after it starts
+ * 
+ * @returns {boolean} ```true``` if the change was expected, ```false``` if it's a manual move
+ */
+function noteCameraMotion(cameraId) {
+  const key = cameraMotion[`${cameraId}`] != undefined ? `${cameraId}` : '*';
+  const entry = cameraMotion[key];
+
+  if (entry == undefined) {
+    return cameraTrackingLive;
+  }
+
+  entry.Moved = true;
+  clearTimeout(entry.Settle);
+  entry.Settle = setTimeout(() => endCameraMotion(key, 'Stopped'), cameraMotionSettleTime);
+  return true;
+};
+
+/** Returns true while a camera is moving under this macro's control
+ */
+function isCameraMotionExpected(cameraId) {
+  return cameraMotion[`${cameraId}`] != undefined || cameraMotion['*'] != undefined;
+};
+
+/** Resolves once each camera stops moving, or once the request is superseded
+ * 
+ * @param {Array<number|string>} cameraIds
+ * @param {object} request
+ * The running camera action
+ * 
+ * @see queueCameraAction
+ * @xapi [xStatus Cameras Camera[n] Position](https://roomos.cisco.com/xapi/search?Type=Status&search=Status+Camera+*+Position)
+ */
+async function waitForCameraStop(cameraIds, request) {
+  const stopped = Promise.all(cameraIds.map(cameraId => cameraMotion[`${cameraId}`]?.Stopped ?? `Camera [${cameraId}] Stopped`));
+  const superseded = new Promise(resolve => request.Interrupt = () => resolve('Superseded'));
+  return await Promise.race([stopped, superseded]);
+};
+
+/** Turns off every tracking feature ahead of a Camera Preset
+ * 
+ * Cameras may reposition as tracking stops, so every camera is marked as moving if tracking was live
+ * 
+ * @xapi [xCommand Cameras SpeakerTrack Deactivate](https://roomos.cisco.com/xapi/Command.Cameras.SpeakerTrack.Deactivate/)
+ * @xapi [xCommand Cameras SpeakerTrack Frames Deactivate](https://roomos.cisco.com/xapi/Command.Cameras.SpeakerTrack.Frames.Deactivate/)
+ * @xapi [xCommand Cameras PresenterTrack Set](https://roomos.cisco.com/xapi/Command.Cameras.PresenterTrack.Set/)
+ */
+async function deactivateCameraTracking(cause) {
+  if (cameraTrackingLive) {
+    expectCameraMotion(['*'], cause);
+    cameraTrackingLive = false;
+  }
+  await xapi.Command.Cameras.SpeakerTrack.Deactivate().catch(e => handleError(e, `Failed to Deactivate Speakertrack. Cause: ${cause}`, 'debug'));
+  await xapi.Command.Cameras.SpeakerTrack.Frames.Deactivate().catch(e => handleError(e, `Failed to Deactivate Frames. Cause: ${cause}`, 'debug'));
+  await xapi.Command.Cameras.PresenterTrack.Set({ Mode: 'Off' }).catch(e => handleError(e, `Failed to Deactivate Presentertrack. Cause: ${cause}`, 'debug'));
+};
+
+/** Activates the default camera preset and set's main source to CameraId
+ * 
+ * The preset is shown as the selection, and counted in the Analytics under the source of the ```cause```, before the codec reports it activated
+ * 
+ * @xapi [xCommand Camera Preset List](https://roomos.cisco.com/xapi/Command.Camera.Preset.List/)
+ * @xapi [xCommand Camera Preset Activate](https://roomos.cisco.com/xapi/Command.Camera.Preset.Activate/)
+ * @xapi [xCommand Video Input SetMainVideoSource](https://roomos.cisco.com/xapi/Command.Video.Input.SetMainVideoSource/)
+ * @xapi [xCommand Cameras SpeakerTrack Deactivate](https://roomos.cisco.com/xapi/Command.Cameras.SpeakerTrack.Deactivate/)
+ * @xapi [xCommand Cameras SpeakerTrack Frames Deactivate](https://roomos.cisco.com/xapi/Command.Cameras.SpeakerTrack.Frames.Deactivate/)
+ * @xapi [xCommand Cameras PresenterTrack Set](https://roomos.cisco.com/xapi/Command.Cameras.PresenterTrack.Set/)
+ */
+async function activateDefaultCameraPreset(cause) {
+  stopAutomaticPresetModes(cause);
+
+  return await queueCameraAction(`Default Preset`, async request => {
+    await deactivateCameraTracking(cause);
+
+    availableCameraPresets = (await xapi.Command.Camera.Preset.List()).Preset;
+
+    let defaultFound = false;
+
+    for (let i = 0; i < availableCameraPresets.length; i++) {
+      if (availableCameraPresets[i].DefaultPosition.toLowerCase() == 'true') {
+        defaultFound = true;
+        console.debug({ Debug: `Default Camera Preset Found, setting preset position` })
+        lastPresetSelection = { Type: 'Preset', CameraId: availableCameraPresets[i].CameraId, PresetId: availableCameraPresets[i].PresetId, PresetName: parsePresetNameTags(availableCameraPresets[i].Name).DisplayName };
+        setPresetSelectionFeedback(lastPresetSelection, cause);
+        expectCameraMotion([availableCameraPresets[i].CameraId], cause);
+        await xapi.Command.Camera.Preset.Activate({ PresetId: availableCameraPresets[i].PresetId });
+
+        if (config.Features.MainSourceSetOnCameraRampStop) {
+          console.debug({ Debug: `Waiting for Camera Position to Set` })
+          await waitForCameraStop([availableCameraPresets[i].CameraId], request).then(resolution => {
+            console.debug({ Debug: `Camera Position Monitoring Stopped on [${availableCameraPresets[i].CameraId}]`, Resolution: resolution })
+          });
+        }
+
+        if (request.Superseded) {
+          console.debug({ Debug: `Default Camera Preset superseded, leaving the MainSource as is`, Cause: cause });
+          return false;
+        }
+
+        console.debug({ Debug: `Setting MainSource to [${availableCameraPresets[i].CameraId}] for Default Camera Preset` })
+        await xapi.Command.Video.Input.SetMainVideoSource({ ConnectorId: availableCameraPresets[i].CameraId });
+
+        console.log({ Message: `Default Camera Preset Activated`, PresetInfo: availableCameraPresets[i], Cause: cause });
+        notifyWebhook('PresetActivated', { Preset: { PresetId: availableCameraPresets[i].PresetId, Name: parsePresetNameTags(availableCameraPresets[i].Name).DisplayName, Default: true }, CameraId: availableCameraPresets[i].CameraId, Cause: cause });
+        break;
+      };
+    };
+
+    if (!defaultFound) {
+      console.warn({ Warn: `Unable to find Default Camera Preset`, Cause: cause });
+    };
+
+    return defaultFound;
+  });
+};
+
+/** Tracks the state of the PIN protected Admin page
+ * 
+ * ```CameraId``` and ```PresetId``` hold the current selections on the Admin page. ```FailedPins``` counts incorrect PINs in a row, and the PIN prompt is locked out until ```LockedOutUntil```
+ * 
+ * @see unlockAdminPage
+ * @see lockAdminPage
+ * @see checkAdminPin
+ */
+let adminPage = {
+  Unlocked: false,
+  CameraId: undefined,
+  PresetId: undefined,
+  LockHandler: '',
+  FailedPins: 0,
+  LockedOutUntil: 0
+};
+
+/** Restarts the timer that locks the Admin page
+ * 
+ * @see config.Admin.LockTimeout
+ */
+function refreshAdminLockTimer() {
+  clearTimeout(adminPage.LockHandler);
+  adminPage.LockHandler = setTimeout(() => {
+    lockAdminPage('Admin Lock Timeout');
+  }, config.Admin.LockTimeout * 60000);
+};
+
+/** Unlocks the Admin page, adds it to the Camera Preset Panel and opens it
+ * 
+ * @xapi [xCommand UserInterface Extensions Panel Open](https://roomos.cisco.com/xapi/Command.UserInterface.Extensions.Panel.Open/)
+ */
+async function unlockAdminPage(cause) {
+  adminPage.Unlocked = true;
+  refreshAdminLockTimer();
+  console.log({ Message: `Admin Page Unlocked`, Cause: cause });
+  await buildUserInterface(cause);
+  await xapi.Command.UserInterface.Extensions.Panel.Open({ PanelId: 'camPresets', PageId: 'camPresets~Admin' }).catch(e => handleError(e, `Failed to Open Admin Page. Cause: ${cause}`, 'debug'));
+};
+
+/** Returns true while the PIN prompt is locked out after too many incorrect PINs, showing an alert if it is
+ * 
+ * @see config.Admin.MaxPinAttempts
+ * @xapi [xCommand UserInterface Message Alert Display](https://roomos.cisco.com/xapi/Command.UserInterface.Message.Alert.Display/)
+ */
+function isAdminPinLockedOut() {
+  if (Date.now() >= adminPage.LockedOutUntil) {
+    return false;
+  }
+  xapi.Command.UserInterface.Message.Alert.Display({ Title: uiText.AdminPage.PinPrompt.Title, Text: uiText.AdminPage.PinPrompt.LockedOut, Duration: 5 }).catch(e => handleError(e, `Failed to Display PIN Lockout Alert`, 'debug'));
+  return true;
+};
+
+/** Unlocks the Admin page if the PIN entered matches, locking out the PIN prompt after ```MaxPinAttempts``` incorrect PINs in a row
+ * 
+ * @see config.Admin.Pin
+ * @xapi [xCommand UserInterface Message Alert Display](https://roomos.cisco.com/xapi/Command.UserInterface.Message.Alert.Display/)
+ */
+async function checkAdminPin(text) {
+  if (isAdminPinLockedOut()) {
+    console.warn({ Warn: `Admin PIN ignored, the PIN prompt is locked out` });
+    return;
+  }
+
+  if (`${text}` == `${config.Admin.Pin}`) {
+    adminPage.FailedPins = 0;
+    await unlockAdminPage('Admin PIN Accepted');
+    return;
+  }
+
+  adminPage.FailedPins++;
+  console.warn({ Warn: `Incorrect Admin PIN entered`, Attempts: adminPage.FailedPins });
+
+  if (adminPage.FailedPins < config.Admin.MaxPinAttempts) {
+    xapi.Command.UserInterface.Message.Alert.Display({ Title: uiText.AdminPage.PinPrompt.Title, Text: uiText.AdminPage.PinPrompt.Incorrect, Duration: 5 }).catch(e => handleError(e, `Failed to Display Incorrect PIN Alert`, 'debug'));
+    return;
+  }
+
+  adminPage.FailedPins = 0;
+  adminPage.LockedOutUntil = Date.now() + config.Admin.LockoutTime * 60000;
+  console.warn({ Warn: `Admin PIN prompt locked out for [${config.Admin.LockoutTime}] minutes after [${config.Admin.MaxPinAttempts}] incorrect PINs` });
+  isAdminPinLockedOut();
+};
+
+/** Locks the Admin page and removes it from the Camera Preset Panel
+ */
+async function lockAdminPage(cause) {
+  if (!adminPage.Unlocked) {
+    return;
+  }
+  clearTimeout(adminPage.LockHandler);
+  adminPage.Unlocked = false;
+  adminPage.PresetId = undefined;
+  console.log({ Message: `Admin Page Locked`, Cause: cause });
+  await buildUserInterface(cause);
+};
+
+/** Opens a Text Input on the Touch Panel for the Admin and Manual Control pages
+ * 
+ * The response is handled by the ```AdminTextInputResponse``` or ```ManualControlTextInputResponse``` subscription using the FeedbackId
+ * 
+ * @xapi [xCommand UserInterface Message TextInput Display](https://roomos.cisco.com/xapi/Command.UserInterface.Message.TextInput.Display/)
+ */
+function displayAdminTextInput(feedbackId, text, inputType = 'SingleLine', inputText = '') {
+  xapi.Command.UserInterface.Message.TextInput.Display({
+    FeedbackId: feedbackId,
+    Title: text.Title,
+    Text: text.Text,
+    SubmitText: text.SubmitText,
+    InputType: inputType,
+    InputText: inputText,
+    KeyboardState: 'Open'
+  }).catch(e => handleError(e, `Failed to Display Text Input [${feedbackId}]`));
+};
+
+/** Opens a confirmation Prompt on the Touch Panel for the Admin page
+ * 
+ * The response is handled by the ```AdminPromptResponse``` subscription using the FeedbackId
+ * 
+ * @xapi [xCommand UserInterface Message Prompt Display](https://roomos.cisco.com/xapi/Command.UserInterface.Message.Prompt.Display/)
+ */
+function displayAdminConfirmation(feedbackId, title, text) {
+  xapi.Command.UserInterface.Message.Prompt.Display({
+    FeedbackId: feedbackId,
+    Title: title,
+    Text: text,
+    'Option.1': uiText.AdminPage.ConfirmPrompt.Confirm,
+    'Option.2': uiText.AdminPage.ConfirmPrompt.Cancel
+  }).catch(e => handleError(e, `Failed to Display Prompt [${feedbackId}]`));
+};
+
+/** Runs an Admin page action against the preset selected on the Admin page
+ * 
+ * Changes to the preset list are rendered by the ```CameraPresetListUpdated``` subscription
+ * 
+ * @param {string} action
+ * One of ```Store```, ```Overwrite```, ```Rename```, ```Default``` or ```Remove```
+ * 
+ * @xapi [xCommand Camera Preset Store](https://roomos.cisco.com/xapi/Command.Camera.Preset.Store/)
+ * @xapi [xCommand Camera Preset Edit](https://roomos.cisco.com/xapi/Command.Camera.Preset.Edit/)
+ * @xapi [xCommand Camera Preset Remove](https://roomos.cisco.com/xapi/Command.Camera.Preset.Remove/)
+ */
+async function runAdminPresetAction(action, name) {
+  refreshAdminLockTimer();
+  const preset = availableCameraPresets.find(item => item.PresetId == adminPage.PresetId);
+
+  if (action != 'Store' && preset == undefined) {
+    xapi.Command.UserInterface.Message.Alert.Display({ Title: uiText.AdminPage.Name, Text: uiText.AdminPage.NoPresetSelected, Duration: 5 }).catch(e => handleError(e, `Failed to Display Admin Alert`, 'debug'));
+    return;
+  }
+
+  try {
+    switch (action) {
+      case 'Store':
+        await xapi.Command.Camera.Preset.Store({ CameraId: adminPage.CameraId, Name: name });
+        break;
+      case 'Overwrite':
+        await xapi.Command.Camera.Preset.Store({ CameraId: preset.CameraId, PresetId: preset.PresetId, Name: preset.Name, DefaultPosition: preset.DefaultPosition });
+        break;
+      case 'Rename':
+        await xapi.Command.Camera.Preset.Edit({ PresetId: preset.PresetId, Name: name });
+        break;
+      case 'Default':
+        for (const item of availableCameraPresets) {
+          if (item.PresetId != preset.PresetId && item.DefaultPosition.toLowerCase() == 'true') {
+            await xapi.Command.Camera.Preset.Edit({ PresetId: item.PresetId, DefaultPosition: 'False' });
+          }
+        }
+        await xapi.Command.Camera.Preset.Edit({ PresetId: preset.PresetId, DefaultPosition: 'True' });
+        break;
+      case 'Remove':
+        await xapi.Command.Camera.Preset.Remove({ PresetId: preset.PresetId });
+        setPresetMetadata({ [preset.PresetId]: undefined });
+        adminPage.PresetId = undefined;
+        break;
+    }
+    console.log({ Message: `Admin [${action}] Camera Preset`, PresetInfo: preset ?? { CameraId: adminPage.CameraId, Name: name } });
+  } catch (e) {
+    handleError(e, `Failed to [${action}] Camera Preset from the Admin page`);
+    xapi.Command.UserInterface.Message.Alert.Display({ Title: uiText.AdminPage.Name, Text: `${action} failed: ${e.message}`, Duration: 5 }).catch(e => handleError(e, `Failed to Display Admin Alert`, 'debug'));
+  }
+};
+
+/** Changes how the preset selected on the Admin page is shown in the Camera Preset Panel, then rebuilds the Panel
+ * 
+ * Moving a preset saves the order of every visible preset, so it no longer follows the ```#n``` name tags. Favorites only move among favorites
+ * 
+ * @param {string} action
+ * One of ```Favorite```, ```Label```, ```MoveUp``` or ```MoveDown```
+ * @param {string} label
+ * Used by ```Label```, an empty label shows the preset name
+ * 
+ * @see setPresetMetadata
+ */
+async function runAdminMetadataAction(action, label) {
+  refreshAdminLockTimer();
+  const preset = availableCameraPresets.find(item => item.PresetId == adminPage.PresetId);
+
+  if (preset == undefined) {
+    xapi.Command.UserInterface.Message.Alert.Display({ Title: uiText.AdminPage.Name, Text: uiText.AdminPage.NoPresetSelected, Duration: 5 }).catch(e => handleError(e, `Failed to Display Admin Alert`, 'debug'));
+    return;
+  }
+
+  switch (action) {
+    case 'Favorite':
+      setPresetMetadata({ [preset.PresetId]: { Favorite: getPresetMetadata(preset.PresetId).Favorite !== true } });
+      break;
+    case 'Label':
+      setPresetMetadata({ [preset.PresetId]: { Label: `${label ?? ''}`.trim() } });
+      break;
+    case 'MoveUp': case 'MoveDown': {
+      const ordered = getOrderedCameraPresets();
+      const index = ordered.findIndex(item => item.PresetId == preset.PresetId);
+      const swapIndex = index + (action == 'MoveUp' ? -1 : 1);
+      if (index < 0 || ordered[swapIndex] == undefined || ordered[swapIndex].Favorite != ordered[index].Favorite) {
+        return;
+      }
+      [ordered[index], ordered[swapIndex]] = [ordered[swapIndex], ordered[index]];
+      let changes = {};
+      ordered.forEach((item, position) => changes[item.PresetId] = { Order: position + 1 });
+      setPresetMetadata(changes);
+      break;
+    }
+  }
+
+  console.log({ Message: `Admin [${action}] Camera Preset`, PresetInfo: preset, Metadata: getPresetMetadata(preset.PresetId) });
+  await buildUserInterface(`Admin ${action}`);
+};
+
+/** Assembles the Admin Page for the Camera Preset Panel
+ * 
+ * Only rendered while the Admin page is unlocked
+ * 
+ * @see adminPage
+ * @see getConnectedCameras
+ */
+async function buildAdminPageXml() {
+  const text = uiText.AdminPage;
+
+  const cameras = await getConnectedCameras();
+
+  if (cameras.find(camera => camera.id == adminPage.CameraId) == undefined) {
+    adminPage.CameraId = cameras.length > 0 ? cameras[0].id : 1;
+  }
+
+  let cameraXml = ``;
+  cameras.forEach(camera => {
+    cameraXml = cameraXml + `<Value>
+      <Key>${camera.id}</Key>
+      <Name>${escapeXml(uiText.Page.CameraGroups.Names[camera.id] ?? `${uiText.Page.CameraGroups.DefaultName} ${camera.id}`)}</Name>
+    </Value>`
+  });
+
+  const orderedPresets = getOrderedCameraPresets();
+  const adminPresets = [...orderedPresets, ...availableCameraPresets.filter(preset => orderedPresets.find(item => item.PresetId == preset.PresetId) == undefined)];
+
+  let presetXml = ``;
+  adminPresets.forEach(preset => {
+    presetXml = presetXml + `<Value>
+      <Key>${preset.PresetId}</Key>
+      <Name>${escapeXml(preset.Name)}${preset.Favorite ? ' ★' : ''}${preset.DefaultPosition.toLowerCase() == 'true' ? ` ${escapeXml(uiText.Page.Preset.DefaultIndicator)}` : ''}</Name>
+    </Value>`
+  });
+
+  let buttonXml = ``;
+  ['Store', 'Overwrite', 'Rename', 'Default', 'Remove', 'Favorite', 'Label', 'MoveUp', 'MoveDown', 'Lock', ...(config.Analytics.Enabled ? ['Usage'] : [])].forEach(button => {
+    buttonXml = buttonXml + `<Widget>
+          <WidgetId>camPresets~Admin~${button}</WidgetId>
+          <Name>${escapeXml(text.Buttons[button])}</Name>
+          <Type>Button</Type>
+          <Options>size=2</Options>
+        </Widget>`
+  });
+
+  return `<Page>
+      <Name>${escapeXml(text.Name)}</Name>
+      <Row>
+        <Name>Info</Name>
+        <Widget>
+          <WidgetId>camPresets~Admin~Info</WidgetId>
+          <Name>${escapeXml(text.Infobox)}</Name>
+          <Type>Text</Type>
+          <Options>size=4;fontSize=normal;align=center</Options>
+        </Widget>
+      </Row>
+      <Row>
+        <Name>${escapeXml(text.Cameras)}</Name>
+        <Widget>
+          <WidgetId>camPresets~Admin~Cameras</WidgetId>
+          <Type>GroupButton</Type>
+          <Options>size=4;columns=${Math.min(Math.max(cameras.length, 1), 4)}</Options>
+          <ValueSpace>
+            ${cameraXml}
+          </ValueSpace>
+        </Widget>
+      </Row>
+      <Row>
+        <Name>Presets</Name>
+        <Widget>
+          <WidgetId>camPresets~Admin~Presets</WidgetId>
+          <Type>GroupButton</Type>
+          <Options>size=4;columns=1</Options>
+          <ValueSpace>
+            ${presetXml}
+          </ValueSpace>
+        </Widget>
+      </Row>
+      <Row>
+        <Name>Actions</Name>
+        ${buttonXml}
+      </Row>
+      <PageId>camPresets~Admin</PageId>
+      <Options>hideRowNames=1</Options>
+    </Page>`
+};
+
+/** Returns the cameras connected to the codec
+ * 
+ * @xapi [xStatus Cameras Camera](https://roomos.cisco.com/xapi/search?search=Status+Cameras+Camera&Type=Status)
+ */
+async function getConnectedCameras() {
+  return ((await xapi.Status.Cameras.Camera.get().catch(e => handleError(e, `Failed to get Camera Status`, 'debug'))) ?? []).filter(camera => `${camera.Connected}`.toLowerCase() == 'true');
+};
+
+/** Tracks the Manual Control page
+ * 
+ * ```Pressed``` is the pad move being held. ```Moving``` holds the cameras moved from the pad, keyed by CameraId, until each settles after its move is released
+ * 
+ * @see startManualControlMove
+ * @see noteManualControlMotion
+ */
+let manualControl = {
+  CameraId: undefined,
+  Pressed: undefined,
+  Moving: {}
+};
+
+/** Opens the Manual Control page, on the camera that's the Main Video Source if it's connected
+ * 
+ * @see config.ManualControl
+ * @xapi [xStatus Video Input MainVideoSource](https://roomos.cisco.com/xapi/Status.Video.Input.MainVideoSource/)
+ * @xapi [xCommand UserInterface Extensions Panel Open](https://roomos.cisco.com/xapi/Command.UserInterface.Extensions.Panel.Open/)
+ */
+async function openManualControlPage(cause) {
+  const cameras = await getConnectedCameras();
+  const mainSource = await xapi.Status.Video.Input.MainVideoSource.get().catch(() => undefined);
+
+  if (cameras.find(camera => camera.id == mainSource) != undefined) {
+    manualControl.CameraId = Number(mainSource);
+  } else if (cameras.find(camera => camera.id == manualControl.CameraId) == undefined) {
+    manualControl.CameraId = cameras.length > 0 ? Number(cameras[0].id) : 1;
+  }
+
+  console.log({ Message: `Opening Manual Control`, CameraId: manualControl.CameraId, Cause: cause });
+  if (cameras.length > 1) {
+    xapi.Command.UserInterface.Extensions.Widget.SetValue({ WidgetId: `camPresets~Manual~Cameras`, Value: `${manualControl.CameraId}` }).catch(e => handleError(e, `Failed to Set Manual Control Camera Widget Value. Cause: ${cause}`, 'debug'));
+  }
+  await xapi.Command.UserInterface.Extensions.Panel.Open({ PanelId: 'camPresets', PageId: 'camPresets~Manual' }).catch(e => handleError(e, `Failed to Open Manual Control Page. Cause: ${cause}`, 'debug'));
+};
+
+/** Switches the Manual Control page to another camera and shows it in the Main Video Source
+ * 
+ * @xapi [xCommand Video Input SetMainVideoSource](https://roomos.cisco.com/xapi/Command.Video.Input.SetMainVideoSource/)
+ */
+async function selectManualControlCamera(cameraId, cause) {
+  stopManualControlMove(cause);
+  manualControl.CameraId = cameraId;
+  console.log({ Message: `Manual Control Camera selected`, CameraId: cameraId, Cause: cause });
+  await queueCameraAction(`Manual Control Camera [${cameraId}]`, async () => {
+    await xapi.Command.Video.Input.SetMainVideoSource({ ConnectorId: cameraId });
+    return true;
+  }).catch(e => handleError(e, `Failed to set the MainSource to Manual Control Camera [${cameraId}]. Cause: ${cause}`));
+};
+
+/** Starts moving the Manual Control camera while a pad button is held
+ * 
+ * The selection changes to Manual as the move starts, and the camera's position changes are left out of the ```CameraPosition``` subscription until it settles
+ * 
+ * @param {string} axis
+ * ```Pan```, ```Tilt``` or ```Zoom```
+ * @param {string} direction
+ * ```Left``` or ```Right``` to Pan, ```Up``` or ```Down``` to Tilt, ```In``` or ```Out``` to Zoom
+ * 
+ * @see stopManualControlMove
+ * @xapi [xCommand Camera Ramp](https://roomos.cisco.com/xapi/Command.Camera.Ramp/)
+ */
+async function startManualControlMove(axis, direction, cause) {
+  const cameraId = manualControl.CameraId;
+  const press = { CameraId: cameraId, Axis: axis, Direction: direction };
+
+  manualControl.Pressed = press;
+  clearTimeout(manualControl.Moving[`${cameraId}`]?.Settle);
+  manualControl.Moving[`${cameraId}`] = { Settle: '' };
+
+  stopAutomaticPresetModes(cause);
+  if (lastPresetSelection?.Feature != 'Manual') {
+    notifyWebhook('Manual', { CameraId: Number(cameraId), Cause: cause });
+    lastPresetSelection = { Type: 'Automatic', Feature: 'Manual' };
+    setPresetSelectionFeedback(lastPresetSelection, cause);
+  }
+  refreshManualIdleTimer();
+
+  await queueCameraAction(`Manual Control [${axis} ${direction}]`, async () => {
+    if (manualControl.Pressed !== press) {
+      return false;
+    }
+    if (cameraTrackingLive) {
+      await deactivateCameraTracking(cause);
+    }
+    console.debug({ Debug: `Manual Control Ramp`, ...press, Cause: cause });
+    await xapi.Command.Camera.Ramp({ CameraId: cameraId, [axis]: direction, [`${axis}Speed`]: axis == 'Zoom' ? config.ManualControl.ZoomSpeed : config.ManualControl.PanTiltSpeed });
+    return true;
+  }).catch(e => handleError(e, `Failed to move Camera [${cameraId}] from Manual Control. Cause: ${cause}`));
+};
+
+/** Stops the pad move being held, if any
+ * 
+ * @xapi [xCommand Camera Ramp](https://roomos.cisco.com/xapi/Command.Camera.Ramp/)
+ */
+function stopManualControlMove(cause) {
+  const press = manualControl.Pressed;
+  if (press == undefined) {
+    return;
+  }
+  manualControl.Pressed = undefined;
+  xapi.Command.Camera.Ramp({ CameraId: press.CameraId, [press.Axis]: 'Stop' }).catch(e => handleError(e, `Failed to stop Camera [${press.CameraId}] from Manual Control. Cause: ${cause}`));
+  noteManualControlMotion(press.CameraId);
+};
+
+/** Records a position change on a camera moved from the Manual Control page
+ * 
+ * @returns {boolean} ```true``` if the camera is moving from the pad
+ */
+function noteManualControlMotion(cameraId) {
+  const key = `${cameraId}`;
+  const entry = manualControl.Moving[key];
+
+  if (entry == undefined) {
+    return false;
+  }
+
+  clearTimeout(entry.Settle);
+  if (manualControl.Pressed?.CameraId != cameraId) {
+    entry.Settle = setTimeout(() => delete manualControl.Moving[key], cameraMotionSettleTime);
+  }
+  return true;
+};
+
+/** Stores the Manual Control camera's current position as a new Camera Preset
+ * 
+ * The new preset is rendered by the ```CameraPresetListUpdated``` subscription
+ * 
+ * @xapi [xCommand Camera Preset Store](https://roomos.cisco.com/xapi/Command.Camera.Preset.Store/)
+ */
+async function saveManualControlPreset(name) {
+  const text = uiText.ManualPage;
+  try {
+    await xapi.Command.Camera.Preset.Store({ CameraId: manualControl.CameraId, Name: name });
+    console.log({ Message: `Manual Control position saved as a Camera Preset`, CameraId: manualControl.CameraId, Name: name });
+    xapi.Command.UserInterface.Message.Alert.Display({ Title: text.Name, Text: `${text.Saved}: ${name}`, Duration: 5 }).catch(e => handleError(e, `Failed to Display Manual Control Alert`, 'debug'));
+  } catch (e) {
+    handleError(e, `Failed to save the Manual Control position as Camera Preset [${name}]`);
+    xapi.Command.UserInterface.Message.Alert.Display({ Title: text.Name, Text: `${text.Save} failed: ${e.message}`, Duration: 5 }).catch(e => handleError(e, `Failed to Display Manual Control Alert`, 'debug'));
+  }
+};
+
+/** Assembles the Manual Control Page for the Camera Preset Panel
+ * 
+ * @see config.ManualControl
+ * @see getConnectedCameras
+ */
+async function buildManualControlPageXml() {
+  const text = uiText.ManualPage;
+  const cameras = await getConnectedCameras();
+
+  let cameraRowXml = ``;
+  if (cameras.length > 1) {
+    let cameraXml = ``;
+    cameras.forEach(camera => {
+      cameraXml = cameraXml + `<Value>
+      <Key>${camera.id}</Key>
+      <Name>${escapeXml(uiText.Page.CameraGroups.Names[camera.id] ?? `${uiText.Page.CameraGroups.DefaultName} ${camera.id}`)}</Name>
+    </Value>`
+    });
+    cameraRowXml = `<Row>
+        <Name>${escapeXml(text.Cameras)}</Name>
+        <Widget>
+          <WidgetId>camPresets~Manual~Cameras</WidgetId>
+          <Type>GroupButton</Type>
+          <Options>size=4;columns=${Math.min(cameras.length, 4)}</Options>
+          <ValueSpace>
+            ${cameraXml}
+          </ValueSpace>
+        </Widget>
+      </Row>`
+  }
+
+  let saveRowXml = ``;
+  if (config.ManualControl.ShowSavePreset) {
+    saveRowXml = `<Row>
+        <Name>${escapeXml(text.Save)}</Name>
+        <Widget>
+          <WidgetId>camPresets~Manual~Save</WidgetId>
+          <Name>${escapeXml(text.Save)}</Name>
+          <Type>Button</Type>
+          <Options>size=2</Options>
+        </Widget>
+      </Row>`
+  }
+
+  return `<Page>
+      <Name>${escapeXml(text.Name)}</Name>
+      <Row>
+        <Name>Info</Name>
+        <Widget>
+          <WidgetId>camPresets~Manual~Info</WidgetId>
+          <Name>${escapeXml(text.Infobox)}</Name>
+          <Type>Text</Type>
+          <Options>size=4;fontSize=normal;align=center</Options>
+        </Widget>
+      </Row>
+      ${cameraRowXml}
+      <Row>
+        <Name>Pad</Name>
+        <Widget>
+          <WidgetId>camPresets~Manual~PanTilt</WidgetId>
+          <Type>DirectionalPad</Type>
+          <Options>size=4</Options>
+        </Widget>
+      </Row>
+      <Row>
+        <Name>${escapeXml(text.Zoom)}</Name>
+        <Widget>
+          <WidgetId>camPresets~Manual~ZoomLabel</WidgetId>
+          <Name>${escapeXml(text.Zoom)}</Name>
+          <Type>Text</Type>
+          <Options>size=2;fontSize=normal;align=center</Options>
+        </Widget>
+        <Widget>
+          <WidgetId>camPresets~Manual~Zoom</WidgetId>
+          <Type>Spinner</Type>
+          <Options>size=2;style=plusminus</Options>
+        </Widget>
+      </Row>
+      ${saveRowXml}
+      <PageId>camPresets~Manual</PageId>
+      <Options>hideRowNames=1</Options>
+    </Page>`
+};
+
+/** Reads the naming tags from a Camera Preset Name
+ * 
+ * - ```[Section]``` places the preset under a section of the same name
+ * - ```#n``` sets the preset's sort order, lowest first
+ * - A leading ```_``` hides the preset from the Panel
+ * 
+ * ex: ```#3 [Stage] Lectern``` is rendered as ```Lectern``` in the ```Stage``` section, 3rd in the sort order
+ * 
+ * @param {string} name
+ * The Camera Preset Name as it's stored on the codec
+ * 
+ * @returns {object} ```{ DisplayName, Section, Order, Hidden }```
+ */
+function parsePresetNameTags(name) {
+  let displayName = `${name}`.trim();
+  let response = { DisplayName: displayName, Section: '', Order: undefined, Hidden: false };
+
+  if (displayName.startsWith('_')) {
+    response.Hidden = true;
+    displayName = displayName.replace(/^_+/, '');
+  }
+
+  const section = displayName.match(/\[([^\]]*)\]/);
+  if (section) {
+    response.Section = section[1].trim();
+    displayName = displayName.replace(section[0], ' ');
+  }
+
+  const order = displayName.match(/(?:^|\s)#(\d+)(?=\s|$)/);
+  if (order) {
+    response.Order = Number(order[1]);
+    displayName = displayName.replace(order[0], ' ');
+  }
+
+  displayName = displayName.replace(/\s+/g, ' ').trim();
+  response.DisplayName = displayName == '' ? `${name}`.trim() : displayName;
+
+  return response;
+};
+
+/** Removes hidden presets and sorts Camera Presets using their naming tags
+ * 
+ * Presets with an order tag are listed first, the remaining presets keep the order ```Camera.Preset.List``` returned them in
+ * 
+ * @param {object[]} presets
+ * The Preset array from ```Camera.Preset.List```
+ * 
+ * @returns {object[]} Visible presets, each extended with ```DisplayName```, ```Section``` and ```Order```
+ * 
+ * @see parsePresetNameTags
+ */
+function sortCameraPresetsByNameTags(presets) {
+  return presets
+    .map((preset, index) => { return { ...preset, ...parsePresetNameTags(preset.Name), ListIndex: index } })
+    .filter(preset => !preset.Hidden)
+    .sort((a, b) => (a.Order ?? Infinity) - (b.Order ?? Infinity) || a.ListIndex - b.ListIndex);
+};
+
+/** Returns the display options of a Camera Preset
+ * 
+ * Options set from the Admin page take priority over ```PresetLayout.Metadata```
+ * 
+ * @param {number} presetId
+ * 
+ * @returns {object} ```{ Favorite, Label, Order }```, any of which may be undefined
+ * 
+ * @see config.PresetLayout.Metadata
+ */
+function getPresetMetadata(presetId) {
+  return { ...(config.PresetLayout.Metadata[presetId] ?? {}), ...(memory.Data.PresetMetadata?.[presetId] ?? {}) };
+};
+
+/** Saves display options set from the Admin page, keyed by PresetId
+ * 
+ * Options are merged into what's already saved. Passing undefined for a PresetId clears everything saved for it
+ * 
+ * Kept in the Storage Macro when ```Persistence``` is enabled
+ * 
+ * @param {object} changes
+ * ex: ```{ 2: { Favorite: true }, 5: undefined }```
+ * 
+ * @see getPresetMetadata
+ */
+function setPresetMetadata(changes) {
+  let metadata = { ...(memory.Data.PresetMetadata ?? {}) };
+
+  Object.entries(changes).forEach(([presetId, options]) => {
+    if (options == undefined) {
+      delete metadata[presetId];
+      return;
+    }
+    metadata[presetId] = { ...(metadata[presetId] ?? {}), ...options };
+  });
+
+  if (config.Persistence.Enabled) {
+    writeMemory('PresetMetadata', metadata);
+  } else {
+    memory.Data.PresetMetadata = metadata;
+  }
+};
+
+/** Returns the Camera Presets shown in the Panel, in the order they're shown
+ * 
+ * Favorites are listed first, then presets by their ```Order``` from the metadata or name tag, then in the order ```Camera.Preset.List``` returned them
+ * 
+ * @returns {object[]} Visible presets, each extended with ```DisplayName```, ```Section```, ```Order```, ```Label``` and ```Favorite```
+ * 
+ * @see sortCameraPresetsByNameTags
+ * @see getPresetMetadata
+ */
+function getOrderedCameraPresets() {
+  const presets = config.Features.PresetNameTags ? sortCameraPresetsByNameTags(availableCameraPresets) : availableCameraPresets.map(preset => { return { ...preset, DisplayName: preset.Name, Section: '' } });
+
+  return presets
+    .map((preset, index) => {
+      const metadata = getPresetMetadata(preset.PresetId);
+      return {
+        ...preset,
+        Label: `${metadata.Label ?? ''}`.trim() == '' ? preset.DisplayName : `${metadata.Label}`.trim(),
+        Favorite: metadata.Favorite === true,
+        Order: typeof metadata.Order == 'number' ? metadata.Order : preset.Order,
+        ListIndex: index
+      }
+    })
+    .sort((a, b) => (b.Favorite - a.Favorite) || ((a.Order ?? Infinity) - (b.Order ?? Infinity)) || a.ListIndex - b.ListIndex);
+};
+
+/** Activates a camera tracking feature and deactivates the others
+ * 
+ * @param {string} feature
+ * One of ```Presenter```, ```Speaker``` or ```Frames```
+ * 
+ * Throws if the codec rejects the tracking command. Runs through the camera action queue
+ * 
+ * @see queueCameraAction
+ * @xapi [xCommand Cameras PresenterTrack Set](https://roomos.cisco.com/xapi/Command.Cameras.PresenterTrack.Set/)
+ * @xapi [xCommand Cameras SpeakerTrack Activate](https://roomos.cisco.com/xapi/Command.Cameras.SpeakerTrack.Activate/)
+ * @xapi [xCommand Cameras SpeakerTrack Deactivate](https://roomos.cisco.com/xapi/Command.Cameras.SpeakerTrack.Deactivate/)
+ * @xapi [xCommand Cameras SpeakerTrack Frames Activate](https://roomos.cisco.com/xapi/Command.Cameras.SpeakerTrack.Frames.Activate/)
+ * @xapi [xCommand Cameras SpeakerTrack Frames Deactivate](https://roomos.cisco.com/xapi/Command.Cameras.SpeakerTrack.Frames.Deactivate/)
+ */
+async function activateCameraTracking(feature, cause) {
+  if (!['Presenter', 'Speaker', 'Frames'].includes(feature)) {
+    throw new Error(`Unknown Camera Tracking Feature [${feature}]`);
+  }
+
+  return await queueCameraAction(`Tracking [${feature}]`, async () => {
+    expectCameraMotion(['*'], cause);
+    cameraTrackingLive = true;
+    switch (feature) {
+      case 'Presenter':
+        await xapi.Command.Cameras.PresenterTrack.Set({ Mode: 'Follow' });
+        await xapi.Command.Cameras.SpeakerTrack.Deactivate();
+        await xapi.Command.Cameras.SpeakerTrack.Frames.Deactivate();
+        break;
+      case 'Speaker':
+        await xapi.Command.Cameras.PresenterTrack.Set({ Mode: 'Off' });
+        await xapi.Command.Cameras.SpeakerTrack.Activate();
+        await xapi.Command.Cameras.SpeakerTrack.Frames.Deactivate();
+        break;
+      case 'Frames':
+        await xapi.Command.Cameras.PresenterTrack.Set({ Mode: 'Off' });
+        await xapi.Command.Cameras.SpeakerTrack.Activate();
+        await xapi.Command.Cameras.SpeakerTrack.Frames.Activate();
+        break;
+    }
+    console.log({ Message: `Camera Tracking Activated`, Feature: feature, Cause: cause });
+    notifyWebhook('TrackingActivated', { Feature: feature, Cause: cause });
+    return true;
+  });
+};
+
+/** Finds a Camera Preset by PresetId or by Name
+ * 
+ * Names match either the stored Camera Preset Name or its display name without tags
+ * 
+ * @param {object} selection
+ * ex: ```{ PresetId: 3 }``` or ```{ Preset: 'Lectern' }```
+ * 
+ * @see parsePresetNameTags
+ */
+function findCameraPreset(selection) {
+  if (selection.PresetId != undefined) {
+    return availableCameraPresets.find(preset => preset.PresetId == selection.PresetId);
+  }
+  const name = `${selection.Preset ?? selection.PresetName}`.trim().toLowerCase();
+  return availableCameraPresets.find(preset => preset.Name.trim().toLowerCase() == name || parsePresetNameTags(preset.Name).DisplayName.toLowerCase() == name);
+};
+
+/** Finds a Composite by CompositeId or by Name
+ * 
+ * CompositeIds start at 1 and follow the order of ```config.Composites.Entries```
+ * 
+ * @param {object} selection
+ * ex: ```{ CompositeId: 1 }```, ```{ Composite: 'Panel Discussion' }``` or ```{ CompositeName: 'Panel Discussion' }```
+ * 
+ * @see config.Composites
+ */
+function findComposite(selection) {
+  const entries = config.Composites.Entries;
+  if (selection.CompositeId != undefined) {
+    const entry = entries[Number(selection.CompositeId) - 1];
+    return entry == undefined ? undefined : { ...entry, CompositeId: Number(selection.CompositeId) };
+  }
+  const name = `${selection.Composite ?? selection.CompositeName}`.trim().toLowerCase();
+  const index = entries.findIndex(entry => `${entry.Name}`.trim().toLowerCase() == name);
+  return index < 0 ? undefined : { ...entries[index], CompositeId: index + 1 };
+};
+
+/** Returns the Camera Presets of a Composite, or undefined if any can't be found or 2 share a camera
+ * 
+ * @param {object} composite
+ * An entry of ```config.Composites.Entries```
+ * 
+ * @see findCameraPreset
+ */
+function resolveCompositePresets(composite) {
+  const presets = (composite.Presets ?? []).map(selection => findCameraPreset(selection));
+
+  if (presets.length < 2 || presets.includes(undefined)) {
+    return undefined;
+  }
+
+  const cameraIds = presets.map(preset => preset.CameraId);
+  if (cameraIds.some((item, index) => cameraIds.indexOf(item) !== index)) {
+    return undefined;
+  }
+
+  return presets;
+};
+
+/** Returns true if a Camera Preset is part of a Composite Panel selection
+ * 
+ * @param {object} selection
+ * A Panel selection, such as ```lastPresetSelection```
+ * @param {number} presetId
+ */
+function isCompositePreset(selection, presetId) {
+  if (selection?.Type != 'Composite') {
+    return false;
+  }
+  const composite = findComposite(selection);
+  const presets = composite == undefined ? undefined : resolveCompositePresets(composite);
+  return presets != undefined && presets.some(preset => preset.PresetId == presetId);
+};
+
+/** Activates each Camera Preset of a Composite and sets the main source to a composition of their cameras
+ * 
+ * @param {object} compositeInfo
+ * 
+ * compositeInfo must include a CompositeId or CompositeName
+ * 
+ * Resolves ```false``` without changing the MainSource if any of its Camera Presets fails to activate
+ * 
+ * @see config.Composites
+ * @xapi [xCommand Camera Preset Activate](https://roomos.cisco.com/xapi/Command.Camera.Preset.Activate/)
+ * @xapi [xCommand Video Input SetMainVideoSource](https://roomos.cisco.com/xapi/Command.Video.Input.SetMainVideoSource/)
+ */
+async function activateCompositePreset(compositeInfo, cause) {
+  const composite = findComposite(compositeInfo);
+  const presets = composite == undefined ? undefined : resolveCompositePresets(composite);
+
+  if (presets == undefined) {
+    throw Error(`Unable to find a Camera Preset on separate cameras for each entry of Composite [${compositeInfo.CompositeName ?? compositeInfo.CompositeId}]`);
+  }
+
+  const layout = composite.Layout ?? config.Composites.Layout;
+  const connectorIds = presets.map(preset => preset.CameraId);
+
+  return await queueCameraAction(`Composite [${composite.CompositeId}]`, async request => {
+    await deactivateCameraTracking(cause);
+
+    console.debug({ Debug: `Setting Composite`, CompositeId: composite.CompositeId, Name: composite.Name, Cause: cause });
+    expectCameraMotion(connectorIds, cause);
+    for (const preset of presets) {
+      try {
+        await xapi.Command.Camera.Preset.Activate({ PresetId: preset.PresetId });
+      } catch (e) {
+        handleError(e, `Failed to Activate Camera Preset [${preset.PresetId}] for Composite [${composite.Name}], leaving the MainSource as is. Cause: ${cause}`);
+        return false;
+      }
+    }
+
+    if (config.Features.MainSourceSetOnCameraRampStop) {
+      console.debug({ Debug: `Waiting for Camera Positions to Set` })
+      await waitForCameraStop(connectorIds, request).then(resolutions => {
+        console.debug({ Debug: `Camera Position Monitoring Stopped for Composite [${composite.Name}]`, Resolutions: resolutions })
+      });
+    }
+
+    if (request.Superseded) {
+      console.debug({ Debug: `Composite [${composite.Name}] superseded, leaving the MainSource as is`, Cause: cause });
+      return false;
+    }
+
+    console.debug({ Debug: `Setting MainSource to [${connectorIds}] with Layout [${layout}] for Composite` })
+    await xapi.Command.Video.Input.SetMainVideoSource({ ConnectorId: connectorIds, Layout: layout });
+
+    console.log({ Message: `Composite Activated`, CompositeId: composite.CompositeId, Name: composite.Name, Presets: presets.map(preset => preset.PresetId), Layout: layout, Cause: cause });
+    notifyWebhook('CompositeActivated', { Composite: { CompositeId: composite.CompositeId, Name: composite.Name }, Presets: presets.map(preset => { return { PresetId: preset.PresetId, Name: parsePresetNameTags(preset.Name).DisplayName, CameraId: preset.CameraId } }), Layout: layout, Cause: cause });
+    return true;
+  });
+};
+
+/** Applies a configured Camera Selection and updates the Camera Preset Panel to match
+ * 
+ * @param {object} selection
+ * - ```{ Preset: 'Lectern' }``` or ```{ PresetId: 3 }``` activates a Camera Preset
+ * - ```{ Composite: 'Panel Discussion' }``` or ```{ CompositeId: 1 }``` activates a Composite
+ * - ```{ Tracking: 'Frames' }``` activates a tracking feature; Presenter, Speaker or Frames
+ * - ```{ DefaultPreset: true }``` activates the Default Camera Preset
+ * - ```{ Tour: true }``` starts the preset Tour
+ * - ```{ Voice: true }``` starts Voice Follow
+ * 
+ * @returns {boolean} ```true``` if the selection was applied
+ * 
+ * @see activateCameraPreset
+ * @see activateCameraTracking
+ * @see activateDefaultCameraPreset
+ * @see activateCompositePreset
+ */
+async function applyCameraSelection(selection, cause) {
+  if (selection == undefined) {
+    return false;
+  }
+
+  stopAutomaticPresetModes(cause);
+
+  if (selection.Tour) {
+    lastPresetSelection = { Type: 'Automatic', Feature: 'Tour' };
+    setPresetSelectionFeedback(lastPresetSelection, cause);
+    startCameraTour(cause).catch(e => {
+      handleError(e, `Camera Preset Tour failed. Cause: ${cause}`);
+      stopCameraTour(`Tour Failed`);
+      setPresetSelectionFeedback('', `Tour Failed`);
+    });
+    return true;
+  }
+
+  if (selection.Voice) {
+    lastPresetSelection = { Type: 'Automatic', Feature: 'Voice' };
+    setPresetSelectionFeedback(lastPresetSelection, cause);
+    await startVoiceFollow(cause);
+    return true;
+  }
+
+  if (selection.DefaultPreset) {
+    await activateDefaultCameraPreset(cause);
+    return true;
+  }
+
+  if (selection.Composite != undefined || selection.CompositeId != undefined) {
+    if (availableCameraPresets.length < 1) {
+      availableCameraPresets = (await xapi.Command.Camera.Preset.List()).Preset;
+    }
+    const composite = findComposite(selection);
+    if (composite == undefined) {
+      console.warn({ Warn: `Unable to find Composite for selection`, Selection: selection, Cause: cause });
+      return false;
+    }
+    lastPresetSelection = { Type: 'Composite', CompositeId: composite.CompositeId, CompositeName: composite.Name };
+    setPresetSelectionFeedback(lastPresetSelection, cause);
+    try {
+      await activateCompositePreset(lastPresetSelection, cause);
+    } catch (e) {
+      handleError(e, `Failed to activate Composite [${composite.Name}]. Cause: ${cause}`);
+      setPresetSelectionFeedback('', cause);
+      return false;
+    }
+    return true;
+  }
+
+  if (selection.Tracking != undefined) {
+    try {
+      await activateCameraTracking(selection.Tracking, cause);
+      lastPresetSelection = { Type: 'Automatic', Feature: selection.Tracking };
+      setPresetSelectionFeedback(lastPresetSelection, cause);
+    } catch (e) {
+      handleError(e, `Failed to activate [${selection.Tracking}] tracking. Cause: ${cause}`);
+      return false;
+    }
+    return true;
+  }
+
+  if (availableCameraPresets.length < 1) {
+    availableCameraPresets = (await xapi.Command.Camera.Preset.List()).Preset;
+  }
+
+  const preset = findCameraPreset(selection);
+
+  if (preset == undefined) {
+    console.warn({ Warn: `Unable to find Camera Preset for selection`, Selection: selection, Cause: cause });
+    return false;
+  }
+
+  lastPresetSelection = { Type: 'Preset', CameraId: preset.CameraId, PresetId: preset.PresetId, PresetName: parsePresetNameTags(preset.Name).DisplayName };
+  setPresetSelectionFeedback(lastPresetSelection, cause);
+  await activateCameraPreset(lastPresetSelection, cause);
+  return true;
+};
+
+/** Tracks the preset Tour
+ * 
+ * ```Run``` increments each time a Tour starts, so a stopped Tour loop can tell it's been superseded
+ * 
+ * @see startCameraTour
+ * @see stopCameraTour
+ */
+let tour = {
+  Active: false,
+  Run: 0,
+  StopIndex: 0,
+  PresetId: undefined,
+  Handler: '',
+  Resolve: () => void 0
+};
+
+/** Shows the Tour status, or the default Infobox text, in the Camera Preset Panel
+ */
+function setTourInfoText(presetName) {
+  const value = presetName == undefined ? uiText.Page.Infobox : `${uiText.Page.TourStatus} ${presetName}`;
+  xapi.Command.UserInterface.Extensions.Widget.SetValue({ WidgetId: `camPresets~PresetList~Info`, Value: value }).catch(e => handleError(e, `Failed to Set Tour Info Widget Value`, 'debug'));
+};
+
+/** Starts a Tour through ```config.Tour.Stops```, replacing any running Tour
+ * 
+ * Each Stop reuses activateCameraPreset, so the main source switches once the camera stops, and the dwell time starts after that
+ * 
+ * @see config.Tour
+ * @see activateCameraPreset
+ */
+async function startCameraTour(cause) {
+  stopAutomaticPresetModes(`Tour Started`);
+
+  if (!config.Tour.Enabled || config.Tour.Stops.length < 1) {
+    console.warn({ Warn: `Unable to start Tour, no Tour Stops configured`, Cause: cause });
+    return;
+  }
+
+  tour.Active = true;
+  tour.StopIndex = 0;
+  const run = ++tour.Run;
+  let missedStops = 0;
+
+  console.log({ Message: `Camera Preset Tour Started`, Stops: config.Tour.Stops.length, Cause: cause });
+
+  while (tour.Active && tour.Run == run) {
+    const stop = config.Tour.Stops[tour.StopIndex % config.Tour.Stops.length];
+    const preset = findCameraPreset(stop);
+
+    if (preset == undefined) {
+      console.warn({ Warn: `Unable to find Camera Preset for Tour Stop, skipping`, Stop: stop });
+      if (++missedStops >= config.Tour.Stops.length) {
+        stopCameraTour(`No Tour Stops found`);
+        setPresetSelectionFeedback('', `No Tour Stops found`);
+        break;
+      }
+      tour.StopIndex++;
+      continue;
+    }
+
+    missedStops = 0;
+    tour.PresetId = preset.PresetId;
+    const displayName = parsePresetNameTags(preset.Name).DisplayName;
+
+    setTourInfoText(displayName);
+    await activateCameraPreset({ CameraId: preset.CameraId, PresetId: preset.PresetId, PresetName: displayName }, `Tour Stop [${(tour.StopIndex % config.Tour.Stops.length) + 1}]`);
+
+    if (!tour.Active || tour.Run != run) {
+      break;
+    }
+
+    await new Promise(resolve => {
+      tour.Resolve = resolve;
+      tour.Handler = setTimeout(resolve, (stop.Dwell ?? 10) * 1000);
+    });
+
+    tour.StopIndex++;
+  }
+};
+
+/** Stops a running Tour and restores the Infobox text
+ * 
+ * Safe to call when no Tour is running
+ */
+function stopCameraTour(cause) {
+  if (!tour.Active) {
+    return;
+  }
+  tour.Active = false;
+  tour.PresetId = undefined;
+  clearTimeout(tour.Handler);
+  tour.Resolve();
+  setTourInfoText();
+  console.log({ Message: `Camera Preset Tour Stopped`, Cause: cause });
+};
+
+/** Tracks Voice Follow
+ * 
+ * ```Levels``` and ```ZoneActive``` are indexed the same as ```config.VoiceFollow.Zones```
+ * 
+ * ```Target``` is the zone index the camera is on, or ```Overview```
+ * 
+ * ```Meters``` lists the connectors whose VuMeters this macro started, so only those are stopped
+ * 
+ * @see startVoiceFollow
+ * @see stopVoiceFollow
+ */
+let voiceFollow = {
+  Active: false,
+  Switching: false,
+  ZoneActive: [],
+  Target: undefined,
+  PresetId: undefined,
+  Candidate: undefined,
+  CandidateSince: 0,
+  LastSwitch: 0,
+  LastActivity: 0,
+  Meters: []
+};
+
+/** Starts Voice Follow, beginning on the OverviewSelection
+ * 
+ * @see config.VoiceFollow
+ * @xapi [xCommand Audio VuMeter Start](https://roomos.cisco.com/xapi/Command.Audio.VuMeter.Start/)
+ */
+async function startVoiceFollow(cause) {
+  stopAutomaticPresetModes(`Voice Follow Started`);
+
+  if (!config.VoiceFollow.Enabled || config.VoiceFollow.Zones.length < 1) {
+    console.warn({ Warn: `Unable to start Voice Follow, no Zones configured`, Cause: cause });
+    return;
+  }
+
+  voiceFollow = { ...voiceFollow, Active: true, Switching: false, ZoneActive: config.VoiceFollow.Zones.map(() => false), Target: undefined, Candidate: undefined, CandidateSince: Date.now(), LastSwitch: 0, LastActivity: Date.now(), Meters: [] };
+
+  const connectors = config.VoiceFollow.Zones
+    .map(zone => `${zone.ConnectorType ?? 'Microphone'}~${zone.ConnectorId}`)
+    .filter((item, index, list) => list.indexOf(item) === index);
+
+  for (const connector of connectors) {
+    const [connectorType, connectorId] = connector.split('~');
+    try {
+      await xapi.Command.Audio.VuMeter.Start({ ConnectorType: connectorType, ConnectorId: connectorId, IntervalMs: 100, Source: 'AfterAEC' });
+      voiceFollow.Meters.push({ ConnectorType: connectorType, ConnectorId: connectorId });
+    } catch (e) {
+      handleError(e, `Failed to Start VuMeter on [${connectorType} ${connectorId}]`);
+    }
+  }
+
+  console.log({ Message: `Voice Follow Started`, Zones: config.VoiceFollow.Zones.length, Cause: cause });
+
+  switchVoiceFollowTarget('Overview');
+};
+
+/** Stops Voice Follow and the VuMeters it started, leaving VuMeters used by other macros running
+ * 
+ * Safe to call when Voice Follow isn't running
+ * 
+ * @xapi [xCommand Audio VuMeter Stop](https://roomos.cisco.com/xapi/Command.Audio.VuMeter.Stop/)
+ */
+function stopVoiceFollow(cause) {
+  if (!voiceFollow.Active) {
+    return;
+  }
+  voiceFollow.Active = false;
+  voiceFollow.PresetId = undefined;
+  voiceFollow.Meters.forEach(({ ConnectorType, ConnectorId }) => {
+    xapi.Command.Audio.VuMeter.Stop({ ConnectorType, ConnectorId }).catch(e => handleError(e, `Failed to Stop VuMeter on [${ConnectorType} ${ConnectorId}]`, 'debug'));
+  });
+  voiceFollow.Meters = [];
+  console.log({ Message: `Voice Follow Stopped`, Cause: cause });
+};
+
+/** Updates a zone's active state from a VuMeter level, then checks if the camera should switch
+ * 
+ * @param {string} connectorType
+ * @param {number} connectorId
+ * @param {number} subId
+ * Ethernet channel, undefined for analog microphones
+ * @param {number} level
+ * 
+ * @see config.VoiceFollow
+ */
+function updateVoiceFollowLevel(connectorType, connectorId, subId, level) {
+  if (!voiceFollow.Active) {
+    return;
+  }
+
+  config.VoiceFollow.Zones.forEach((zone, index) => {
+    if ((zone.ConnectorType ?? 'Microphone') != connectorType || zone.ConnectorId != connectorId) {
+      return;
+    }
+    if (zone.SubId != undefined && zone.SubId != subId) {
+      return;
+    }
+    if (level >= config.VoiceFollow.ActivationLevel) {
+      voiceFollow.ZoneActive[index] = true;
+    } else if (level < config.VoiceFollow.ActivationLevel - config.VoiceFollow.Hysteresis) {
+      voiceFollow.ZoneActive[index] = false;
+    }
+  });
+
+  evaluateVoiceFollow();
+};
+
+/** Picks the target for the active zones and switches once the HoldTime, SilenceTimeout and MinimumSwitchInterval allow
+ * 
+ * - 1 active zone: that zone's Camera Preset
+ * - More than 1 active zone: the OverviewSelection
+ * - No active zones for the SilenceTimeout: the OverviewSelection
+ */
+function evaluateVoiceFollow() {
+  if (!voiceFollow.Active || voiceFollow.Switching) {
+    return;
+  }
+
+  const now = Date.now();
+  const activeZones = voiceFollow.ZoneActive.map((active, index) => active ? index : -1).filter(index => index > -1);
+  let candidate = voiceFollow.Target;
+
+  if (activeZones.length == 1) {
+    candidate = activeZones[0];
+    voiceFollow.LastActivity = now;
+  } else if (activeZones.length > 1) {
+    candidate = 'Overview';
+    voiceFollow.LastActivity = now;
+  } else if (now - voiceFollow.LastActivity >= config.VoiceFollow.SilenceTimeout) {
+    candidate = 'Overview';
+  }
+
+  if (candidate != voiceFollow.Candidate) {
+    voiceFollow.Candidate = candidate;
+    voiceFollow.CandidateSince = now;
+  }
+
+  if (candidate == voiceFollow.Target) {
+    return;
+  }
+  if (now - voiceFollow.CandidateSince < config.VoiceFollow.HoldTime) {
+    return;
+  }
+  if (now - voiceFollow.LastSwitch < config.VoiceFollow.MinimumSwitchInterval) {
+    return;
+  }
+
+  switchVoiceFollowTarget(candidate);
+};
+
+/** Moves the camera to a zone's Camera Preset or the OverviewSelection
+ * 
+ * @param {number|string} target
+ * A zone index or ```Overview```
+ * 
+ * @see activateCameraPreset
+ */
+async function switchVoiceFollowTarget(target) {
+  const selection = target == 'Overview' ? config.VoiceFollow.OverviewSelection : config.VoiceFollow.Zones[target];
+  const preset = findCameraPreset(selection);
+
+  voiceFollow.Target = target;
+  voiceFollow.LastSwitch = Date.now();
+
+  if (preset == undefined) {
+    console.warn({ Warn: `Unable to find Camera Preset for Voice Follow`, Target: target == 'Overview' ? target : selection.Name, Selection: selection });
+    return;
+  }
+
+  voiceFollow.Switching = true;
+  voiceFollow.PresetId = preset.PresetId;
+  try {
+    await activateCameraPreset({ CameraId: preset.CameraId, PresetId: preset.PresetId, PresetName: parsePresetNameTags(preset.Name).DisplayName }, `Voice Follow [${target == 'Overview' ? target : selection.Name ?? `Zone ${target + 1}`}]`);
+  } catch (e) {
+    handleError(e, `Voice Follow failed to activate Camera Preset [${preset.PresetId}]`);
+  } finally {
+    voiceFollow.Switching = false;
+  }
+};
+
+/** Stops the Tour and Voice Follow, the modes that activate Camera Presets on their own
+ * 
+ * @see stopCameraTour
+ * @see stopVoiceFollow
+ */
+function stopAutomaticPresetModes(cause) {
+  stopCameraTour(cause);
+  stopVoiceFollow(cause);
+};
+
+/** Returns the automatic mode that activated a Camera Preset, ```Tour``` or ```Voice```, or undefined if neither did
+ * 
+ * @param {number} presetId
+ */
+function automaticPresetModeFor(presetId) {
+  if (tour.Active && tour.PresetId == presetId) {
+    return 'Tour';
+  }
+  if (voiceFollow.Active && voiceFollow.PresetId == presetId) {
+    return 'Voice';
+  }
+  return undefined;
+};
+
+/** Tracks the Schedule rule engine
+ * 
+ * @see startSchedule
+ */
+let schedule = {
+  ActiveRule: undefined,
+  Handler: ''
+};
+
+/** Converts ```HH:MM``` into minutes past midnight
+ */
+function scheduleTimeToMinutes(time) {
+  const [hours, minutes] = `${time}`.split(':').map(Number);
+  return (hours * 60) + (minutes || 0);
+};
+
+/** Checks a Schedule rule's Days, Dates and ExcludeDates against a day
+ * 
+ * @param {object} rule
+ * @param {Date} day
+ */
+function scheduleRuleMatchesDay(rule, day) {
+  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const date = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+
+  if (Array.isArray(rule.ExcludeDates) && rule.ExcludeDates.includes(date)) {
+    return false;
+  }
+  if (Array.isArray(rule.Dates) && rule.Dates.length > 0 && !rule.Dates.includes(date)) {
+    return false;
+  }
+  if (Array.isArray(rule.Days) && rule.Days.length > 0 && !rule.Days.map(item => `${item}`.slice(0, 3).toLowerCase()).includes(dayNames[day.getDay()].toLowerCase())) {
+    return false;
+  }
+  return true;
+};
+
+/** Returns the first Schedule rule active at a given time, or undefined
+ * 
+ * Rules where End is earlier than Start span midnight, and match on the Days and Dates they start on
+ * 
+ * @param {Date} now
+ * @see config.Schedule.Rules
+ */
+function findActiveScheduleRule(now = new Date()) {
+  const minutes = (now.getHours() * 60) + now.getMinutes();
+  const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+
+  return config.Schedule.Rules.find(rule => {
+    const start = scheduleTimeToMinutes(rule.Start ?? '00:00');
+    const end = scheduleTimeToMinutes(rule.End ?? '24:00');
+
+    if (start <= end) {
+      return scheduleRuleMatchesDay(rule, now) && minutes >= start && minutes < end;
+    }
+    return (scheduleRuleMatchesDay(rule, now) && minutes >= start) || (scheduleRuleMatchesDay(rule, yesterday) && minutes < end);
+  });
+};
+
+/** Returns the next time any Schedule rule starts or ends
+ * 
+ * @param {Date} now
+ */
+function findNextScheduleBoundary(now = new Date()) {
+  let next = undefined;
+  for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+    config.Schedule.Rules.forEach(rule => {
+      [rule.Start ?? '00:00', rule.End ?? '24:00'].forEach(time => {
+        const minutes = scheduleTimeToMinutes(time);
+        const boundary = new Date(now.getFullYear(), now.getMonth(), now.getDate() + dayOffset, Math.floor(minutes / 60), minutes % 60);
+        if (boundary > now && (next == undefined || boundary < next)) {
+          next = boundary;
+        }
+      });
+    });
+    if (next != undefined) {
+      break;
+    }
+  }
+  return next;
+};
+
+/** Checks the Schedule at each rule boundary and applies a rule's selection as it becomes active
+ * 
+ * Boundaries more than a day away are re-checked daily
+ * 
+ * @see config.Schedule
+ * @see applyCameraSelection
+ */
+function startSchedule(cause) {
+  clearTimeout(schedule.Handler);
+
+  const activeRule = findActiveScheduleRule();
+
+  if (activeRule != schedule.ActiveRule) {
+    console.log({ Message: `Schedule Rule changed`, Rule: activeRule?.Name ?? 'None', Cause: cause });
+    schedule.ActiveRule = activeRule;
+    if (activeRule != undefined && config.Schedule.ApplyAtRuleStart && cause == 'Schedule Rule Boundary') {
+      applyCameraSelection(activeRule.Selection, `Schedule Rule [${activeRule.Name}]`).catch(e => handleError(e, `Failed to apply Schedule Rule [${activeRule.Name}]`));
+    }
+  }
+
+  const nextBoundary = findNextScheduleBoundary();
+
+  if (nextBoundary == undefined) {
+    return;
+  }
+
+  const delay = Math.min(nextBoundary - new Date(), 86400000) + 1000;
+
+  console.debug({ Debug: `Next Schedule check at [${new Date(Date.now() + delay).toString()}]` });
+
+  schedule.Handler = setTimeout(() => {
+    startSchedule('Schedule Rule Boundary');
+  }, delay);
+};
+
+/** Converts a Panel selection, such as ```lastPresetSelection```, into a selection for applyCameraSelection
+ * 
+ * Returns undefined for Manual and empty selections
+ * 
+ * @see applyCameraSelection
+ */
+function panelSelectionToCameraSelection(panelSelection) {
+  switch (panelSelection?.Type) {
+    case 'Preset':
+      return { PresetId: panelSelection.PresetId };
+    case 'Composite':
+      return { CompositeId: panelSelection.CompositeId };
+    case 'Automatic':
+      if (panelSelection.Feature == 'Tour' || panelSelection.Feature == 'Voice') {
+        return { [panelSelection.Feature]: true };
+      }
+      if (panelSelection.Feature != 'Manual') {
+        return { Tracking: panelSelection.Feature };
+      }
+  }
+  return undefined;
+};
+
+/** Tracks calls handled by the Call Policies
+ * 
+ * ```Calls``` is keyed by CallId so each call's policy only runs once, no matter how many times its status changes
+ * 
+ * ```RemoteURIs``` holds each policy's compiled ```RemoteURI```, or ```null``` if it's invalid
+ * 
+ * @see compileCallPolicies
+ * @see runCallConnectedPolicy
+ * @see runCallDisconnectedPolicy
+ */
+let callPolicies = {
+  Calls: {},
+  PreviousSelection: undefined,
+  RemoteURIs: new Map()
+};
+
+/** Selects a Camera Preset or Tracking mode for a connecting call
+ * 
+ * Checked in order; the first matching Call Policy, the active Schedule rule, then the Default Camera Preset
+ * 
+ * @param {string} callId
+ * @param {string} status
+ * Used for logging
+ * 
+ * @see config.CallPolicies
+ * @xapi [xStatus Call](https://roomos.cisco.com/xapi/search?search=Status+Call+*&Type=Status)
+ */
+async function runCallConnectedPolicy(callId, status) {
+  if (callPolicies.Calls[callId] != undefined) {
+    return;
+  }
+
+  if (Object.keys(callPolicies.Calls).length < 1) {
+    callPolicies.PreviousSelection = panelSelectionToCameraSelection(lastPresetSelection);
+  }
+
+  callPolicies.Calls[callId] = { Status: status };
+
+  if (config.CallPolicies.Enabled) {
+    const call = await xapi.Status.Call[callId].get().catch(e => handleError(e, `Failed to get Call [${callId}] Status`, 'debug')) ?? {};
+
+    const policy = config.CallPolicies.Policies.find(item => {
+      if (item.Direction != undefined && `${item.Direction}`.toLowerCase() != `${call.Direction}`.toLowerCase()) {
+        return false;
+      }
+      if (item.CallType != undefined && `${item.CallType}`.toLowerCase() != `${call.CallType}`.toLowerCase()) {
+        return false;
+      }
+      if (item.Protocol != undefined && `${item.Protocol}`.toLowerCase() != `${call.Protocol}`.toLowerCase()) {
+        return false;
+      }
+      if (item.RemoteURI != undefined) {
+        const pattern = callPolicies.RemoteURIs.get(item);
+        if (pattern == undefined || !pattern.test(call.RemoteNumber ?? '') && !pattern.test(call.CallbackNumber ?? '')) {
+          return false;
+        }
+      }
+      return true;
+    });
+
+    if (policy != undefined && await applyCameraSelection(policy.Selection, `Call [${status}] Policy [${policy.Name}]`)) {
+      return;
+    }
+  }
+
+  if (config.Schedule.Enabled && config.Schedule.ApplyOnCallConnect) {
+    const rule = findActiveScheduleRule();
+    if (rule != undefined && await applyCameraSelection(rule.Selection, `Call [${status}] Schedule Rule [${rule.Name}]`)) {
+      return;
+    }
+  }
+
+  if (config.Features.OnCallSetDefaultPreset) {
+    await activateDefaultCameraPreset(`Call [${status}]`);
+  }
+};
+
+/** Restores the previous selection, or parks the camera, once the last call disconnects
+ * 
+ * @param {string} callId
+ * 
+ * @see config.CallPolicies.OnDisconnect
+ */
+async function runCallDisconnectedPolicy(callId) {
+  if (callPolicies.Calls[callId] == undefined) {
+    return;
+  }
+
+  delete callPolicies.Calls[callId];
+
+  if (Object.keys(callPolicies.Calls).length > 0 || !config.CallPolicies.Enabled) {
+    return;
+  }
+
+  switch (config.CallPolicies.OnDisconnect) {
+    case 'Restore':
+      if (callPolicies.PreviousSelection != undefined) {
+        await applyCameraSelection(callPolicies.PreviousSelection, `Call Disconnected, Restoring Previous Selection`);
+      }
+      break;
+    case 'Park':
+      await applyCameraSelection(config.CallPolicies.ParkSelection, `Call Disconnected, Parking Camera`);
+      break;
+  }
+
+  callPolicies.PreviousSelection = undefined;
+};
+
+/** Tracks the call whose far end camera the Panel controls
+ * 
+ * ```CallId``` is undefined while no connected call allows Far End Camera Control
+ * 
+ * @see updateFarEndControl
+ */
+let farEnd = {
+  CallId: undefined,
+  NumberOfPresets: 0,
+  Pressed: false
+};
+
+/** Shows the Far End section for a call that allows Far End Camera Control, or removes it once the call no longer does
+ * 
+ * @param {string} callId
+ * 
+ * @see config.FarEndControl
+ * @xapi [xStatus Conference Call[n] Capabilities FECC](https://roomos.cisco.com/xapi/search?search=Status+Conference+Call+Capabilities+FECC&Type=Status)
+ */
+async function updateFarEndControl(callId, cause) {
+  if (!config.FarEndControl.Enabled || (farEnd.CallId != undefined && farEnd.CallId != callId)) {
+    return;
+  }
+
+  const fecc = await xapi.Status.Conference.Call[callId].Capabilities.FECC.get().catch(e => handleError(e, `Failed to get Call [${callId}] FECC Capabilities`, 'debug'));
+
+  if (`${fecc?.Mode}`.toLowerCase() != 'on') {
+    await endFarEndControl(callId, cause);
+    return;
+  }
+
+  const numberOfPresets = Math.min(Number(fecc.NumberOfPresets) || 15, 15);
+
+  if (farEnd.CallId == callId && farEnd.NumberOfPresets == numberOfPresets) {
+    return;
+  }
+
+  farEnd.CallId = callId;
+  farEnd.NumberOfPresets = numberOfPresets;
+  console.log({ Message: `Far End Camera Control available`, CallId: callId, NumberOfPresets: numberOfPresets, Cause: cause });
+  await buildUserInterface(cause);
+};
+
+/** Removes the Far End section once its call ends, then offers it for another connected call that allows it
+ * 
+ * @param {string} callId
+ * 
+ * @xapi [xStatus Call](https://roomos.cisco.com/xapi/search?search=Status+Call+*&Type=Status)
+ */
+async function endFarEndControl(callId, cause) {
+  if (farEnd.CallId != callId) {
+    return;
+  }
+
+  console.log({ Message: `Far End Camera Control removed`, CallId: callId, Cause: cause });
+  farEnd.CallId = undefined;
+  farEnd.NumberOfPresets = 0;
+  farEnd.Pressed = false;
+
+  const calls = (await xapi.Status.Call.get().catch(e => handleError(e, `Failed to get Call Status`, 'debug'))) ?? [];
+  for (const call of calls) {
+    if (call.id != callId && call.Status == 'Connected') {
+      await updateFarEndControl(call.id, cause);
+      if (farEnd.CallId != undefined) {
+        return;
+      }
+    }
+  }
+
+  await buildUserInterface(cause);
+};
+
+/** Activates a preset in the remote room
+ * 
+ * @param {number} presetId
+ * From 1 to 15
+ * 
+ * @xapi [xCommand Call FarEndControl RoomPreset Activate](https://roomos.cisco.com/xapi/Command.Call.FarEndControl.RoomPreset.Activate/)
+ */
+async function activateFarEndPreset(presetId, cause) {
+  if (farEnd.CallId == undefined) {
+    return;
+  }
+  try {
+    await xapi.Command.Call.FarEndControl.RoomPreset.Activate({ CallId: farEnd.CallId, PresetId: presetId });
+    console.log({ Message: `Far End Preset Activated`, CallId: farEnd.CallId, PresetId: presetId, Cause: cause });
+  } catch (e) {
+    handleError(e, `Failed to activate Far End Preset [${presetId}]. Cause: ${cause}`);
+  }
+};
+
+/** Starts moving the remote room's camera while a Far End pad button is held
+ * 
+ * @param {string} direction
+ * ```Left```, ```Right```, ```Up```, ```Down```, ```ZoomIn``` or ```ZoomOut```
+ * 
+ * @see stopFarEndMove
+ * @xapi [xCommand Call FarEndControl Camera Move](https://roomos.cisco.com/xapi/Command.Call.FarEndControl.Camera.Move/)
+ */
+function startFarEndMove(direction, cause) {
+  if (farEnd.CallId == undefined) {
+    return;
+  }
+  farEnd.Pressed = true;
+  xapi.Command.Call.FarEndControl.Camera.Move({ CallId: farEnd.CallId, Value: direction }).catch(e => handleError(e, `Failed to move the Far End Camera [${direction}]. Cause: ${cause}`));
+};
+
+/** Stops the Far End pad move being held, if any
+ * 
+ * @xapi [xCommand Call FarEndControl Camera Stop](https://roomos.cisco.com/xapi/Command.Call.FarEndControl.Camera.Stop/)
+ */
+function stopFarEndMove(cause) {
+  if (!farEnd.Pressed || farEnd.CallId == undefined) {
+    return;
+  }
+  farEnd.Pressed = false;
+  xapi.Command.Call.FarEndControl.Camera.Stop({ CallId: farEnd.CallId }).catch(e => handleError(e, `Failed to stop the Far End Camera. Cause: ${cause}`));
+};
+
+/** Assembles the Far End rows of the Camera Preset List page
+ * 
+ * Returns an empty string while no call allows Far End Camera Control
+ * 
+ * @see farEnd
+ * @see config.FarEndControl
+ */
+function buildFarEndRowXml() {
+  if (!config.FarEndControl.Enabled || farEnd.CallId == undefined) {
+    return ``;
+  }
+
+  const text = uiText.Page.FarEnd;
+  const presets = config.FarEndControl.Presets.length > 0
+    ? config.FarEndControl.Presets.filter(preset => preset.PresetId >= 1 && preset.PresetId <= 15)
+    : Array.from({ length: farEnd.NumberOfPresets }, (item, index) => { return { PresetId: index + 1, Name: `${text.Preset} ${index + 1}` } });
+
+  let presetXml = ``;
+  presets.forEach(preset => {
+    presetXml = presetXml + `<Value>
+      <Key>${preset.PresetId}</Key>
+      <Name>${escapeXml(preset.Name ?? `${text.Preset} ${preset.PresetId}`)}</Name>
+    </Value>`
+  });
+
+  let rowXml = `<Row>
+        <Name>${escapeXml(text.Title)}</Name>
+        <Widget>
+          <WidgetId>camPresets~PresetList~FarEnd~Name</WidgetId>
+          <Name>${escapeXml(text.Title)}</Name>
+          <Type>Text</Type>
+          <Options>size=4;fontSize=small;align=left</Options>
+        </Widget>`
+
+  if (presetXml != '') {
+    rowXml = rowXml + `<Widget>
+          <WidgetId>camPresets~PresetList~FarEnd~Presets</WidgetId>
+          <Type>GroupButton</Type>
+          <Options>size=4;columns=${Math.min(presets.length, 3)}</Options>
+          <ValueSpace>
+            ${presetXml}
+          </ValueSpace>
+        </Widget>`
+  }
+
+  rowXml = rowXml + `
+      </Row>`
+
+  if (config.FarEndControl.ShowPad) {
+    rowXml = rowXml + `<Row>
+        <Name>${escapeXml(text.Title)} Pad</Name>
+        <Widget>
+          <WidgetId>camPresets~PresetList~FarEnd~Pad</WidgetId>
+          <Type>DirectionalPad</Type>
+          <Options>size=4</Options>
+        </Widget>
+      </Row>
+      <Row>
+        <Name>${escapeXml(text.Zoom)}</Name>
+        <Widget>
+          <WidgetId>camPresets~PresetList~FarEnd~ZoomLabel</WidgetId>
+          <Name>${escapeXml(text.Zoom)}</Name>
+          <Type>Text</Type>
+          <Options>size=2;fontSize=normal;align=center</Options>
+        </Widget>
+        <Widget>
+          <WidgetId>camPresets~PresetList~FarEnd~Zoom</WidgetId>
+          <Type>Spinner</Type>
+          <Options>size=2;style=plusminus</Options>
+        </Widget>
+      </Row>`
+  }
+
+  return rowXml;
+};
+
+/** Tracks Peer Sync
+ * 
+ * ```Origin``` identifies this codec in Peer Sync messages, ```LastKey``` is the last selection sent to or received from the peers
+ * 
+ * ```Secret``` and ```Credentials``` are loaded from the Storage Macro by loadPeerSyncSecrets. ```Received``` holds the Signature of each message accepted, until it expires
+ * 
+ * @see config.PeerSync
+ */
+let peerSync = {
+  State: 'Split',
+  Origin: '',
+  LastKey: '',
+  Secret: '',
+  Credentials: {},
+  Received: {}
+};
+
+/** The shortest Peer Sync Secret accepted */
+const peerSyncMinimumSecretLength = 16;
+
+/** How long a Peer Sync message is accepted after it's sent, in ms, allowing for the same skew between the codecs' clocks */
+const peerSyncMessageLifetime = 30000;
+
+/** Loads the Peer Sync Secret and each peer's Credentials from the Storage Macro
+ * 
+ * Empty entries are saved for anything missing so there's a place to fill them in. Without a Secret of at least ```peerSyncMinimumSecretLength``` characters, Peer Sync is turned off
+ * 
+ * Stored as ```"PeerSync": { "Secret": "...", "Credentials": { "Room B": "c3luYzpzZWNyZXQ=" } }```, where each Credential is the base64 encoding of ```username:password``` for a local user on that peer that can run ```xCommand Message Send```
+ * 
+ * @see config.PeerSync
+ * @see readMemory
+ */
+function loadPeerSyncSecrets() {
+  const saved = isPlainObject(memory.Data.PeerSync) ? memory.Data.PeerSync : {};
+  const credentials = isPlainObject(saved.Credentials) ? { ...saved.Credentials } : {};
+
+  config.PeerSync.Peers.forEach(peer => {
+    const name = peer.Name ?? peer.Url;
+    if (peer.Credentials != undefined) {
+      console.warn({ Warn: `Peer Sync Credentials for Peer [${name}] are ignored in config, set them in Storage Macro [${config.Persistence.StorageMacro}]` });
+    }
+    credentials[name] = credentials[name] ?? '';
+  });
+
+  if (saved.Secret != undefined && typeof saved.Secret != 'string') {
+    console.warn({ Warn: `Peer Sync Secret in Storage Macro [${config.Persistence.StorageMacro}] must be quoted as a string` });
+  }
+
+  peerSync.Secret = typeof saved.Secret == 'string' ? saved.Secret : '';
+  peerSync.Credentials = credentials;
+  writeMemory('PeerSync', { Secret: saved.Secret ?? '', Credentials: credentials });
+
+  if (peerSync.Secret.length < peerSyncMinimumSecretLength) {
+    console.warn({ Warn: `Peer Sync is off until a Secret of at least [${peerSyncMinimumSecretLength}] characters is set in Storage Macro [${config.Persistence.StorageMacro}]` });
+    config.PeerSync.Enabled = false;
+    return false;
+  }
+  return true;
+};
+
+/** Identifies a selection the same way on every peer
+ * 
+ * Returns undefined for selections Peer Sync doesn't mirror
+ * 
+ * @param {object} selection
+ * A Panel selection or a received Peer Sync message
+ */
+function peerSyncSelectionKey(selection) {
+  switch (selection?.Type) {
+    case 'Preset':
+      return config.PeerSync.MatchPresetsBy == 'Id' ? `Preset~${selection.PresetId}` : `Preset~${selection.PresetName}`;
+    case 'Composite':
+      return `Composite~${selection.CompositeName}`;
+    case 'Automatic':
+      if (['Speaker', 'Frames', 'Presenter'].includes(selection.Feature)) {
+        return `Tracking~${selection.Feature}`;
+      }
+  }
+  return undefined;
+};
+
+/** Returns the UTF-8 bytes of a string */
+function utf8Bytes(text) {
+  return (encodeURIComponent(text).match(/%[0-9A-F]{2}|[^%]/g) ?? []).map(part => part.length == 3 ? parseInt(part.slice(1), 16) : part.charCodeAt(0));
+};
+
+/** Returns the SHA-256 digest of a list of bytes, as a list of bytes
+ * 
+ * The macro runtime has no crypto module, so Peer Sync messages are signed with this
+ * 
+ * @see hmacSha256
+ */
+function sha256(bytes) {
+  const rotate = (word, count) => (word >>> count) | (word << (32 - count));
+  const hash = [];
+  const constants = [];
+  for (let candidate = 2; constants.length < 64; candidate++) {
+    let prime = true;
+    for (let divisor = 2; divisor * divisor <= candidate; divisor++) {
+      if (candidate % divisor == 0) {
+        prime = false;
+        break;
+      }
+    }
+    if (prime) {
+      if (hash.length < 8) {
+        hash.push((Math.pow(candidate, 1 / 2) * 4294967296) | 0);
+      }
+      constants.push((Math.pow(candidate, 1 / 3) * 4294967296) | 0);
+    }
+  }
+
+  const padded = [...bytes, 0x80];
+  while (padded.length % 64 != 56) {
+    padded.push(0);
+  }
+  const bitLength = bytes.length * 8;
+  const high = Math.floor(bitLength / 4294967296);
+  padded.push(high >>> 24 & 255, high >>> 16 & 255, high >>> 8 & 255, high & 255, bitLength >>> 24 & 255, bitLength >>> 16 & 255, bitLength >>> 8 & 255, bitLength & 255);
+
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    const words = [];
+    for (let i = 0; i < 64; i++) {
+      if (i < 16) {
+        words[i] = (padded[offset + i * 4] << 24) | (padded[offset + i * 4 + 1] << 16) | (padded[offset + i * 4 + 2] << 8) | padded[offset + i * 4 + 3];
+      } else {
+        const s0 = rotate(words[i - 15], 7) ^ rotate(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+        const s1 = rotate(words[i - 2], 17) ^ rotate(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+        words[i] = (words[i - 16] + s0 + words[i - 7] + s1) | 0;
+      }
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + constants[i] + words[i]) | 0;
+      const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) | 0, c, b, a, (t1 + t2) | 0];
+    }
+    [a, b, c, d, e, f, g, h].forEach((word, i) => hash[i] = (hash[i] + word) | 0);
+  }
+
+  return hash.flatMap(word => [word >>> 24 & 255, word >>> 16 & 255, word >>> 8 & 255, word & 255]);
+};
+
+/** Returns the HMAC-SHA256 of a message keyed with a secret, as lowercase hex
+ * 
+ * @see sha256
+ */
+function hmacSha256(secret, message) {
+  let key = utf8Bytes(secret);
+  if (key.length > 64) {
+    key = sha256(key);
+  }
+  while (key.length < 64) {
+    key.push(0);
+  }
+  const inner = sha256([...key.map(byte => byte ^ 0x36), ...utf8Bytes(message)]);
+  const outer = sha256([...key.map(byte => byte ^ 0x5c), ...inner]);
+  return outer.map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/** Compares 2 strings in a time that doesn't depend on where they first differ */
+function constantTimeEquals(a, b) {
+  let difference = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    difference |= (a.charCodeAt(i) | 0) ^ (b.charCodeAt(i) | 0);
+  }
+  return difference == 0;
+};
+
+/** Posts a Peer Sync message to every peer as an ```xCommand Message Send```
+ * 
+ * @param {object} message
+ * Sent as ```Key:Value~``` pairs after the ```PeerSync```, ```Origin``` and ```Timestamp``` pairs, followed by a ```Signature```: the HMAC-SHA256 of everything before it, keyed with the Secret
+ * 
+ * @see config.PeerSync.Peers
+ * @see hmacSha256
+ * @xapi [xCommand HttpClient Post](https://roomos.cisco.com/xapi/Command.HttpClient.Post/)
+ */
+async function sendPeerSyncMessage(message, cause) {
+  const text = encodeKeyValuePairs({ PeerSync: config.PeerSync.Group, Origin: peerSync.Origin, Timestamp: Date.now(), ...message });
+  const body = `<Command><Message><Send><Text>${escapeXml(`${text}~Signature:${hmacSha256(peerSync.Secret, text)}`)}</Text></Send></Message></Command>`;
+
+  await Promise.all(config.PeerSync.Peers.map(async peer => {
+    const credentials = peerSync.Credentials[peer.Name ?? peer.Url];
+    if (!credentials) {
+      console.warn({ Warn: `Peer Sync [${message.Event}] not sent to Peer [${peer.Name ?? peer.Url}], no Credentials set in Storage Macro [${config.Persistence.StorageMacro}]`, Cause: cause });
+      return;
+    }
+    try {
+      await xapi.Command.HttpClient.Post({
+        Url: peer.Url,
+        Header: ['Content-Type: text/xml', `Authorization: Basic ${credentials}`],
+        AllowInsecureHTTPS: config.PeerSync.AllowInsecureHTTPS ? 'True' : 'False',
+        ResultBody: 'None',
+        Timeout: config.PeerSync.Timeout
+      }, body);
+      console.debug({ Debug: `Peer Sync [${message.Event}] sent to Peer [${peer.Name ?? peer.Url}]`, Cause: cause });
+    } catch (e) {
+      handleError(e, `Failed to send Peer Sync [${message.Event}] to Peer [${peer.Name ?? peer.Url}]. Cause: ${cause}`, 'warn');
+    }
+  }));
+};
+
+/** Mirrors a selection to the peers while the rooms are Combined
+ * 
+ * Selections made by Peer Sync itself, and repeats of the last selection sent or received, are not sent so peers don't echo each other
+ * 
+ * @see peerSyncSelectionKey
+ */
+function syncSelectionToPeers(selection, cause) {
+  if (!config.PeerSync.Enabled || peerSync.State != 'Combined' || `${cause}`.startsWith('Peer Sync')) {
+    return;
+  }
+
+  const key = peerSyncSelectionKey(selection);
+
+  if (key == undefined || key == peerSync.LastKey) {
+    return;
+  }
+
+  peerSync.LastKey = key;
+  sendPeerSyncMessage({ Event: 'Selection', Type: selection.Type, Feature: selection.Feature, PresetId: selection.PresetId, PresetName: selection.PresetName, CompositeName: selection.CompositeName }, cause);
+};
+
+/** Applies a selection or state received from a peer
+ * 
+ * Messages without a Signature made with the shared Secret, messages older than ```peerSyncMessageLifetime```, repeats of a message already received, messages from this codec and selections received while Split are ignored
+ * 
+ * @param {string} text
+ * The Peer Sync message, as received
+ * 
+ * @see sendPeerSyncMessage
+ */
+async function receivePeerSyncMessage(text) {
+  const separator = text.lastIndexOf('~Signature:');
+  const signed = separator < 0 ? '' : text.slice(0, separator);
+  const signature = separator < 0 ? '' : text.slice(separator + '~Signature:'.length);
+
+  if (peerSync.Secret == '' || !constantTimeEquals(signature, hmacSha256(peerSync.Secret, signed))) {
+    console.warn({ Warn: `Peer Sync Message ignored, the Signature doesn't match the Secret`, Text: text });
+    return;
+  }
+
+  const message = parseKeyValuePairs(signed);
+
+  if (`${message.Origin}` == `${peerSync.Origin}`) {
+    return;
+  }
+
+  const now = Date.now();
+  Object.keys(peerSync.Received).forEach(key => {
+    if (peerSync.Received[key] < now) {
+      delete peerSync.Received[key];
+    }
+  });
+
+  if (!(Math.abs(now - message.Timestamp) <= peerSyncMessageLifetime)) {
+    console.warn({ Warn: `Peer Sync Message ignored, it was sent more than [${peerSyncMessageLifetime}ms] from now. Check both codecs keep the correct time`, Origin: message.Origin, Timestamp: message.Timestamp });
+    return;
+  }
+
+  if (peerSync.Received[signature] != undefined) {
+    console.warn({ Warn: `Peer Sync Message ignored, it was already received`, Origin: message.Origin, Timestamp: message.Timestamp });
+    return;
+  }
+  peerSync.Received[signature] = message.Timestamp + peerSyncMessageLifetime;
+
+  const cause = `Peer Sync [${message.Origin}]`;
+
+  switch (message.Event) {
+    case 'State':
+      setPeerSyncState(message.State, cause);
+      break;
+    case 'Selection': {
+      if (peerSync.State != 'Combined') {
+        console.debug({ Debug: `Peer Sync Selection ignored, rooms are Split`, Cause: cause });
+        return;
+      }
+      const key = peerSyncSelectionKey(message);
+      if (key == undefined || key == peerSync.LastKey) {
+        return;
+      }
+      peerSync.LastKey = key;
+      if (key == peerSyncSelectionKey(lastPresetSelection)) {
+        return;
+      }
+      let selection = { Tracking: message.Feature };
+      switch (message.Type) {
+        case 'Preset':
+          selection = config.PeerSync.MatchPresetsBy == 'Id' ? { PresetId: message.PresetId } : { Preset: `${message.PresetName}` };
+          break;
+        case 'Composite':
+          selection = { Composite: `${message.CompositeName}` };
+          break;
+      }
+      console.log({ Message: `Applying Peer Sync Selection`, Selection: selection, Cause: cause });
+      if (!(await applyCameraSelection(selection, cause))) {
+        console.warn({ Warn: `Peer Sync Selection not found on this codec`, Selection: selection, Cause: cause });
+      }
+      break;
+    }
+  }
+};
+
+/** Combines or splits the rooms
+ * 
+ * A change made on this codec is sent to the peers, then Combining sends the current selection so every room starts in step
+ * 
+ * @param {string} state
+ * ```Combined``` or ```Split```
+ * 
+ * @xapi [xCommand UserInterface Extensions Widget SetValue](https://roomos.cisco.com/xapi/Command.UserInterface.Extensions.Widget.SetValue/)
+ */
+async function setPeerSyncState(state, cause) {
+  if (!config.PeerSync.Enabled || !['Combined', 'Split'].includes(state)) {
+    return false;
+  }
+
+  if (state != peerSync.State) {
+    peerSync.State = state;
+    peerSync.LastKey = '';
+    console.log({ Message: `Peer Sync State set to [${state}]`, Cause: cause });
+
+    if (config.Persistence.Enabled) {
+      writeMemory('PeerSyncState', state);
+    }
+  }
+
+  setPeerSyncWidget(cause);
+
+  if (!`${cause}`.startsWith('Peer Sync')) {
+    await sendPeerSyncMessage({ Event: 'State', State: state }, cause);
+    if (state == 'Combined' && lastPresetSelection != '') {
+      syncSelectionToPeers(lastPresetSelection, cause);
+    }
+  }
+  return true;
+};
+
+/** Shows the Peer Sync State on the Combined toggle
+ * 
+ * @xapi [xCommand UserInterface Extensions Widget SetValue](https://roomos.cisco.com/xapi/Command.UserInterface.Extensions.Widget.SetValue/)
+ */
+function setPeerSyncWidget(cause) {
+  if (!config.PeerSync.Enabled || !config.PeerSync.ShowStateSwitch) {
+    return;
+  }
+  xapi.Command.UserInterface.Extensions.Widget.SetValue({ WidgetId: `camPresets~PresetList~PeerSync`, Value: peerSync.State == 'Combined' ? 'on' : 'off' }).catch(e => handleError(e, `Failed to Set Peer Sync Widget Value. Cause: ${cause}`, 'debug'));
+};
+
+/** Assembles the Combined toggle row of the Camera Preset List page
+ * 
+ * @see config.PeerSync.ShowStateSwitch
+ */
+function buildPeerSyncRowXml() {
+  if (!config.PeerSync.Enabled || !config.PeerSync.ShowStateSwitch) {
+    return ``;
+  }
+
+  return `<Row>
+        <Name>${escapeXml(uiText.Page.PeerSync)}</Name>
+        <Widget>
+          <WidgetId>camPresets~PresetList~PeerSync~Name</WidgetId>
+          <Name>${escapeXml(uiText.Page.PeerSync)}</Name>
+          <Type>Text</Type>
+          <Options>size=3;fontSize=normal;align=left</Options>
+        </Widget>
+        <Widget>
+          <WidgetId>camPresets~PresetList~PeerSync</WidgetId>
+          <Type>ToggleButton</Type>
+          <Options>size=1</Options>
+        </Widget>
+      </Row>`;
+};
+
+/** Tracks the Room Reset
+ * 
+ * ```Occupied``` is undefined until RoomAnalytics reports a known state
+ * 
+ * @see runRoomReset
+ */
+let roomReset = {
+  Occupied: undefined,
+  PeoplePresence: 'Unknown',
+  PeopleCount: -1,
+  LeaveHandler: '',
+  IdleHandler: ''
+};
+
+/** Applies the Room Reset selection, unless a call is active and ```SkipDuringCalls``` is set
+ * 
+ * @see config.RoomReset
+ * @see applyCameraSelection
+ * @xapi [xStatus Call](https://roomos.cisco.com/xapi/search?search=Status+Call+*&Type=Status)
+ */
+async function runRoomReset(cause) {
+  if (!config.RoomReset.Enabled) {
+    return;
+  }
+
+  clearTimeout(roomReset.LeaveHandler);
+  clearTimeout(roomReset.IdleHandler);
+
+  if (config.RoomReset.SkipDuringCalls) {
+    const calls = await xapi.Status.Call.get().catch(e => handleError(e, `Failed to check for active calls`, 'debug'));
+    if (Array.isArray(calls) && calls.length > 0) {
+      console.log({ Message: `Room Reset skipped, a call is active`, Cause: cause });
+      return;
+    }
+  }
+
+  console.log({ Message: `Resetting Camera`, Selection: config.RoomReset.Selection, Cause: cause });
+  await applyCameraSelection(config.RoomReset.Selection, cause);
+};
+
+/** Updates the room occupancy from RoomAnalytics and starts the PeopleLeaveDelay once the room empties
+ * 
+ * The room is occupied when PeoplePresence is ```Yes``` or PeopleCount is above 0, and empty when neither is true and at least 1 of them is known
+ * 
+ * @param {object} update
+ * ```{ PeoplePresence }``` and/or ```{ PeopleCount }```
+ * @param {boolean} arm
+ * False for the occupancy read at startup, so a room that was already empty isn't reset by a restart
+ * 
+ * @see config.RoomReset
+ * @see armRoomReset
+ */
+function updateRoomOccupancy(update, arm = true) {
+  Object.assign(roomReset, update);
+
+  const occupied = roomReset.PeoplePresence == 'Yes' || Number(roomReset.PeopleCount) > 0;
+  const known = ['Yes', 'No'].includes(roomReset.PeoplePresence) || Number(roomReset.PeopleCount) >= 0;
+
+  if (!known || occupied == roomReset.Occupied) {
+    return;
+  }
+
+  roomReset.Occupied = occupied;
+  clearTimeout(roomReset.LeaveHandler);
+
+  if (arm) {
+    armRoomReset(`Room Occupancy changed`);
+  }
+};
+
+/** Starts the PeopleLeaveDelay while the room is empty
+ * 
+ * Runs when the room empties, and after a selection or call ends in a room that's still empty. Selections made at startup, by a Reconcile or by the Room Reset itself don't restart it
+ * 
+ * @see updateRoomOccupancy
+ */
+function armRoomReset(cause) {
+  if (!config.RoomReset.Enabled || !config.RoomReset.OnPeopleLeave || roomReset.Occupied !== false || ['Startup', 'Reconcile', 'RoomReset'].includes(usageSourceFromCause(cause))) {
+    return;
+  }
+
+  clearTimeout(roomReset.LeaveHandler);
+  console.debug({ Debug: `Room is empty, resetting in [${config.RoomReset.PeopleLeaveDelay}] seconds`, Cause: cause });
+  roomReset.LeaveHandler = setTimeout(() => runRoomReset(`Room Reset, People Left`), config.RoomReset.PeopleLeaveDelay * 1000);
+};
+
+/** Tracks presentations handled by the Presentation Rules
+ * 
+ * ```Instances``` is keyed by LocalInstance id, holding the presentation Source
+ * 
+ * @see updatePresentationInstance
+ */
+let presentation = {
+  Instances: {},
+  ActiveRule: undefined,
+  PreviousSelection: undefined
+};
+
+/** Applies the first Presentation Rule matching a shared source, or restores the previous selection once no rule matches
+ * 
+ * @param {string} instanceId
+ * The presentation LocalInstance
+ * @param {number} source
+ * The presentation Source, undefined when the instance has stopped
+ * 
+ * @see config.PresentationRules
+ * @see applyCameraSelection
+ */
+async function updatePresentationInstance(instanceId, source) {
+  if (source == undefined) {
+    delete presentation.Instances[instanceId];
+  } else {
+    presentation.Instances[instanceId] = Number(source);
+  }
+
+  const sources = Object.values(presentation.Instances);
+  const rule = sources.length < 1 ? undefined : config.PresentationRules.Rules.find(item => item.Source == undefined || sources.includes(Number(item.Source)));
+
+  if (rule == presentation.ActiveRule) {
+    return;
+  }
+
+  if (presentation.ActiveRule == undefined) {
+    presentation.PreviousSelection = panelSelectionToCameraSelection(lastPresetSelection);
+  }
+
+  presentation.ActiveRule = rule;
+
+  if (rule != undefined) {
+    await applyCameraSelection(rule.Selection, `Presentation Rule [${rule.Name ?? `Source ${rule.Source ?? 'Any'}`}]`);
+    return;
+  }
+
+  if (config.PresentationRules.RestoreOnStop && presentation.PreviousSelection != undefined) {
+    await applyCameraSelection(presentation.PreviousSelection, `Presentation Stopped, Restoring Previous Selection`);
+  }
+
+  presentation.PreviousSelection = undefined;
+};
+
+/** Restarts the ManualIdleTimeout after a manual camera move
+ * 
+ * The reset only runs if the camera is still in Manual once the timer completes
+ * 
+ * @see config.RoomReset
+ */
+function refreshManualIdleTimer() {
+  if (!config.RoomReset.Enabled || !(config.RoomReset.ManualIdleTimeout > 0)) {
+    return;
+  }
+  clearTimeout(roomReset.IdleHandler);
+  roomReset.IdleHandler = setTimeout(() => {
+    if (lastPresetSelection?.Feature == 'Manual') {
+      runRoomReset(`Room Reset, Manual Idle Timeout`);
+    }
+  }, config.RoomReset.ManualIdleTimeout * 60000);
+};
+
+/** Sends a message to other macros in the ```Key:Value~``` format
+ * 
+ * @param {object} message
+ * Key Value pairs to send, the ```Macro``` key is added for you
+ * 
+ * @see config.MacroApi
+ * @xapi [xCommand Message Send](https://roomos.cisco.com/xapi/Command.Message.Send/)
+ */
+async function sendMacroMessage(message) {
+  const text = encodeKeyValuePairs({ Macro: config.MacroApi.Id, ...message });
+  await xapi.Command.Message.Send({ Text: text }).catch(e => handleError(e, `Failed to Send Macro Message [${text}]`, 'debug'));
+};
+
+/** The last selection broadcast to other macros, used to only broadcast changes
+ * 
+ * @see broadcastSelectionChange
+ */
+let lastBroadcastSelection = undefined;
+
+/** Tells other macros the selection changed
+ * 
+ * Repeats of the last broadcast selection are not sent
+ * 
+ * @see config.MacroApi.BroadcastSelection
+ */
+function broadcastSelectionChange(selection, cause) {
+  if (!config.MacroApi.BroadcastSelection) {
+    return;
+  }
+
+  const message = { Type: selection?.Type ?? 'None', Feature: selection?.Feature, CameraId: selection?.CameraId, PresetId: selection?.PresetId, PresetName: selection?.PresetName, CompositeId: selection?.CompositeId, CompositeName: selection?.CompositeName };
+  const key = JSON.stringify(message);
+
+  if (key == lastBroadcastSelection) {
+    return;
+  }
+
+  lastBroadcastSelection = key;
+  sendMacroMessage({ Event: 'SelectionChanged', ...message, Cause: cause });
+};
+
+/** Runs a command sent by another macro and sends the response
+ * 
+ * @param {object} command
+ * A parsed ```Key:Value~``` message that includes an ```Action```
+ * 
+ * @see config.MacroApi
+ */
+async function runMacroApiCommand(command) {
+  const response = { Response: command.Action, RequestId: command.RequestId };
+  const cause = `Macro API [${command.Action}]`;
+
+  switch (command.Action) {
+    case 'ActivatePreset': {
+      if (command.PresetId == undefined && command.PresetName == undefined) {
+        await sendMacroMessage({ ...response, Status: 'Error', Reason: 'PresetId or PresetName required' });
+        break;
+      }
+      const applied = await applyCameraSelection(command.PresetId != undefined ? { PresetId: command.PresetId } : { Preset: command.PresetName }, cause);
+      await sendMacroMessage({ ...response, Status: applied ? 'OK' : 'Error', Reason: applied ? undefined : 'Preset not found' });
+      break;
+    }
+    case 'ActivateComposite': {
+      if (command.CompositeId == undefined && command.CompositeName == undefined) {
+        await sendMacroMessage({ ...response, Status: 'Error', Reason: 'CompositeId or CompositeName required' });
+        break;
+      }
+      const applied = await applyCameraSelection(command.CompositeId != undefined ? { CompositeId: command.CompositeId } : { Composite: command.CompositeName }, cause);
+      await sendMacroMessage({ ...response, Status: applied ? 'OK' : 'Error', Reason: applied ? undefined : 'Composite not found or failed' });
+      break;
+    }
+    case 'ActivateDefaultPreset':
+      await applyCameraSelection({ DefaultPreset: true }, cause);
+      await sendMacroMessage({ ...response, Status: 'OK' });
+      break;
+    case 'ActivateTracking': {
+      if (command.Feature == 'Tour' || command.Feature == 'Voice') {
+        await applyCameraSelection({ [command.Feature]: true }, cause);
+        await sendMacroMessage({ ...response, Status: 'OK' });
+        break;
+      }
+      if (!['Presenter', 'Speaker', 'Frames'].includes(command.Feature)) {
+        await sendMacroMessage({ ...response, Status: 'Error', Reason: 'Feature must be Presenter, Speaker, Frames, Tour or Voice' });
+        break;
+      }
+      const applied = await applyCameraSelection({ Tracking: command.Feature }, cause);
+      await sendMacroMessage({ ...response, Status: applied ? 'OK' : 'Error', Reason: applied ? undefined : 'Tracking activation failed' });
+      break;
+    }
+    case 'GetSelection':
+      await sendMacroMessage({ ...response, Status: 'OK', Type: lastPresetSelection?.Type ?? 'None', Feature: lastPresetSelection?.Feature, CameraId: lastPresetSelection?.CameraId, PresetId: lastPresetSelection?.PresetId, PresetName: lastPresetSelection?.PresetName, CompositeId: lastPresetSelection?.CompositeId, CompositeName: lastPresetSelection?.CompositeName });
+      break;
+    case 'GetPresets':
+      availableCameraPresets = (await xapi.Command.Camera.Preset.List()).Preset;
+      if (availableCameraPresets.length < 1) {
+        await sendMacroMessage({ ...response, Status: 'OK', Index: 0, Total: 0 });
+        break;
+      }
+      for (let i = 0; i < availableCameraPresets.length; i++) {
+        const preset = availableCameraPresets[i];
+        await sendMacroMessage({ ...response, Status: 'OK', Index: i + 1, Total: availableCameraPresets.length, CameraId: preset.CameraId, PresetId: preset.PresetId, PresetName: parsePresetNameTags(preset.Name).DisplayName, Default: preset.DefaultPosition });
+      }
+      break;
+    case 'RebuildUI':
+      await buildUserInterface(cause, true);
+      await sendMacroMessage({ ...response, Status: 'OK' });
+      break;
+    case 'SetPeerSyncState': {
+      const applied = await setPeerSyncState(command.State, cause);
+      await sendMacroMessage({ ...response, Status: applied ? 'OK' : 'Error', Reason: applied ? undefined : 'PeerSync must be enabled and State must be Combined or Split' });
+      break;
+    }
+    default:
+      await sendMacroMessage({ ...response, Status: 'Error', Reason: 'Unknown Action' });
+      break;
+  }
+};
+
+/** Milliseconds to wait for a burst of changes to end before rebuilding the Camera Preset Panel
+ * 
+ * @see scheduleUserInterfaceBuild
+ */
+const userInterfaceBuildDebounceTime = 1500;
+
+/** Configuration paths that change what the Camera Preset Panel shows. Changes to any other path don't rebuild it
+ * 
+ * @see Subscribe.AllConfigurations
+ */
+const userInterfaceConfigPaths = ['UserInterface.Language', 'Cameras'];
+
+/** Tracks Camera Preset Panel builds
+ * 
+ * ```Queue``` runs 1 build at a time, ```SavedXml``` is the last Panel saved to the codec. It starts empty, so the first build always saves, and is cleared if the Panel goes missing
+ * 
+ * @see buildUserInterface
+ * @see checkUserInterfaceSaved
+ * @see scheduleUserInterfaceBuild
+ */
+let userInterfaceBuild = {
+  Queue: Promise.resolve(),
+  Handler: '',
+  Causes: [],
+  SavedXml: ''
+};
+
+/** Rebuilds the Camera Preset Panel once changes stop arriving, coalescing every cause in between into 1 build
+ * 
+ * @see userInterfaceBuildDebounceTime
+ */
+function scheduleUserInterfaceBuild(cause) {
+  if (!userInterfaceBuild.Causes.includes(cause)) {
+    userInterfaceBuild.Causes.push(cause);
+  }
+  clearTimeout(userInterfaceBuild.Handler);
+  userInterfaceBuild.Handler = setTimeout(() => {
+    const causes = userInterfaceBuild.Causes.join(', ');
+    userInterfaceBuild.Causes = [];
+    buildUserInterface(causes).catch(e => handleError(e, `Failed to build the Camera Preset Panel. Cause: ${causes}`));
+  }, userInterfaceBuildDebounceTime);
+};
+
+/** Forgets the last Panel saved and rebuilds it if the Camera Preset Panel is no longer on the codec, ex: removed from the UI Extensions Editor
+ * 
+ * @see Subscribe.ExtensionsLayoutUpdated
+ * @xapi [xCommand UserInterface Extensions List](https://roomos.cisco.com/xapi/Command.UserInterface.Extensions.List/)
+ */
+async function checkUserInterfaceSaved(cause) {
+  const extensions = await xapi.Command.UserInterface.Extensions.List({ ActivityType: 'Custom' });
+  if (userInterfaceBuild.SavedXml == '' || (extensions.Extensions?.Panel ?? []).some(panel => panel.PanelId == 'camPresets')) {
+    return;
+  }
+  console.debug({ Debug: `Camera Preset Panel missing from the codec`, Cause: cause });
+  userInterfaceBuild.SavedXml = '';
+  scheduleUserInterfaceBuild(`${cause}, Panel Missing`);
+};
+
+/** Returns the dotted path of every setting in a Configuration change, ex: ```UserInterface.Language```
+ * 
+ * @param {object} change
+ * The value passed to an ```xapi.Config``` subscription
+ */
+function configChangePaths(change, path = '') {
+  if (Array.isArray(change)) {
+    return change.flatMap(item => configChangePaths(item, path));
+  }
+  if (!isPlainObject(change)) {
+    return [path];
+  }
+  return Object.keys(change)
+    .filter(key => key != 'id')
+    .flatMap(key => configChangePaths(change[key], path == '' ? key : `${path}.${key}`));
+};
+
+/** Assembles the Camera Preset UserInterface Extension Panel and Widgets
+ * 
+ * Builds run 1 at a time. The Panel is only saved if it changed since the last save, then the current selection is shown again
+ * 
+ * @param {boolean} force
+ * Saves the Panel even if it didn't change
+ * 
+ * @see availableCameraPresets;
+ * @see availableCameraTrackingFeatures;
+ * @see loadTextPack
+ * @xapi [xCommand UserInterface Extensions Panel Save](https://roomos.cisco.com/xapi/Command.UserInterface.Extensions.Panel.Save/)
+ * @xapi [xCommand Camera Preset List](https://roomos.cisco.com/xapi/Command.Camera.Preset.List/)
+ * @xapi [xStatus Cameras SpeakerTrack Availability](https://roomos.cisco.com/xapi/Status.Cameras.SpeakerTrack.Availability/)
+ * @xapi [xStatus Cameras SpeakerTrack Frames Availability](https://roomos.cisco.com/xapi/Status.Cameras.SpeakerTrack.Frames.Availability/)
+ * @xapi [xStatus Cameras PresenterTrack Availability](https://roomos.cisco.com/xapi/Status.Cameras.PresenterTrack.Availability/)
+ */
+const buildUserInterface = async function (cause, force = false) {
+  const build = userInterfaceBuild.Queue.then(() => saveUserInterface(cause, force));
+  userInterfaceBuild.Queue = build.catch(() => void 0);
+  return await build;
+};
+
+/** Assembles the row of a group of Camera Presets, labelled with the group's name when it has one
+ * 
+ * @param {object} group
+ * A group built by saveUserInterface, with a ```WidgetId```, ```Name``` and the ```Xml``` of its values
+ * 
+ * @see config.PresetLayout.Columns
+ */
+function presetGroupRowXml(group) {
+  const nameXml = group.Name == '' ? `` : `<Widget>
+          <WidgetId>${group.WidgetId}~Name</WidgetId>
+          <Name>${escapeXml(group.Name)}</Name>
+          <Type>Text</Type>
+          <Options>size=4;fontSize=small;align=left</Options>
+        </Widget>`;
+
+  return `<Row>
+        <Name>${escapeXml(group.Name == '' ? 'Select Preset' : group.Name)}</Name>
+        ${nameXml}
+        <Widget>
+          <WidgetId>${group.WidgetId}</WidgetId>
+          <Type>GroupButton</Type>
+          <Options>size=4;columns=${config.PresetLayout.Columns}</Options>
+          <ValueSpace>
+            ${group.Xml}
+          </ValueSpace>
+        </Widget>
+      </Row>`
+};
+
+/** Assembles the More button that opens the next page of Camera Presets
+ * 
+ * @param {string} pagePrefix
+ * The page the button is on, ```camPresets~PresetList``` or ```camPresets~Presets[n]```
+ * 
+ * @see config.PresetLayout.PageSize
+ */
+function presetPagingRowXml(pagePrefix) {
+  return `<Row>
+        <Name>More</Name>
+        <Widget>
+          <WidgetId>${pagePrefix}~More</WidgetId>
+          <Name>${escapeXml(uiText.Page.Paging.More)}</Name>
+          <Type>Button</Type>
+          <Options>size=2</Options>
+        </Widget>
+      </Row>`
+};
+
+/** Builds and saves the Camera Preset Panel for buildUserInterface
+ * 
+ * @see buildUserInterface
+ */
+async function saveUserInterface(cause, force) {
+  console.info({ Info: `Building Camera Preset Panel`, Cause: cause })
+  const panelId = 'camPresets';
+
+  await loadTextPack(cause);
+
+  availableCameraPresets = (await xapi.Command.Camera.Preset.List()).Preset;
+
+  const hasSpeakertrack = (await xapi.Status.Cameras.SpeakerTrack.Availability.get()) == 'Available' ? true : false;
+  const hasFrames = (await xapi.Status.Cameras.SpeakerTrack.Frames.Availability.get()) == 'Available' ? true : false;
+  const hasPresenterTrack = (await xapi.Status.Cameras.PresenterTrack.Availability.get()) == 'Available' ? true : false;
+
+  let presetGroupButtonXML = `<Value>
+      <Key>Type:Automatic~Feature:Manual</Key>
+      <Name>${escapeXml(uiText.Page.CameraTracking.Modes.Manual)}</Name>
+    </Value>`;
+
+  let presetRowXml = ``;
+  let trackingFeatures = [];
+
+  if (config.Features.ShowTrackingOptions) {
+    if (hasSpeakertrack) {
+      trackingFeatures.push('Speaker');
+      presetGroupButtonXML = presetGroupButtonXML + `<Value>
+      <Key>Type:Automatic~Feature:Speaker</Key>
+      <Name>${escapeXml(uiText.Page.CameraTracking.Modes.Speaker)}</Name>
+    </Value>`
+    }
+
+    if (hasFrames) {
+      trackingFeatures.push('Frames');
+      presetGroupButtonXML = presetGroupButtonXML + `<Value>
+      <Key>Type:Automatic~Feature:Frames</Key>
+      <Name>${escapeXml(uiText.Page.CameraTracking.Modes.Frames)}</Name>
+    </Value>`
+    }
+
+    if (hasPresenterTrack) {
+      trackingFeatures.push('Presenter');
+      presetGroupButtonXML = presetGroupButtonXML + `<Value>
+      <Key>Type:Automatic~Feature:Presenter</Key>
+      <Name>${escapeXml(uiText.Page.CameraTracking.Modes.Presenter)}</Name>
+    </Value>`
+    }
+
+    if (trackingFeatures.length > 0) {
+
+      console.debug({ Debug: `Tracking features [${trackingFeatures}] identified and will render in the Camera Presets Menu` });
+    } else {
+      console.warn({ Warn: `Unable to render Tracking UI. config.Features.ShowTrackingOptions is set to true but no tracking features are available. Please check your camera config and cameras for compatibility` });
+    }
+  }
+
+  availableCameraTrackingFeatures = trackingFeatures;
+
+  if (config.VoiceFollow.Enabled && config.VoiceFollow.Zones.length > 0) {
+    presetGroupButtonXML = presetGroupButtonXML + `<Value>
+      <Key>Type:Automatic~Feature:Voice</Key>
+      <Name>${escapeXml(uiText.Page.CameraTracking.Modes.Voice)}</Name>
+    </Value>`
+  }
+
+  if (config.Tour.Enabled && config.Tour.Stops.length > 0) {
+    presetGroupButtonXML = presetGroupButtonXML + `<Value>
+      <Key>Type:Automatic~Feature:Tour</Key>
+      <Name>${escapeXml(uiText.Page.CameraTracking.Modes.Tour)}</Name>
+    </Value>`
+  }
 
-/** Enables a bypass on camera positioning events
- * 
- * Helps determine when a camera is being manually moved vs programmatically via Presets
- * 
- * @see presetPositioningBypassHandler
- */
-let presetPositioningBypass = false;
+  const visibleCameraPresets = getOrderedCameraPresets();
 
-/** Object to set the presetPositioningBypass timeout into
- * 
- * @see presetPositioningBypass
- */
-let presetPositioningBypassHandler = '';
+  const presetCameraIds = visibleCameraPresets.map(preset => preset.CameraId).filter((item, index, list) => list.indexOf(item) === index);
+  const presetSections = visibleCameraPresets.map(preset => preset.Section).filter((item, index, list) => item != '' && list.indexOf(item) === index);
+  const groupByCamera = config.Features.GroupPresetsByCamera && presetCameraIds.length > 1;
+  const pageSize = config.PresetLayout.PageSize;
+  const pageCount = pageSize > 0 ? Math.max(Math.ceil(visibleCameraPresets.length / pageSize), 1) : 1;
 
+  renderedPresetWidgets = [`camPresets~PresetList~Presets`];
+  renderedPresetSelections = {};
 
-/** Stores the last know preset selection in the UI
- */
-let lastPresetSelection = '';
+  let presetGroups = [];
 
-/** Parse string into JSON Object Literal
- * 
- * @param {string} data
- * 
- * data must be formatted as ```Key:Value~```
- * 
- * ```~``` acts as a separator for Key Value Pairs
- * 
- * ```:``` acts as a separator for Keys and Values
- * 
- * 
- */
-function parseKeyValuePairs(data) {
-  const regex = /(?:([^~:]+):([^~:]+))(?:~|$)+/g;
+  visibleCameraPresets.forEach((preset, index) => {
+    const value = encodeKeyValuePairs({ Type: 'Preset', CameraId: preset.CameraId, PresetId: preset.PresetId, PresetName: preset.DisplayName });
+    const valueXml = `<Value>
+      <Key>${escapeXml(value)}</Key>
+      <Name>${escapeXml(preset.Label)}${preset.DefaultPosition.toLowerCase() == 'true' ? ` ${escapeXml(uiText.Page.Preset.DefaultIndicator)}` : ''}</Name>
+    </Value>`
 
-  if (!regex.test(data)) {
-    console.error(`Unable to parse data key value pair [${data}] || Malformed String`);
-    return { "Type": 'Error' };
-  };
+    const page = pageSize > 0 ? Math.floor(index / pageSize) + 1 : 1;
 
-  let response = {};
-  const keyValuePairs = data.split(`~`);
+    if (page == 1 && !preset.Favorite && !groupByCamera && preset.Section == '') {
+      renderedPresetSelections[preset.PresetId] = { WidgetId: `camPresets~PresetList~Presets`, Value: value };
+      presetGroupButtonXML = presetGroupButtonXML + valueXml;
+      return;
+    }
 
-  keyValuePairs.forEach(element => {
-    const [key, value] = element.split(':');
-    response[key] = isNaN(value) ? value : Number(value);
-  });
+    let widgetId = page == 1 ? `camPresets~PresetList` : `camPresets~Presets${page}`;
+    let groupName = [];
 
-  return response;
-};
+    if (preset.Favorite) {
+      widgetId = widgetId + `~Favorites`;
+      groupName.push(uiText.Page.Favorites);
+    } else {
+      if (groupByCamera) {
+        widgetId = widgetId + `~Camera${preset.CameraId}`;
+        groupName.push(uiText.Page.CameraGroups.Names[preset.CameraId] ?? `${uiText.Page.CameraGroups.DefaultName} ${preset.CameraId}`);
+      }
 
+      if (preset.Section != '') {
+        widgetId = widgetId + `~Section${presetSections.indexOf(preset.Section) + 1}`;
+        groupName.push(preset.Section);
+      }
 
-/**
- * Prints error to console, with optional Context and Type parameters
- * 
- * @param {object} e
- * The original error to be handled
- * 
- * @param {string} context
- * Details to better eplain the error
- * 
- * @param {string} type
- * define the logging type. Defaults to ```error``` if not defined
- */
-function handleError(error, context, type = 'error') {
-  let err = { Context: context, ...error }
-  let confirmType = 'error';
-  switch (type.toLowerCase()) {
-    case 'log': case 'warn': case 'debug': case 'info': case 'warn':
-      confirmType = type.toLowerCase();
-      break;
-  }
-  console[confirmType](err)
-}
+      if (groupName.length < 1) {
+        widgetId = widgetId + `~Presets`;
+      }
+    }
 
-/** Activates camera preset and set's main source to CameraId
- * 
- * @param {object} presetInfo
- * 
- * presetInfo must include a minimum definition of a CameraId and PresetId as Keys. Name is optional and helps with logging
- * 
- * @xapi [xCommand Camera Preset Activate](https://roomos.cisco.com/xapi/Command.Camera.Preset.Activate/)
- * @xapi [xCommand Video Input SetMainVideoSource](https://roomos.cisco.com/xapi/Command.Video.Input.SetMainVideoSource/)
- * @xapi [xCommand Cameras SpeakerTrack Deactivate](https://roomos.cisco.com/xapi/Command.Cameras.SpeakerTrack.Deactivate/)
- * @xapi [xCommand Cameras SpeakerTrack Frames Deactivate](https://roomos.cisco.com/xapi/Command.Cameras.SpeakerTrack.Frames.Deactivate/)
- * @xapi [xCommand Cameras PresenterTrack Set](https://roomos.cisco.com/xapi/Command.Cameras.PresenterTrack.Set/)
- */
-async function activateCameraPreset(presetInfo, cause) {
-  clearTimeout(presetPositioningBypassHandler);
-  presetPositioningBypass = true;
-  await xapi.Command.Cameras.SpeakerTrack.Deactivate().catch(e => handleError(e, `Failed to Deactivate Speakertrack. Cause: ${cause}`, 'debug'));
-  await xapi.Command.Cameras.SpeakerTrack.Frames.Deactivate().catch(e => handleError(e, `Failed to Deactivate Frames. Cause: ${cause}`, 'debug'));
-  await xapi.Command.Cameras.PresenterTrack.Set({ Mode: 'Off' }).catch(e => handleError(e, `Failed to Deactivate Presentertrack. Cause: ${cause}`, 'debug'));
+    let group = presetGroups.find(item => item.WidgetId == widgetId);
 
-  if (presetInfo.CameraId == undefined || presetInfo.PresetId == undefined) {
+    if (group == undefined) {
+      group = { WidgetId: widgetId, Name: groupName.join(' - '), Page: page, Favorite: preset.Favorite, CameraId: preset.CameraId, SectionIndex: presetSections.indexOf(preset.Section), Xml: '' };
+      presetGroups.push(group);
+    }
 
-    throw Error({ message: `Unable to set Camera Preset`, Cause: cause });
-  };
+    renderedPresetSelections[preset.PresetId] = { WidgetId: widgetId, Value: value };
+    group.Xml = group.Xml + valueXml;
+  })
 
-  console.debug({ Debug: `Setting Preset`, ...presetInfo, Cause: cause })
-  xapi.Command.Camera.Preset.Activate({ PresetId: presetInfo.PresetId });
+  presetGroups.sort((a, b) => (a.Page - b.Page) || (b.Favorite - a.Favorite) || (presetCameraIds.indexOf(a.CameraId) - presetCameraIds.indexOf(b.CameraId)) || (a.SectionIndex - b.SectionIndex));
 
-  if (config.Features.MainSourceSetOnCameraRampStop) {
-    console.debug({ Debug: `Waiting for Camera Position to Set` })
-    await monitorCameraStoppedPosition(presetInfo.CameraId).then(resolution => {
-      console.debug({ Debug: `Camera Position Monitoring Stopped on [[${presetInfo.CameraId}]]`, Resolution: resolution })
+  renderedCompositeSelections = {};
+
+  if (config.Composites.Enabled) {
+    let compositeXml = ``;
+    config.Composites.Entries.forEach((entry, index) => {
+      const compositeId = index + 1;
+      if (resolveCompositePresets(entry) == undefined) {
+        console.warn({ Warn: `Composite [${entry.Name}] needs a Camera Preset on a separate camera for each entry, it will not render`, Presets: entry.Presets });
+        return;
+      }
+      const value = encodeKeyValuePairs({ Type: 'Composite', CompositeId: compositeId, CompositeName: entry.Name });
+      renderedCompositeSelections[compositeId] = { WidgetId: `camPresets~PresetList~Composites`, Value: value };
+      compositeXml = compositeXml + `<Value>
+      <Key>${escapeXml(value)}</Key>
+      <Name>${escapeXml(entry.Name)}</Name>
+    </Value>`
     });
+
+    if (compositeXml != '') {
+      presetGroups.push({ WidgetId: `camPresets~PresetList~Composites`, Name: uiText.Page.Composites, Page: 1, Favorite: false, Xml: compositeXml });
+    }
   }
 
-  console.debug({ Debug: `Setting MainSource to [${presetInfo.CameraId}] for Camera Preset` })
-  await xapi.Command.Video.Input.SetMainVideoSource({ ConnectorId: presetInfo.CameraId });
+  const availableSelections = visibleCameraPresets.length + availableCameraTrackingFeatures.length + Object.keys(renderedCompositeSelections).length
 
-  console.log({ Message: `Camera Preset Activated`, PresetInfo: presetInfo, Cause: cause });
+  let morePagesXml = ``;
 
-  presetPositioningBypassHandler = setTimeout(() => {
-    presetPositioningBypass = false;
-  }, failsafeDebounceTime_for_MainSourceSetOnCameraRampStop + 500)
-};
+  if (availableSelections > 1) {
+    presetGroups.forEach(group => renderedPresetWidgets.push(group.WidgetId));
 
-/** Temporarily subscribes to Pan, Tilt and Zoom information of a given CameraId
- * 
- * Will resolve based on 1 of 2 debounce methods. The failsafe debounce will fire within 2.5 seconds of running this function to ensure it complete. The generic debounce will fire once all PTZ movement concludes
- * 
- * This will resolve when either debounce timer complete
- * 
- * @param {number} cameraId
- * The Camera you want to subscribe to for it's movement status
- * 
- * @async
- * 
- * @xapi [xStatus Cameras Camera[n] Position](https://roomos.cisco.com/xapi/search?Type=Status&search=Status+Camera+*+Position)
- */
-async function monitorCameraStoppedPosition(cameraId) {
-  let failsafeDebounce = {
-    run: '',
-    length: failsafeDebounceTime_for_MainSourceSetOnCameraRampStop
+    presetRowXml = presetGroups.filter(group => group.Page == 1 && group.Favorite).map(presetGroupRowXml).join('') + `<Row>
+        <Name>Select Preset</Name>
+        <Widget>
+          <WidgetId>camPresets~PresetList~Presets</WidgetId>
+          <Type>GroupButton</Type>
+          <Options>size=4;columns=${config.PresetLayout.Columns}</Options>
+          <ValueSpace>
+            ${presetGroupButtonXML}
+          </ValueSpace>
+        </Widget>
+      </Row>`
+
+    presetRowXml = presetRowXml + presetGroups.filter(group => group.Page == 1 && !group.Favorite).map(presetGroupRowXml).join('');
+
+    if (pageCount > 1) {
+      presetRowXml = presetRowXml + presetPagingRowXml(`camPresets~PresetList`);
+    }
+
+    for (let page = 2; page <= pageCount; page++) {
+      morePagesXml = morePagesXml + `<Page>
+      <Name>${escapeXml(`${uiText.Page.Paging.PageName} ${page}`)}</Name>
+      ${presetGroups.filter(group => group.Page == page).map(presetGroupRowXml).join('')}
+      ${page < pageCount ? presetPagingRowXml(`camPresets~Presets${page}`) : ''}
+      <PageId>camPresets~Presets${page}</PageId>
+      <Options>hideRowNames=1</Options>
+    </Page>`
+    }
+  } //else if (availableSelections == 1) {
+  else {
+    presetRowXml = `<Row>
+          <Name>Select Preset</Name>
+            <Widget>
+              <WidgetId>camPresets~PresetList~Presets</WidgetId>
+              <Name>${escapeXml(uiText.Page.NoPresets)}</Name>
+              <Type>Text</Type>
+              <Options>size=4;fontSize=normal;align=center</Options>
+            </Widget>
+        </Row>`
   }
-  let debounce = {
-    run: '',
-    length: 250
+
+  let manualPageXml = ``;
+
+  if (config.ManualControl.Enabled) {
+    manualPageXml = await buildManualControlPageXml();
   }
 
-  return new Promise(resolve => {
-    failsafeDebounce.run = setTimeout(() => {
-      clearTimeout(debounce.run);
-      resolve(`Monitor Timed Out`);
-    }, failsafeDebounce.length)
+  let adminRowXml = ``;
+  let adminPageXml = ``;
 
-    let cameraPositionSubsription = xapi.Status.Cameras.Camera[cameraId].Position.on(({ Pan, Tilt, Zoom }) => {
-      if ((!Pan && !Tilt) && !Zoom) {
-        return;
-      };
+  if (config.Admin.Enabled) {
+    adminRowXml = `<Row>
+        <Name>Admin</Name>
+        <Widget>
+          <WidgetId>camPresets~PresetList~Admin</WidgetId>
+          <Name>${escapeXml(uiText.AdminPage.Unlock)}</Name>
+          <Type>Button</Type>
+          <Options>size=1</Options>
+        </Widget>
+      </Row>`
 
-      clearTimeout(debounce.run);
+    if (adminPage.Unlocked) {
+      adminPageXml = await buildAdminPageXml();
+      if (config.Analytics.Enabled) {
+        adminPageXml = adminPageXml + buildUsagePageXml();
+      }
+    }
+  }
 
-      debounce.run = setTimeout(() => {
-        clearTimeout(failsafeDebounce.run);
-        cameraPositionSubsription();
-        cameraPositionSubsription = () => void 0;
+  const panelXml = `<Extensions>
+  <Panel>
+    <Order>${config.UserInterface.Panel.Properties.Order}</Order>
+    <Origin>local</Origin>
+    <Location>${config.UserInterface.Panel.Properties.Location}</Location>
+    <Icon>${config.UserInterface.Panel.Properties.Icon}</Icon>
+    <Color>#${config.UserInterface.Panel.Properties.Color.replaceAll('#', '')}</Color>
+    <Name>${escapeXml(uiText.Name)}</Name>
+    <ActivityType>Custom</ActivityType>
+    <Page>
+      <Name>Preset List</Name>
+      <Row>
+        <Name>Info</Name>
+        <Widget>
+          <WidgetId>camPresets~PresetList~Info</WidgetId>
+          <Name>${escapeXml(uiText.Page.Infobox)}</Name>
+          <Type>Text</Type>
+          <Options>size=4;fontSize=normal;align=center</Options>
+        </Widget>
+      </Row>
+      ${presetRowXml}
+      ${buildFarEndRowXml()}
+      ${buildPeerSyncRowXml()}
+      ${adminRowXml}
+      <PageId>camPresets~PresetList</PageId>
+      <Options>hideRowNames=1</Options>
+    </Page>
+    ${morePagesXml}
+    ${manualPageXml}
+    ${adminPageXml}
+  </Panel>
+</Extensions>`
 
-        resolve(`Camera [${cameraId}] Stopped`);
-      }, debounce.length);
-    });
-  });
-};
+  if (!force && panelXml == userInterfaceBuild.SavedXml) {
+    console.debug({ Debug: `Camera Preset Panel unchanged, skipping save`, Cause: cause });
+    return;
+  }
 
-/** Activates the default camera preset and set's main source to CameraId
- * 
- * @xapi [xCommand Camera Preset List](https://roomos.cisco.com/xapi/Command.Camera.Preset.List/)
- * @xapi [xCommand Camera Preset Activate](https://roomos.cisco.com/xapi/Command.Camera.Preset.Activate/)
- * @xapi [xCommand Video Input SetMainVideoSource](https://roomos.cisco.com/xapi/Command.Video.Input.SetMainVideoSource/)
- * @xapi [xCommand Cameras SpeakerTrack Deactivate](https://roomos.cisco.com/xapi/Command.Cameras.SpeakerTrack.Deactivate/)
- * @xapi [xCommand Cameras SpeakerTrack Frames Deactivate](https://roomos.cisco.com/xapi/Command.Cameras.SpeakerTrack.Frames.Deactivate/)
- * @xapi [xCommand Cameras PresenterTrack Set](https://roomos.cisco.com/xapi/Command.Cameras.PresenterTrack.Set/)
- */
-async function activateDefaultCameraPreset(cause) {
-  clearTimeout(presetPositioningBypassHandler);
-  presetPositioningBypass = true;
+  await xapi.Command.UserInterface.Extensions.Panel.Save({ PanelId: panelId }, panelXml);
+  userInterfaceBuild.SavedXml = panelXml;
 
-  await xapi.Command.Cameras.SpeakerTrack.Deactivate().catch(e => handleError(e, `Failed to Deactivate Speakertrack. Cause: ${cause}`, 'debug'));
-  await xapi.Command.Cameras.SpeakerTrack.Frames.Deactivate().catch(e => handleError(e, `Failed to Deactivate Frames. Cause: ${cause}`, 'debug'));
-  await xapi.Command.Cameras.PresenterTrack.Set({ Mode: 'Off' }).catch(e => handleError(e, `Failed to Deactivate Presentertrack. Cause: ${cause}`, 'debug'));
+  if (lastPresetSelection != '') {
+    setPresetSelectionFeedback(lastPresetSelection, `${cause} Restore Selection`);
+  }
 
-  availableCameraPresets = (await xapi.Command.Camera.Preset.List()).Preset;
+  setPeerSyncWidget(cause);
 
-  let defaultFound = false;
+  if (config.ManualControl.Enabled && manualControl.CameraId != undefined) {
+    xapi.Command.UserInterface.Extensions.Widget.SetValue({ WidgetId: `camPresets~Manual~Cameras`, Value: `${manualControl.CameraId}` }).catch(e => handleError(e, `Failed to Set Manual Control Camera Widget Value. Cause: ${cause}`, 'debug'));
+  }
 
-  for (let i = 0; i < availableCameraPresets.length; i++) {
-    if (availableCameraPresets[i].DefaultPosition.toLowerCase() == 'true') {
-      defaultFound = true;
-      console.debug({ Debug: `Default Camera Preset Found, setting preset position` })
-      await xapi.Command.Camera.Preset.Activate({ PresetId: availableCameraPresets[i].PresetId });
+  if (adminPage.Unlocked) {
+    xapi.Command.UserInterface.Extensions.Widget.SetValue({ WidgetId: `camPresets~Admin~Cameras`, Value: `${adminPage.CameraId}` }).catch(e => handleError(e, `Failed to Set Admin Camera Widget Value. Cause: ${cause}`, 'debug'));
+    if (adminPage.PresetId != undefined) {
+      xapi.Command.UserInterface.Extensions.Widget.SetValue({ WidgetId: `camPresets~Admin~Presets`, Value: `${adminPage.PresetId}` }).catch(e => handleError(e, `Failed to Set Admin Preset Widget Value. Cause: ${cause}`, 'debug'));
+    }
+  }
+}
 
-      if (config.Features.MainSourceSetOnCameraRampStop) {
-        console.debug({ Debug: `Waiting for Camera Position to Set` })
-        await monitorCameraStoppedPosition(availableCameraPresets[i].CameraId).then(resolution => {
-          console.debug({ Debug: `Camera Position Monitoring Stopped on [${availableCameraPresets[i].CameraId}]`, Resolution: resolution })
-        });
-      }
+/** Problems found in ```config``` by validateConfig, each with a ```Path``` and ```Problem```
+ * 
+ * @see validateConfig
+ */
+let configProblems = [];
 
-      console.debug({ Debug: `Setting MainSource to [${availableCameraPresets[i].CameraId}] for Default Camera Preset` })
-      await xapi.Command.Video.Input.SetMainVideoSource({ ConnectorId: availableCameraPresets[i].CameraId });
+/** The keys that make an object a Camera Selection
+ * 
+ * @see applyCameraSelection
+ */
+const cameraSelectionKeys = ['Preset', 'PresetId', 'Tracking', 'DefaultPreset', 'Tour', 'Voice', 'Composite', 'CompositeId'];
 
-      console.log({ Message: `Default Camera Preset Activated`, PresetInfo: availableCameraPresets[i], Cause: cause });
-      break;
-    };
-  };
+/** Returns true for objects that aren't arrays or null
+ */
+function isPlainObject(value) {
+  return value != null && typeof value == 'object' && !Array.isArray(value);
+};
 
-  if (!defaultFound) {
-    console.warn({ Warn: `Unable to find Default Camera Preset`, Cause: cause });
-  };
+/** Builds the default value of a configSchema setting or section
+ * 
+ * @param {object} schema
+ * 
+ * @see configSchema
+ */
+function configSchemaDefaults(schema) {
+  if (typeof schema.Type == 'string') {
+    return JSON.parse(JSON.stringify(schema.Default));
+  }
+  let defaults = {};
+  Object.entries(schema).forEach(([key, rule]) => {
+    defaults[key] = configSchemaDefaults(rule);
+  });
+  return defaults;
+};
 
-  presetPositioningBypassHandler = setTimeout(() => {
-    presetPositioningBypass = false;
-  }, failsafeDebounceTime_for_MainSourceSetOnCameraRampStop + 100)
+/** Returns why a value breaks a configSchema setting, or undefined if it's valid
+ * 
+ * @param {any} value
+ * @param {object} rule
+ * A configSchema setting
+ */
+function checkConfigValue(value, rule) {
+  switch (rule.Type) {
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return `Expected an array`;
+      }
+      const itemType = isPlainObject(rule.Items) ? 'object' : rule.Items;
+      const index = itemType == undefined ? -1 : value.findIndex(item => itemType == 'object' ? !isPlainObject(item) : typeof item != itemType);
+      return index < 0 ? undefined : `Entry [${index}] should be ${itemType == 'object' ? 'an object' : `a ${itemType}`}`;
+    }
+    case 'object':
+      return isPlainObject(value) ? undefined : `Expected an object`;
+    case 'selection':
+      return isPlainObject(value) && Object.keys(value).some(key => cameraSelectionKeys.includes(key)) ? undefined : `Expected a Camera Selection using ${cameraSelectionKeys.join(', ')}`;
+  }
+  if (typeof value != rule.Type || (rule.Type == 'number' && isNaN(value))) {
+    return `Expected a ${rule.Type}`;
+  }
+  if (rule.Values != undefined && !rule.Values.includes(value)) {
+    return `Expected one of ${rule.Values.join(', ')}`;
+  }
+  if (rule.Pattern != undefined && !rule.Pattern.test(value)) {
+    return `Expected to match ${rule.Pattern}`;
+  }
+  if (rule.Min != undefined && value < rule.Min) {
+    return `Expected ${rule.Min} or more`;
+  }
+  if (rule.Max != undefined && value > rule.Max) {
+    return `Expected ${rule.Max} or less`;
+  }
+  if (rule.Integer && !Number.isInteger(value)) {
+    return `Expected a whole number`;
+  }
+  return undefined;
 };
 
-/** Assembles the Camera Preset UserInterface Extension Panel and Widgets
+/** Checks a section of ```config``` against its configSchema, replacing invalid values with defaults and flagging unknown keys
  * 
- * @see availableCameraPresets;
- * @see availableCameraTrackingFeatures;
- * @xapi [xCommand UserInterface Extensions Panel Save](https://roomos.cisco.com/xapi/Command.UserInterface.Extensions.Panel.Save/)
- * @xapi [xCommand Camera Preset List](https://roomos.cisco.com/xapi/Command.Camera.Preset.List/)
- * @xapi [xStatus Cameras SpeakerTrack Availability](https://roomos.cisco.com/xapi/Status.Cameras.SpeakerTrack.Availability/)
- * @xapi [xStatus Cameras SpeakerTrack Frames Availability](https://roomos.cisco.com/xapi/Status.Cameras.SpeakerTrack.Frames.Availability/)
- * @xapi [xStatus Cameras PresenterTrack Availability](https://roomos.cisco.com/xapi/Status.Cameras.PresenterTrack.Availability/)
+ * Returns false when a required setting is missing or a value had to be removed, used to ignore invalid array entries
+ * 
+ * @param {object} node
+ * The section of config to check
+ * @param {object} schema
+ * The matching section of configSchema
+ * @param {string} path
+ * Used in the problem report
+ * @param {boolean} partial
+ * Used for text packs and array entries; missing keys are allowed and invalid values are removed so the default is used
  */
-const buildUserInterface = async function (cause) {
-  console.info({ Info: `Building Camera Preset Panel`, Cause: cause })
-  const panelId = 'camPresets';
+function validateConfigNode(node, schema, path, partial) {
+  let valid = true;
 
-  availableCameraPresets = (await xapi.Command.Camera.Preset.List()).Preset;
+  Object.entries(schema).forEach(([key, rule]) => {
+    const keyPath = `${path}.${key}`;
+    const value = node[key];
 
-  const hasSpeakertrack = (await xapi.Status.Cameras.SpeakerTrack.Availability.get()) == 'Available' ? true : false;
-  const hasFrames = (await xapi.Status.Cameras.SpeakerTrack.Frames.Availability.get()) == 'Available' ? true : false;
-  const hasPresenterTrack = (await xapi.Status.Cameras.PresenterTrack.Availability.get()) == 'Available' ? true : false;
+    if (value === undefined) {
+      if (rule.Required && (rule.Alternative == undefined || node[rule.Alternative] === undefined)) {
+        configProblems.push({ Path: keyPath, Problem: rule.Alternative == undefined ? 'Missing' : `Missing, set ${key} or ${rule.Alternative}` });
+        valid = false;
+      } else if (!partial) {
+        configProblems.push({ Path: keyPath, Problem: 'Missing, using the default' });
+        node[key] = configSchemaDefaults(rule);
+      }
+      return;
+    }
 
-  let presetGroupButtonXML = `<Value>
-      <Key>Type:Automatic~Feature:Manual</Key>
-      <Name>${config.UserInterface.Panel.Text.Page.CameraTracking.Modes.Manual}</Name>
-    </Value>`;
+    if (typeof rule.Type != 'string') {
+      if (!isPlainObject(value)) {
+        configProblems.push({ Path: keyPath, Problem: `Expected an object, ${partial ? 'removing it' : 'using the default'}`, Value: value });
+        if (partial) {
+          delete node[key];
+          valid = false;
+        } else {
+          node[key] = configSchemaDefaults(rule);
+        }
+        return;
+      }
+      valid = validateConfigNode(value, rule, keyPath, partial) && valid;
+      return;
+    }
 
-  let presetRowXml = ``;
+    const problem = checkConfigValue(value, rule);
+    if (problem != undefined) {
+      configProblems.push({ Path: keyPath, Problem: `${problem}, ${partial ? 'removing it' : 'using the default'}`, Value: value });
+      if (partial) {
+        delete node[key];
+        valid = false;
+      } else {
+        node[key] = configSchemaDefaults(rule);
+      }
+      return;
+    }
 
-  if (config.Features.ShowTrackingOptions) {
-    if (hasSpeakertrack) {
-      availableCameraTrackingFeatures.push('Speaker');
-      presetGroupButtonXML = presetGroupButtonXML + `<Value>
-      <Key>Type:Automatic~Feature:Speaker</Key>
-      <Name>${config.UserInterface.Panel.Text.Page.CameraTracking.Modes.Speaker}</Name>
-    </Value>`
+    if (isPlainObject(rule.Items)) {
+      node[key] = value.filter((item, index) => {
+        if (validateConfigNode(item, rule.Items, `${keyPath}.${index}`, true)) {
+          return true;
+        }
+        configProblems.push({ Path: `${keyPath}.${index}`, Problem: 'Ignoring this entry', Value: item });
+        return false;
+      });
     }
+  });
 
-    if (hasFrames) {
-      availableCameraTrackingFeatures.push('Frames');
-      presetGroupButtonXML = presetGroupButtonXML + `<Value>
-      <Key>Type:Automatic~Feature:Frames</Key>
-      <Name>${config.UserInterface.Panel.Text.Page.CameraTracking.Modes.Frames}</Name>
-    </Value>`
+  Object.keys(node).filter(key => schema[key] == undefined).forEach(key => {
+    configProblems.push({ Path: `${path}.${key}`, Problem: 'Unknown key, check the spelling' });
+  });
+
+  return valid;
+};
+
+/** Compiles the ```RemoteURI``` of each Call Policy once, reporting invalid expressions as config problems
+ * 
+ * @see config.CallPolicies.Policies
+ * @see runCallConnectedPolicy
+ */
+function compileCallPolicies() {
+  callPolicies.RemoteURIs = new Map();
+  config.CallPolicies.Policies.forEach((policy, index) => {
+    if (policy.RemoteURI == undefined) {
+      return;
     }
-
-    if (hasPresenterTrack) {
-      availableCameraTrackingFeatures.push('Presenter');
-      presetGroupButtonXML = presetGroupButtonXML + `<Value>
-      <Key>Type:Automatic~Feature:Presenter</Key>
-      <Name>${config.UserInterface.Panel.Text.Page.CameraTracking.Modes.Presenter}</Name>
-    </Value>`
+    try {
+      callPolicies.RemoteURIs.set(policy, new RegExp(policy.RemoteURI, 'i'));
+    } catch (e) {
+      configProblems.push({ Path: `config.CallPolicies.Policies.${index}.RemoteURI`, Problem: `Invalid regular expression, this policy will never match`, Value: policy.RemoteURI });
+      callPolicies.RemoteURIs.set(policy, null);
     }
+  });
+};
 
-    availableCameraTrackingFeatures = availableCameraTrackingFeatures.filter((item, index) => availableCameraTrackingFeatures.indexOf(item) === index)
-
-    if (availableCameraTrackingFeatures.length > 0) {
+/** Validates the whole ```config``` against configSchema, including each text pack, and reports any problems to the console
+ * 
+ * Invalid values are replaced with their defaults so a typo can't break the Panel
+ * 
+ * @see configSchema
+ * @see showConfigProblemAlert
+ */
+function validateConfig() {
+  configProblems = [];
+  validateConfigNode(config, configSchema, 'config', false);
 
-      console.debug({ Debug: `Tracking features [${availableCameraTrackingFeatures}] identified and will render in the Camera Presets Menu` });
-    } else {
-      console.warn({ Warn: `Unable to render Tracking UI. config.Features.ShowTrackingOptions is set to true but no tracking features are available. Please check your camera config and cameras for compatibility` });
+  Object.entries(config.UserInterface.Panel.TextPacks).forEach(([language, pack]) => {
+    const packPath = `config.UserInterface.Panel.TextPacks.${language}`;
+    if (!isPlainObject(pack)) {
+      configProblems.push({ Path: packPath, Problem: 'Expected an object, ignoring this text pack', Value: pack });
+      delete config.UserInterface.Panel.TextPacks[language];
+      return;
     }
-  }
+    validateConfigNode(pack, configSchema.UserInterface.Panel.Text, packPath, true);
+  });
 
-  availableCameraPresets.forEach(preset => {
-    presetGroupButtonXML = presetGroupButtonXML + `<Value>
-      <Key>Type:Preset~CameraId:${preset.CameraId}~PresetId:${preset.PresetId}~PresetName:${preset.Name}</Key>
-      <Name>${preset.Name}${preset.DefaultPosition.toLowerCase() == 'true' ? ` ${config.UserInterface.Panel.Text.Page.Preset.DefaultIndicator}` : ''}</Name>
-    </Value>`
-  })
+  compileCallPolicies();
 
-  const availableSelections = availableCameraPresets.length + availableCameraTrackingFeatures.length
+  if (configProblems.length > 0) {
+    console.warn({ Warn: `Found [${configProblems.length}] config problem(s)`, Problems: configProblems });
+  } else {
+    console.debug({ Debug: `Config validated, no problems found` });
+  }
+};
 
-  if (availableSelections > 1) {
-    presetRowXml = `<Row>
-        <Name>Select Preset</Name>
-        <Widget>
-          <WidgetId>camPresets~PresetList~Presets</WidgetId>
-          <Type>GroupButton</Type>
-          <Options>size=4;columns=1</Options>
-          <ValueSpace>
-            ${presetGroupButtonXML}
-          </ValueSpace>
-        </Widget>
-      </Row>`
+/** Shows the config problems on screen when ```config.ConfigValidation.ShowAlert``` is true
+ * 
+ * The problems are saved to the Storage Macro when it's in use, so the same problems only alert once
+ * 
+ * @see validateConfig
+ * @xapi [xCommand UserInterface Message Alert Display](https://roomos.cisco.com/xapi/Command.UserInterface.Message.Alert.Display/)
+ */
+async function showConfigProblemAlert() {
+  if (!config.ConfigValidation.ShowAlert || configProblems.length < 1) {
+    return;
+  }
 
-  } //else if (availableSelections == 1) {
-  else {
-    presetRowXml = `<Row>
-          <Name>Select Preset</Name>
-            <Widget>
-              <WidgetId>camPresets~PresetList~Presets</WidgetId>
-              <Name>No Camera Presets found, create a few using the Native Camera Menu and they will populate here</Name>
-              <Type>Text</Type>
-              <Options>size=4;fontSize=normal;align=center</Options>
-            </Widget>
-        </Row>`
+  const signature = configProblems.map(problem => `${problem.Path}~${problem.Problem}`).join('|');
+  const useMemory = config.Persistence.Enabled || config.Analytics.Enabled;
+
+  if (useMemory) {
+    if (memory.Data.ConfigProblems == signature) {
+      return;
+    }
+    writeMemory('ConfigProblems', signature);
   }
 
-  const panelXml = `<Extensions>
-  <Panel>
-    <Order>${config.UserInterface.Panel.Properties.Order}</Order>
-    <Origin>local</Origin>
-    <Location>${config.UserInterface.Panel.Properties.Location}</Location>
-    <Icon>${config.UserInterface.Panel.Properties.Icon}</Icon>
-    <Color>#${config.UserInterface.Panel.Properties.Color.replaceAll('#', '')}</Color>
-    <Name>${config.UserInterface.Panel.Text.Name}</Name>
-    <ActivityType>Custom</ActivityType>
-    <Page>
-      <Name>Preset List</Name>
-      <Row>
-        <Name>Info</Name>
-        <Widget>
-          <WidgetId>camPresets~PresetList~Info</WidgetId>
-          <Name>${config.UserInterface.Panel.Text.Page.Infobox}</Name>
-          <Type>Text</Type>
-          <Options>size=4;fontSize=normal;align=center</Options>
-        </Widget>
-      </Row>
-      ${presetRowXml}
-      <PageId>camPresets~PresetList</PageId>
-      <Options>hideRowNames=1</Options>
-    </Page>
-  </Panel>
-</Extensions>`
+  const paths = configProblems.map(problem => problem.Path.replace(/^config\./, ''));
+  const text = `${uiText.ConfigAlert.Text} ${paths.slice(0, 5).join(', ')}${paths.length > 5 ? ` (+${paths.length - 5})` : ''}`;
 
-  await xapi.Command.UserInterface.Extensions.Panel.Save({ PanelId: panelId }, panelXml);
-}
+  await xapi.Command.UserInterface.Message.Alert.Display({ Title: uiText.ConfigAlert.Title, Text: text, Duration: 30 }).catch(e => handleError(e, `Failed to Display Config Problem Alert`, 'debug'));
+};
 
 /** Iterates over the Subscribe Object to start subscriptions defined within it
  * 
@@ -495,6 +5575,9 @@ async function StartSubscriptions() {
  * @xapi [xEvent CameraPresetListUpdated](https://roomos.cisco.com/xapi/Event.CameraPresetListUpdated/)
  * @xapi [xStatus Cameras Camera[n] Position](https://roomos.cisco.com/xapi/search?Type=Status&search=Status+Camera+*+Position)
  * @xapi [xConfiguration](https://roomos.cisco.com/xapi/search?search=Configuration+*&Type=Configuration)
+ * @xapi [xEvent UserInterface Message TextInput Response](https://roomos.cisco.com/xapi/Event.UserInterface.Message.TextInput.Response/)
+ * @xapi [xEvent UserInterface Message Prompt Response](https://roomos.cisco.com/xapi/Event.UserInterface.Message.Prompt.Response/)
+ * @xapi [xEvent Message Send](https://roomos.cisco.com/xapi/Event.Message.Send/)
  * 
 * - - -
  * 
@@ -509,67 +5592,65 @@ async function StartSubscriptions() {
 const Subscribe = {
   WidgetAction: function () {
     xapi.Event.UserInterface.Extensions.Widget.Action.on(async ({ WidgetId, Type, Value }) => {
-      if (Type == 'released' && WidgetId == 'camPresets~PresetList~Presets') {
+      if (Type == 'released' && renderedPresetWidgets.includes(WidgetId)) {
         const data = parseKeyValuePairs(Value);
-        if (!Value.includes('Manual')) {
+        if (!(data.Type == 'Automatic' && data.Feature == 'Manual')) {
           lastPresetSelection = data;
         }
         switch (data.Type) {
           case 'Automatic':
-            clearTimeout(presetPositioningBypassHandler);
-            presetPositioningBypass = true;
+            if (data.Feature == 'Tour' || data.Feature == 'Voice') {
+              applyCameraSelection({ [data.Feature]: true }, `WidgetAction>data.Feature ${data.Feature}`).catch(e => handleError(e, `Failed to start [${data.Feature}]`));
+              break;
+            }
+            if (data.Feature != 'Manual') {
+              stopAutomaticPresetModes(`WidgetAction>data.Feature ${data.Feature}`);
+            }
             if (data.Feature != 'Manual') {
               console.log({ Message: `Activating [${data.Feature}] tracking` })
+              setPresetSelectionFeedback(data, `WidgetAction>data.Type Automatic`);
             }
             try {
               switch (data.Feature) {
-                case 'Presenter':
-                  await xapi.Command.Cameras.PresenterTrack.Set({ Mode: 'Follow' });
-                  await xapi.Command.Cameras.SpeakerTrack.Deactivate();
-                  await xapi.Command.Cameras.SpeakerTrack.Frames.Deactivate();
-                  break;
-                case 'Speaker':
-                  await xapi.Command.Cameras.PresenterTrack.Set({ Mode: 'Off' });
-                  await xapi.Command.Cameras.SpeakerTrack.Activate();
-                  await xapi.Command.Cameras.SpeakerTrack.Frames.Deactivate();
-                  break;
-                case 'Frames':
-                  await xapi.Command.Cameras.PresenterTrack.Set({ Mode: 'Off' });
-                  await xapi.Command.Cameras.SpeakerTrack.Activate();
-                  await xapi.Command.Cameras.SpeakerTrack.Frames.Activate();
+                case 'Presenter': case 'Speaker': case 'Frames':
+                  await activateCameraTracking(data.Feature, `WidgetAction`);
                   break;
                 case 'Manual':
-                  let params = config.UserInterface.Panel.Text.Page.ManualPrompt
-                  params['Option.1'] = config.UserInterface.Panel.Text.Page.ManualPrompt.Dismiss;
-                  params['Duration'] = 10;
-                  delete params.Dismiss;
-                  xapi.Command.UserInterface.Message.Prompt.Display(params);
-                  console.log({ Message: `Manual Selection detected, prompting user on Manual Control` })
-                  let value = ``;
-                  switch (lastPresetSelection.Type) {
-                    case 'Automatic':
-                      value = `Type:Automatic~Feature:${lastPresetSelection.Feature}`
-                      break;
-                    case 'Preset':
-                      value = `Type:Preset~CameraId:${lastPresetSelection.CameraId}~PresetId:${lastPresetSelection.PresetId}~PresetName:${lastPresetSelection.PresetName}`
-                      break;
+                  if (config.ManualControl.Enabled) {
+                    openManualControlPage(`WidgetAction>data.Feature Manual`);
+                  } else {
+                    let params = { ...uiText.Page.ManualPrompt }
+                    params['Option.1'] = uiText.Page.ManualPrompt.Dismiss;
+                    params['Duration'] = 10;
+                    delete params.Dismiss;
+                    xapi.Command.UserInterface.Message.Prompt.Display(params).catch(e => handleError(e, `Failed to Display Manual Prompt`, 'debug'));
+                    console.log({ Message: `Manual Selection detected, prompting user on Manual Control` })
                   }
-                  xapi.Command.UserInterface.Extensions.Widget.SetValue({ WidgetId: `camPresets~PresetList~Presets`, Value: value }).catch(e => {
-                    xapi.Command.UserInterface.Extensions.Widget.UnsetValue({ WidgetId: `camPresets~PresetList~Presets` })
-                    handleError(e, `Failed to Set Widget Value. Cause: WidgetAction>data.Feature Manual`, 'debug')
-                  });
+                  setPresetSelectionFeedback(lastPresetSelection, `WidgetAction>data.Feature Manual`);
                   break;
               }
             } catch (e) {
-              xapi.Command.UserInterface.Extensions.Widget.UnsetValue({ WidgetId: `camPresets~PresetList~Presets` })
+              setPresetSelectionFeedback('', `Failed to activate [${data.Feature}] tracking`);
               handleError(e, `Failed to activate [${data.Feature}] tracking`);
             }
-            presetPositioningBypassHandler = setTimeout(() => {
-              presetPositioningBypass = false;
-            }, failsafeDebounceTime_for_MainSourceSetOnCameraRampStop + 100)
             break;
           case 'Preset':
-            await activateCameraPreset(data);
+            stopAutomaticPresetModes(`WidgetAction>data.Type Preset`);
+            setPresetSelectionFeedback(data, `WidgetAction>data.Type Preset`);
+            await activateCameraPreset(data, `WidgetAction>data.Type Preset`).catch(e => {
+              setPresetSelectionFeedback('', `Failed to activate Camera Preset [${data.PresetName}]`);
+              handleError(e, `Failed to activate Camera Preset [${data.PresetName}]`);
+            });
+            break;
+          case 'Composite':
+            stopAutomaticPresetModes(`WidgetAction>data.Type Composite`);
+            setPresetSelectionFeedback(data, `WidgetAction>data.Type Composite`);
+            try {
+              await activateCompositePreset(data, `WidgetAction>data.Type Composite`);
+            } catch (e) {
+              setPresetSelectionFeedback('', `Failed to activate Composite [${data.CompositeName}]`);
+              handleError(e, `Failed to activate Composite [${data.CompositeName}]`);
+            }
             break;
           case 'Error':
             break;
@@ -579,35 +5660,313 @@ const Subscribe = {
   },
   CameraPresetActivated: function () {
     xapi.Event.CameraPresetActivated.on(async ({ PresetId, CameraId }) => {
-      clearTimeout(presetPositioningBypassHandler);
-      presetPositioningBypass = true;
-      const presetInfo = await xapi.Command.Camera.Preset.Show({ PresetId: PresetId });
-      xapi.Command.UserInterface.Extensions.Widget.SetValue({ WidgetId: `camPresets~PresetList~Presets`, Value: `Type:Preset~CameraId:${CameraId}~PresetId:${PresetId}~PresetName:${presetInfo.Name}` }).catch(e => handleError(e, 'Failed to Set Preset Widget Value on External Preset Selection', 'debug'));
-      presetPositioningBypassHandler = setTimeout(() => {
-        presetPositioningBypass = false;
-      }, failsafeDebounceTime_for_MainSourceSetOnCameraRampStop + 500)
+      const compositeInProgress = isCameraMotionExpected(CameraId) && isCompositePreset(lastPresetSelection, PresetId);
+      expectCameraMotion([CameraId], 'Camera Preset Activated');
+      const automaticMode = automaticPresetModeFor(PresetId);
+      if (automaticMode != undefined) {
+        setPresetSelectionFeedback({ Type: 'Automatic', Feature: automaticMode }, `${automaticMode} Preset Selection`);
+      } else if (compositeInProgress) {
+        setPresetSelectionFeedback(lastPresetSelection, `Composite Preset Selection`);
+      } else {
+        stopAutomaticPresetModes('External Preset Selection');
+        const preset = findCameraPreset({ PresetId: PresetId });
+        lastPresetSelection = { Type: 'Preset', CameraId: CameraId, PresetId: PresetId, PresetName: preset == undefined ? undefined : parsePresetNameTags(preset.Name).DisplayName };
+        setPresetSelectionFeedback(lastPresetSelection, 'External Preset Selection');
+      }
     });
   },
   CameraPresetListUpdated: function () {
     xapi.Event.CameraPresetListUpdated.on(() => {
-      buildUserInterface('Camera Preset List Updated');
+      scheduleUserInterfaceBuild('Camera Preset List Updated');
+    })
+  },
+  ExtensionsLayoutUpdated: function () {
+    xapi.Event.UserInterface.Extensions.Widget.LayoutUpdated.on(() => {
+      checkUserInterfaceSaved('Extensions Layout Updated').catch(e => handleError(e, `Failed to check the Camera Preset Panel`, 'debug'));
     })
   },
   CameraPosition: function () {
-    xapi.Status.Cameras.Camera['*'].Position.on(({ Pan, Tilt, Zoom }) => {
-      if (!presetPositioningBypass) {
-        if ((Pan || Tilt) || Zoom) {
-          lastPresetSelection = { "Type": "Automatic", "Feature": "Manual" };
-          xapi.Command.UserInterface.Extensions.Widget.SetValue({ WidgetId: `camPresets~PresetList~Presets`, Value: `Type:Automatic~Feature:Manual` }).catch(e => {
-            xapi.Command.UserInterface.Extensions.Widget.UnsetValue({ WidgetId: 'camPresets~PresetList~Presets' })
-            handleError(e, `Failed to Set Widget Value. Cause: CameraPosition change`)
-          });
+    xapi.Status.Cameras.Camera['*'].Position.on(({ id, Pan, Tilt, Zoom }) => {
+      if ((Pan || Tilt) || Zoom) {
+        if (noteCameraMotion(id) || noteManualControlMotion(id)) {
+          return;
         }
+        stopAutomaticPresetModes(`CameraPosition change`);
+        if (lastPresetSelection?.Feature != 'Manual') {
+          notifyWebhook('Manual', { CameraId: Number(id), Cause: `CameraPosition change` });
+        }
+        lastPresetSelection = { "Type": "Automatic", "Feature": "Manual" };
+        setPresetSelectionFeedback(lastPresetSelection, `CameraPosition change`);
+        refreshManualIdleTimer();
       }
     })
   },
   AllConfigurations: function () {
-    xapi.Config.on(async () => await buildUserInterface(`Config Change Detected`));
+    xapi.Config.on(change => {
+      const paths = configChangePaths(change).filter(path => userInterfaceConfigPaths.some(item => path == item || path.startsWith(`${item}.`)));
+      if (paths.length > 0) {
+        scheduleUserInterfaceBuild(`Config Change Detected [${paths.join(', ')}]`);
+      }
+    });
+  },
+  MacroApi: function () {
+    xapi.Event.Message.Send.on(async ({ Text }) => {
+      if (!config.MacroApi.Enabled || !`${Text}`.startsWith(`Macro:${config.MacroApi.Id}~`)) {
+        return;
+      }
+      const command = parseKeyValuePairs(Text);
+      if (command.Type == 'Error' || command.Action == undefined) {
+        return;
+      }
+      console.debug({ Debug: `Macro API Command Received`, Command: command });
+      try {
+        await runMacroApiCommand(command);
+      } catch (e) {
+        handleError(e, `Failed to run Macro API Command [${command.Action}]`);
+        sendMacroMessage({ Response: command.Action, RequestId: command.RequestId, Status: 'Error', Reason: 'Command failed' });
+      }
+    });
+  },
+  AdminWidgetAction: function () {
+    xapi.Event.UserInterface.Extensions.Widget.Action.on(async ({ WidgetId, Type, Value }) => {
+      if (!config.Admin.Enabled) {
+        return;
+      }
+      if (WidgetId == 'camPresets~PresetList~Admin' && Type == 'clicked') {
+        if (adminPage.Unlocked) {
+          refreshAdminLockTimer();
+          xapi.Command.UserInterface.Extensions.Panel.Open({ PanelId: 'camPresets', PageId: 'camPresets~Admin' }).catch(e => handleError(e, `Failed to Open Admin Page`, 'debug'));
+        } else if (!isAdminPinLockedOut()) {
+          displayAdminTextInput('camPresets~Admin~Pin', uiText.AdminPage.PinPrompt, 'PIN');
+        }
+        return;
+      }
+      if (!(WidgetId.startsWith('camPresets~Admin~') || WidgetId.startsWith('camPresets~Usage~')) || !adminPage.Unlocked) {
+        return;
+      }
+      const [, , action] = WidgetId.split('~');
+      switch (action) {
+        case 'Cameras':
+          if (Type == 'released') {
+            refreshAdminLockTimer();
+            adminPage.CameraId = Number(Value);
+          }
+          break;
+        case 'Presets':
+          if (Type == 'released') {
+            refreshAdminLockTimer();
+            adminPage.PresetId = Number(Value);
+          }
+          break;
+        case 'Store':
+          if (Type == 'clicked') {
+            refreshAdminLockTimer();
+            displayAdminTextInput('camPresets~Admin~Store', uiText.AdminPage.StorePrompt);
+          }
+          break;
+        case 'Rename':
+          if (Type == 'clicked') {
+            const preset = availableCameraPresets.find(item => item.PresetId == adminPage.PresetId);
+            if (preset == undefined) {
+              runAdminPresetAction('Rename');
+              break;
+            }
+            refreshAdminLockTimer();
+            displayAdminTextInput('camPresets~Admin~Rename', uiText.AdminPage.RenamePrompt, 'SingleLine', preset.Name);
+          }
+          break;
+        case 'Overwrite': case 'Remove':
+          if (Type == 'clicked') {
+            const preset = availableCameraPresets.find(item => item.PresetId == adminPage.PresetId);
+            if (preset == undefined) {
+              runAdminPresetAction(action);
+              break;
+            }
+            refreshAdminLockTimer();
+            displayAdminConfirmation(`camPresets~Admin~${action}`, `${uiText.AdminPage.Buttons[action]}: ${preset.Name}`, uiText.AdminPage.ConfirmPrompt[action]);
+          }
+          break;
+        case 'Default':
+          if (Type == 'clicked') {
+            runAdminPresetAction('Default');
+          }
+          break;
+        case 'Favorite': case 'MoveUp': case 'MoveDown':
+          if (Type == 'clicked') {
+            runAdminMetadataAction(action);
+          }
+          break;
+        case 'Label':
+          if (Type == 'clicked') {
+            const preset = availableCameraPresets.find(item => item.PresetId == adminPage.PresetId);
+            if (preset == undefined) {
+              runAdminMetadataAction('Label');
+              break;
+            }
+            refreshAdminLockTimer();
+            displayAdminTextInput('camPresets~Admin~Label', uiText.AdminPage.LabelPrompt, 'SingleLine', getPresetMetadata(preset.PresetId).Label ?? '');
+          }
+          break;
+        case 'Lock':
+          if (Type == 'clicked') {
+            lockAdminPage('Admin Lock Selected');
+          }
+          break;
+        case 'Usage':
+          if (Type == 'clicked') {
+            refreshAdminLockTimer();
+            await buildUserInterface('Usage Page Opened');
+            xapi.Command.UserInterface.Extensions.Panel.Open({ PanelId: 'camPresets', PageId: 'camPresets~Usage' }).catch(e => handleError(e, `Failed to Open Usage Page`, 'debug'));
+          }
+          break;
+        case 'Export':
+          if (Type == 'clicked') {
+            refreshAdminLockTimer();
+            exportUsageReport('Usage Page Export');
+            xapi.Command.UserInterface.Message.Alert.Display({ Title: uiText.UsagePage.Name, Text: uiText.UsagePage.Exported, Duration: 5 }).catch(e => handleError(e, `Failed to Display Usage Export Alert`, 'debug'));
+          }
+          break;
+        case 'Reset':
+          if (Type == 'clicked') {
+            refreshAdminLockTimer();
+            displayAdminConfirmation('camPresets~Usage~Reset', uiText.UsagePage.Name, uiText.UsagePage.ResetPrompt);
+          }
+          break;
+        case 'Back':
+          if (Type == 'clicked') {
+            refreshAdminLockTimer();
+            xapi.Command.UserInterface.Extensions.Panel.Open({ PanelId: 'camPresets', PageId: 'camPresets~Admin' }).catch(e => handleError(e, `Failed to Open Admin Page`, 'debug'));
+          }
+          break;
+      }
+    });
+  },
+  ManualControlWidgetAction: function () {
+    xapi.Event.UserInterface.Extensions.Widget.Action.on(({ WidgetId, Type, Value }) => {
+      if (!config.ManualControl.Enabled || !WidgetId.startsWith('camPresets~Manual~')) {
+        return;
+      }
+      const [, , control] = WidgetId.split('~');
+      switch (control) {
+        case 'Cameras':
+          if (Type == 'released') {
+            selectManualControlCamera(Number(Value), `Manual Control Camera Selected`);
+          }
+          break;
+        case 'PanTilt': case 'Zoom':
+          if (Type == 'pressed') {
+            const move = { left: ['Pan', 'Left'], right: ['Pan', 'Right'], up: ['Tilt', 'Up'], down: ['Tilt', 'Down'], increment: ['Zoom', 'In'], decrement: ['Zoom', 'Out'] }[Value];
+            if (move != undefined) {
+              startManualControlMove(...move, `Manual Control Pad`);
+            }
+          } else if (Type == 'released') {
+            stopManualControlMove(`Manual Control Pad`);
+          }
+          break;
+        case 'Save':
+          if (Type == 'clicked' && config.ManualControl.ShowSavePreset) {
+            displayAdminTextInput('camPresets~Manual~Save', uiText.ManualPage.SavePrompt);
+          }
+          break;
+      }
+    });
+  },
+  FarEndWidgetAction: function () {
+    xapi.Event.UserInterface.Extensions.Widget.Action.on(({ WidgetId, Type, Value }) => {
+      if (!config.FarEndControl.Enabled || !WidgetId.startsWith('camPresets~PresetList~FarEnd~')) {
+        return;
+      }
+      const [, , , control] = WidgetId.split('~');
+      switch (control) {
+        case 'Presets':
+          if (Type == 'released') {
+            activateFarEndPreset(Number(Value), `Far End Widget`);
+          }
+          break;
+        case 'Pad': case 'Zoom':
+          if (Type == 'pressed') {
+            const direction = { left: 'Left', right: 'Right', up: 'Up', down: 'Down', increment: 'ZoomIn', decrement: 'ZoomOut' }[Value];
+            if (direction != undefined) {
+              startFarEndMove(direction, `Far End Pad`);
+            }
+          } else if (Type == 'released') {
+            stopFarEndMove(`Far End Pad`);
+          }
+          break;
+      }
+    });
+  },
+  PresetPagingWidgetAction: function () {
+    xapi.Event.UserInterface.Extensions.Widget.Action.on(({ WidgetId, Type }) => {
+      if (Type != 'clicked' || !WidgetId.startsWith('camPresets~') || !WidgetId.endsWith('~More')) {
+        return;
+      }
+      const [, page] = WidgetId.split('~');
+      const nextPage = page == 'PresetList' ? 2 : Number(page.replace('Presets', '')) + 1;
+      if (isNaN(nextPage)) {
+        return;
+      }
+      xapi.Command.UserInterface.Extensions.Panel.Open({ PanelId: 'camPresets', PageId: `camPresets~Presets${nextPage}` }).catch(e => handleError(e, `Failed to Open Camera Preset Page [${nextPage}]`, 'debug'));
+    });
+  },
+  PeerSyncWidgetAction: function () {
+    xapi.Event.UserInterface.Extensions.Widget.Action.on(({ WidgetId, Type, Value }) => {
+      if (!config.PeerSync.Enabled || WidgetId != 'camPresets~PresetList~PeerSync' || Type != 'changed') {
+        return;
+      }
+      setPeerSyncState(Value == 'on' ? 'Combined' : 'Split', `WidgetAction>PeerSync`);
+    });
+  },
+  ManualControlTextInputResponse: function () {
+    xapi.Event.UserInterface.Message.TextInput.Response.on(({ FeedbackId, Text }) => {
+      if (FeedbackId == 'camPresets~Manual~Save' && config.ManualControl.Enabled && `${Text}`.trim() != '') {
+        saveManualControlPreset(`${Text}`.trim());
+      }
+    });
+  },
+  AdminTextInputResponse: function () {
+    xapi.Event.UserInterface.Message.TextInput.Response.on(async ({ FeedbackId, Text }) => {
+      switch (FeedbackId) {
+        case 'camPresets~Admin~Pin':
+          checkAdminPin(Text).catch(e => handleError(e, `Failed to check the Admin PIN`));
+          break;
+        case 'camPresets~Admin~Store':
+          if (adminPage.Unlocked && `${Text}`.trim() != '') {
+            runAdminPresetAction('Store', `${Text}`.trim());
+          }
+          break;
+        case 'camPresets~Admin~Rename':
+          if (adminPage.Unlocked && `${Text}`.trim() != '') {
+            runAdminPresetAction('Rename', `${Text}`.trim());
+          }
+          break;
+        case 'camPresets~Admin~Label':
+          if (adminPage.Unlocked) {
+            runAdminMetadataAction('Label', `${Text}`);
+          }
+          break;
+      }
+    });
+  },
+  AdminPromptResponse: function () {
+    xapi.Event.UserInterface.Message.Prompt.Response.on(async ({ FeedbackId, OptionId }) => {
+      switch (FeedbackId) {
+        case 'camPresets~Admin~Overwrite': case 'camPresets~Admin~Remove':
+          if (adminPage.Unlocked && OptionId == 1) {
+            runAdminPresetAction(FeedbackId.split('~')[2]);
+          }
+          break;
+        case 'camPresets~Usage~Reset':
+          if (adminPage.Unlocked && OptionId == 1) {
+            memory.Data.Usage = undefined;
+            usage.Current = undefined;
+            writeMemory('Usage', getUsageData());
+            console.log({ Message: `Preset Usage Reset` });
+            await buildUserInterface('Usage Reset');
+          }
+          break;
+      }
+    });
   }
 }
 
@@ -616,6 +5975,9 @@ const Subscribe = {
  * @see buildUserInterface
  * @see StartsSubscriptions
  * @see Subscribe
+ * @see startSchedule
+ * @see restoreLastSelection
+ * @see validateConfig
  * 
  * @xapi [xCommand UserInterface Extensions Widget UnsetValue](https://roomos.cisco.com/xapi/Command.UserInterface.Extensions.Widget.UnsetValue/)
  * @xapi [xCommand UserInterface Extensions Widget SetValue](https://roomos.cisco.com/xapi/Command.UserInterface.Extensions.Widget.SetValue/)
@@ -628,29 +5990,199 @@ const Subscribe = {
  * @xapi [xStatus Cameras PresenterTrack Status](https://roomos.cisco.com/xapi/Status.Cameras.PresenterTrack.Status/)
  * @xapi [xStatus Cameras SpeakerTrack Status](https://roomos.cisco.com/xapi/Status.Cameras.SpeakerTrack.Status/)
  * @xapi [xStatus Cameras SpeakerTrack Frames Status](https://roomos.cisco.com/xapi/Status.Cameras.SpeakerTrack.Frames.Status/)
+ * @xapi [xEvent Audio Input Connectors Microphone](https://roomos.cisco.com/xapi/search?search=Event+Audio+Input+Connectors+Microphone&Type=Event)
+ * @xapi [xEvent Audio Input Connectors Ethernet](https://roomos.cisco.com/xapi/search?search=Event+Audio+Input+Connectors+Ethernet&Type=Event)
+ * @xapi [xStatus RoomAnalytics PeoplePresence](https://roomos.cisco.com/xapi/Status.RoomAnalytics.PeoplePresence/)
+ * @xapi [xStatus RoomAnalytics PeopleCount Current](https://roomos.cisco.com/xapi/Status.RoomAnalytics.PeopleCount.Current/)
+ * @xapi [xStatus Standby State](https://roomos.cisco.com/xapi/Status.Standby.State/)
+ * @xapi [xStatus Conference Presentation LocalInstance](https://roomos.cisco.com/xapi/search?search=Status+Conference+Presentation+LocalInstance&Type=Status)
+ * @xapi [xStatus Video Input MainVideoSource](https://roomos.cisco.com/xapi/Status.Video.Input.MainVideoSource/)
+ * @xapi [xStatus Conference Call[n] Capabilities FECC](https://roomos.cisco.com/xapi/search?search=Status+Conference+Call+Capabilities+FECC&Type=Status)
+ * @xapi [xStatus SystemUnit Hardware Module SerialNumber](https://roomos.cisco.com/xapi/Status.SystemUnit.Hardware.Module.SerialNumber/)
+ * @xapi [xEvent Message Send](https://roomos.cisco.com/xapi/Event.Message.Send/)
  */
 const init = async function () {
   console.info({ Info: `Initializing Macro [${_main_macro_name()}] version [${version}]...` });
+  validateConfig();
+
+  if (config.Admin.Enabled && `${config.Admin.Pin}` == '0000') {
+    console.warn({ Warn: `The Admin page is enabled with the default PIN [0000], set config.Admin.Pin to a PIN of your own` });
+  }
+
+  if (config.Persistence.Enabled || config.Analytics.Enabled || config.PeerSync.Enabled) {
+    await readMemory();
+  }
+
+  if (config.PeerSync.Enabled) {
+    loadPeerSyncSecrets();
+  }
+
+  if (config.Analytics.Enabled) {
+    setInterval(checkpointSelectionUsage, usageCheckpointInterval);
+  }
+
   await buildUserInterface('Macro Initialization');
 
-  xapi.Command.UserInterface.Extensions.Widget.UnsetValue({ WidgetId: `camPresets~PresetList~Presets` });
+  await showConfigProblemAlert();
 
-  //Subscribe to Call Status OnCallSetDefaultPreset is true
-  if (config.Features.OnCallSetDefaultPreset) {
+  await restoreLastSelection('Macro Initialization');
+
+  //Identify this codec and subscribe to messages from peers if PeerSync is enabled
+  if (config.PeerSync.Enabled) {
+    peerSync.Origin = `${await xapi.Status.SystemUnit.Hardware.Module.SerialNumber.get().catch(e => handleError(e, `Failed to get the Serial Number for Peer Sync`, 'debug')) ?? Math.random().toString(36).slice(2)}`;
+    peerSync.State = (config.Persistence.Enabled ? memory.Data.PeerSyncState : undefined) ?? config.PeerSync.DefaultState;
+    setPeerSyncWidget('Macro Initialization');
+    Subscribe['PeerSyncMessage'] = function () {
+      xapi.Event.Message.Send.on(({ Text }) => {
+        if (!`${Text}`.startsWith(`PeerSync:${encodeKeyValue(config.PeerSync.Group)}~`)) {
+          return;
+        }
+        receivePeerSyncMessage(`${Text}`).catch(e => handleError(e, `Failed to apply Peer Sync Message`));
+      });
+    }
+  }
+
+  //Subscribe to Call Status if OnCallSetDefaultPreset, Schedule.ApplyOnCallConnect, CallPolicies or FarEndControl are enabled
+  if (config.Features.OnCallSetDefaultPreset || (config.Schedule.Enabled && config.Schedule.ApplyOnCallConnect) || config.CallPolicies.Enabled || config.FarEndControl.Enabled) {
     Subscribe['CallConnected'] = function () {
-      xapi.Status.Call.on(({ Status }) => {
+      xapi.Status.Call.on(({ id, Status, ghost }) => {
+        if (ghost) {
+          runCallDisconnectedPolicy(id).catch(e => handleError(e, `Failed to run Call Disconnected Policy`));
+          endFarEndControl(id, `Call Disconnected`).catch(e => handleError(e, `Failed to remove Far End Camera Control`));
+          return;
+        }
         if (!Status) {
           return;
         };
         switch (Status) {
           case 'Connected': case 'Connecting':
-            activateDefaultCameraPreset(`Call [${Status}]`);
+            runCallConnectedPolicy(id, Status).catch(e => handleError(e, `Failed to run Call [${Status}] Policy`));
+            if (Status == 'Connected') {
+              updateFarEndControl(id, `Call Connected`).catch(e => handleError(e, `Failed to update Far End Camera Control`));
+            }
+            break;
+          case 'Idle':
+            runCallDisconnectedPolicy(id).catch(e => handleError(e, `Failed to run Call Disconnected Policy`));
+            endFarEndControl(id, `Call Disconnected`).catch(e => handleError(e, `Failed to remove Far End Camera Control`));
             break;
         }
       })
     }
   }
 
+  //Subscribe to Far End Camera Control capabilities and check calls already connected if FarEndControl is enabled
+  if (config.FarEndControl.Enabled) {
+    Subscribe['FarEndCapabilities'] = function () {
+      xapi.Status.Conference.Call.on(({ id, Capabilities }) => {
+        if (Capabilities?.FECC != undefined) {
+          updateFarEndControl(id, `FECC Capability Change`).catch(e => handleError(e, `Failed to update Far End Camera Control`));
+        }
+      });
+    }
+    const calls = (await xapi.Status.Call.get().catch(e => handleError(e, `Failed to get Call Status`, 'debug'))) ?? [];
+    for (const call of calls) {
+      if (call.Status == 'Connected') {
+        await updateFarEndControl(call.id, 'Macro Initialization');
+      }
+    }
+  }
+
+  //Subscribe to VuMeter events if VoiceFollow is enabled
+  if (config.VoiceFollow.Enabled && config.VoiceFollow.Zones.length > 0) {
+    Subscribe['VoiceFollowMicrophone'] = function () {
+      xapi.Event.Audio.Input.Connectors.Microphone.on(({ id, VuMeter }) => {
+        if (VuMeter == undefined) {
+          return;
+        }
+        updateVoiceFollowLevel('Microphone', Number(id), undefined, Number(VuMeter));
+      });
+    }
+    Subscribe['VoiceFollowEthernet'] = function () {
+      xapi.Event.Audio.Input.Connectors.Ethernet.on(({ id, SubId }) => {
+        (SubId ?? []).forEach(channel => {
+          if (channel.VuMeter == undefined) {
+            return;
+          }
+          updateVoiceFollowLevel('Ethernet', Number(id), Number(channel.id), Number(channel.VuMeter));
+        });
+      });
+    }
+  }
+
+  //Subscribe to RoomAnalytics and Standby if RoomReset is enabled
+  if (config.RoomReset.Enabled) {
+    if (config.RoomReset.OnPeopleLeave) {
+      updateRoomOccupancy({
+        PeoplePresence: await xapi.Status.RoomAnalytics.PeoplePresence.get().catch(() => 'Unknown'),
+        PeopleCount: await xapi.Status.RoomAnalytics.PeopleCount.Current.get().catch(() => -1)
+      }, false);
+      Subscribe['RoomResetPeoplePresence'] = function () {
+        xapi.Status.RoomAnalytics.PeoplePresence.on(event => updateRoomOccupancy({ PeoplePresence: event }));
+      }
+      Subscribe['RoomResetPeopleCount'] = function () {
+        xapi.Status.RoomAnalytics.PeopleCount.Current.on(event => updateRoomOccupancy({ PeopleCount: event }));
+      }
+      Subscribe['RoomResetCallEnded'] = function () {
+        xapi.Status.Call.on(({ ghost }) => {
+          if (ghost) {
+            armRoomReset(`Call Ended`);
+          }
+        });
+      }
+    }
+    if (config.RoomReset.OnStandby || config.RoomReset.OnHalfwake) {
+      Subscribe['RoomResetStandby'] = function () {
+        xapi.Status.Standby.State.on(event => {
+          if ((event == 'Standby' && config.RoomReset.OnStandby) || (event == 'Halfwake' && config.RoomReset.OnHalfwake)) {
+            runRoomReset(`Room Reset, Device entered ${event}`);
+          }
+        });
+      }
+    }
+  }
+
+  //Apply any presentation already shared and subscribe to local presentations if PresentationRules are enabled
+  if (config.PresentationRules.Enabled && config.PresentationRules.Rules.length > 0) {
+    const instances = await xapi.Status.Conference.Presentation.LocalInstance.get().catch(e => handleError(e, `Failed to get Presentation LocalInstances`, 'debug')) ?? [];
+    for (const { id, Source } of instances) {
+      if (Source != undefined) {
+        await updatePresentationInstance(id, Source).catch(e => handleError(e, `Failed to apply Presentation Rule`));
+      }
+    }
+    Subscribe['PresentationLocalInstance'] = function () {
+      xapi.Status.Conference.Presentation.LocalInstance.on(({ id, Source, ghost }) => {
+        if (ghost) {
+          updatePresentationInstance(id).catch(e => handleError(e, `Failed to restore the selection after a Presentation`));
+          return;
+        }
+        if (Source == undefined) {
+          return;
+        }
+        updatePresentationInstance(id, Source).catch(e => handleError(e, `Failed to apply Presentation Rule`));
+      });
+    }
+  }
+
+  //Subscribe to the Main Video Source and tracking status if ReconcileSelection is enabled
+  if (config.Features.ReconcileSelection) {
+    Subscribe['ReconcileMainVideoSource'] = function () {
+      xapi.Status.Video.Input.MainVideoSource.on(() => scheduleSelectionReconcile(`MainVideoSource Change`));
+    }
+    Subscribe['ReconcileSpeakerTrackStatus'] = function () {
+      xapi.Status.Cameras.SpeakerTrack.Status.on(() => scheduleSelectionReconcile(`SpeakerTrack.Status Change`));
+    }
+    Subscribe['ReconcileSpeakerTrackFramesStatus'] = function () {
+      xapi.Status.Cameras.SpeakerTrack.Frames.Status.on(() => scheduleSelectionReconcile(`SpeakerTrack.Frames.Status Change`));
+    }
+    Subscribe['ReconcilePresenterTrackStatus'] = function () {
+      xapi.Status.Cameras.PresenterTrack.Status.on(() => scheduleSelectionReconcile(`PresenterTrack.Status Change`));
+    }
+  }
+
+  if (config.Schedule.Enabled) {
+    startSchedule('Macro Initialization');
+  }
+
   if (availableCameraTrackingFeatures.length > 0) {
     availableCameraTrackingFeatures.forEach(element => {
       switch (element) {
@@ -658,12 +6190,14 @@ const init = async function () {
           Subscribe['CamerasPresenterTrackStatus'] = function () {
             xapi.Status.Cameras.PresenterTrack.Status.on(event => {
               if (event.toLowerCase() == 'follow') {
-                clearTimeout(presetPositioningBypassHandler);
-                presetPositioningBypass = true;
-                xapi.Command.UserInterface.Extensions.Widget.SetValue({ WidgetId: `camPresets~PresetList~Presets`, Value: `Type:Automatic~Feature:${element}` }).catch(e => handleError(e, `Failed to Set Widget Value. Cause: PresenterTrack.Status Subscription`, 'debug'));
-                presetPositioningBypassHandler = setTimeout(() => {
-                  presetPositioningBypass = false;
-                }, failsafeDebounceTime_for_MainSourceSetOnCameraRampStop + 500)
+                expectCameraMotion(['*'], `PresenterTrack.Status Subscription`);
+                cameraTrackingLive = true;
+                stopAutomaticPresetModes(`PresenterTrack.Status Subscription`);
+                if (!isTrackingSelected(element)) {
+                  notifyWebhook('TrackingActivated', { Feature: element, Cause: `PresenterTrack.Status Subscription` });
+                }
+                lastPresetSelection = { Type: 'Automatic', Feature: element };
+                setPresetSelectionFeedback(lastPresetSelection, `PresenterTrack.Status Subscription`);
               }
             });
           }
@@ -671,13 +6205,16 @@ const init = async function () {
         case 'Speaker':
           Subscribe['CamerasSpeakerTrackStatus'] = function () {
             xapi.Status.Cameras.SpeakerTrack.Status.on(event => {
-              if (event.toLowerCase() == 'active') {
-                clearTimeout(presetPositioningBypassHandler);
-                presetPositioningBypass = true;
-                xapi.Command.UserInterface.Extensions.Widget.SetValue({ WidgetId: `camPresets~PresetList~Presets`, Value: `Type:Automatic~Feature:${element}` }).catch(e => handleError(e, `Failed to Set Widget Value. Cause: SpeakerTrack.Status Subscription`, 'debug'));
-                presetPositioningBypassHandler = setTimeout(() => {
-                  presetPositioningBypass = false;
-                }, failsafeDebounceTime_for_MainSourceSetOnCameraRampStop + 500)
+              //Frames turns SpeakerTrack on as well, so leave a Frames selection as is
+              if (event.toLowerCase() == 'active' && !(lastPresetSelection?.Type == 'Automatic' && lastPresetSelection.Feature == 'Frames')) {
+                expectCameraMotion(['*'], `SpeakerTrack.Status Subscription`);
+                cameraTrackingLive = true;
+                stopAutomaticPresetModes(`SpeakerTrack.Status Subscription`);
+                if (!isTrackingSelected(element)) {
+                  notifyWebhook('TrackingActivated', { Feature: element, Cause: `SpeakerTrack.Status Subscription` });
+                }
+                lastPresetSelection = { Type: 'Automatic', Feature: element };
+                setPresetSelectionFeedback(lastPresetSelection, `SpeakerTrack.Status Subscription`);
               }
             });
           }
@@ -686,12 +6223,14 @@ const init = async function () {
           Subscribe['CamerasSpeakerTrackFramesStatus'] = function () {
             xapi.Status.Cameras.SpeakerTrack.Frames.Status.on(event => {
               if (event.toLowerCase() == 'active') {
-                clearTimeout(presetPositioningBypassHandler);
-                presetPositioningBypass = true;
-                xapi.Command.UserInterface.Extensions.Widget.SetValue({ WidgetId: `camPresets~PresetList~Presets`, Value: `Type:Automatic~Feature:${element}` }).catch(e => handleError(e, `Failed to Set Widget Value. Cause: SpeakerTrack.Frames.Status Subscription`, 'debug'));
-                presetPositioningBypassHandler = setTimeout(() => {
-                  presetPositioningBypass = false;
-                }, failsafeDebounceTime_for_MainSourceSetOnCameraRampStop + 500)
+                expectCameraMotion(['*'], `SpeakerTrack.Frames.Status Subscription`);
+                cameraTrackingLive = true;
+                stopAutomaticPresetModes(`SpeakerTrack.Frames.Status Subscription`);
+                if (!isTrackingSelected(element)) {
+                  notifyWebhook('TrackingActivated', { Feature: element, Cause: `SpeakerTrack.Frames.Status Subscription` });
+                }
+                lastPresetSelection = { Type: 'Automatic', Feature: element };
+                setPresetSelectionFeedback(lastPresetSelection, `SpeakerTrack.Frames.Status Subscription`);
               }
             });
           }
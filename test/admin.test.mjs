@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+/** Unlocks the Admin page with its PIN */
+async function unlock({ sim, press, flush }, pin = '1234') {
+  await press('camPresets~PresetList~Admin');
+  sim.emit('Event.UserInterface.Message.TextInput.Response', { FeedbackId: 'camPresets~Admin~Pin', Text: pin });
+  await flush();
+}
+
+test('Admin alerts that fail to display are logged instead of left unhandled', async t => {
+  const harness = await loadMacro(t, { config: { Admin: { Enabled: true, Pin: '1234' } } });
+  const { sim, press, flush, logged } = harness;
+  sim.handlers['Command.UserInterface.Message.Alert.Display'] = () => {
+    throw new sim.XapiError(`Panel unavailable`);
+  };
+  sim.handlers['Command.Camera.Preset.Edit'] = () => {
+    throw new sim.XapiError(`Preset locked`);
+  };
+
+  await unlock(harness, '0000');
+  await unlock(harness);
+  await press('camPresets~Admin~Default');
+  await press('camPresets~Admin~Presets', 'released', '2');
+  await press('camPresets~Admin~Default');
+  await flush();
+
+  assert.equal(logged('debug', 'Failed to Display Incorrect PIN Alert').length, 1);
+  assert.equal(logged('debug', 'Failed to Display Admin Alert').length, 2);
+  assert.equal(sim.sent('Alert.Display').length, 3);
+});
+
+test('the PIN prompt is locked out after MaxPinAttempts incorrect PINs', async t => {
+  const harness = await loadMacro(t, { config: { Admin: { Enabled: true, Pin: '1234', MaxPinAttempts: 3, LockoutTime: 1 } } });
+  const { sim, press, advance, logged } = harness;
+
+  for (const pin of ['1111', '2222', '3333']) {
+    await unlock(harness, pin);
+  }
+  await unlock(harness);
+  assert.equal(sim.last('Panel.Open'), undefined);
+  assert.equal(sim.last('Alert.Display').Params.Text, 'Too many incorrect PINs, try again later');
+  assert.equal(logged('warn', 'locked out for [1] minutes after [3] incorrect PINs').length, 1);
+
+  sim.commands.length = 0;
+  await press('camPresets~PresetList~Admin');
+  assert.equal(sim.last('TextInput.Display'), undefined);
+
+  await advance(60000);
+  await unlock(harness);
+  assert.deepEqual(sim.last('Panel.Open').Params, { PanelId: 'camPresets', PageId: 'camPresets~Admin' });
+});
+
+test('a warning is logged at startup while the Admin page uses the default PIN', async t => {
+  const { logged } = await loadMacro(t, { config: { Admin: { Enabled: true } } });
+
+  assert.equal(logged('warn', 'enabled with the default PIN [0000]').length, 1);
+});
@@ -0,0 +1,191 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+/** Reports a camera moving, the way the codec does while a preset ramps */
+const move = (sim, id, Pan = 100) => sim.emit('Status.Cameras.Camera.*.Position', { id: `${id}`, Pan });
+
+test('activateCameraPreset activates the preset and sets the MainSource once the camera stops', async t => {
+  const { macro, sim, advance } = await loadMacro(t);
+  sim.commands.length = 0;
+
+  let result;
+  macro.activateCameraPreset({ CameraId: 2, PresetId: 3, PresetName: 'Audience' }, 'Test').then(value => result = value);
+  await advance(100);
+
+  assert.deepEqual(sim.last('Camera.Preset.Activate').Params, { PresetId: 3 });
+  assert.ok(sim.last('Cameras.SpeakerTrack.Deactivate'));
+  assert.deepEqual(sim.last('Cameras.PresenterTrack.Set').Params, { Mode: 'Off' });
+
+  for (let step = 0; step < 10; step++) {
+    move(sim, 2, step);
+    await advance(200);
+  }
+  assert.equal(sim.last('SetMainVideoSource'), undefined, 'MainSource set while the camera was still moving');
+
+  await advance(500);
+  assert.deepEqual(sim.last('SetMainVideoSource').Params, { ConnectorId: 2 });
+  assert.equal(result, true);
+});
+
+test('activateCameraPreset sets the MainSource after the failsafe when the camera never moves', async t => {
+  const { macro, sim, advance } = await loadMacro(t);
+  sim.commands.length = 0;
+
+  macro.activateCameraPreset({ CameraId: 2, PresetId: 3 }, 'Test');
+  await advance(2400);
+  assert.equal(sim.last('SetMainVideoSource'), undefined);
+
+  await advance(200);
+  assert.deepEqual(sim.last('SetMainVideoSource').Params, { ConnectorId: 2 });
+});
+
+test('activateCameraPreset sets the MainSource straight away when MainSourceSetOnCameraRampStop is off', async t => {
+  const { macro, sim } = await loadMacro(t, { config: { Features: { MainSourceSetOnCameraRampStop: false } } });
+  sim.commands.length = 0;
+
+  assert.equal(await macro.activateCameraPreset({ CameraId: 2, PresetId: 3 }, 'Test'), true);
+  assert.deepEqual(sim.last('SetMainVideoSource').Params, { ConnectorId: 2 });
+});
+
+test('activateCameraPreset leaves the MainSource to a newer activation', async t => {
+  const { macro, sim, advance } = await loadMacro(t);
+  sim.commands.length = 0;
+
+  const first = macro.activateCameraPreset({ CameraId: 1, PresetId: 2 }, 'First');
+  await advance(100);
+  const second = macro.activateCameraPreset({ CameraId: 2, PresetId: 3 }, 'Second');
+  await advance(3000);
+
+  assert.equal(await first, false);
+  assert.equal(await second, true);
+  assert.deepEqual(sim.sent('SetMainVideoSource').map(command => command.Params), [{ ConnectorId: 2 }]);
+});
+
+test('activateCameraPreset rejects a preset without a CameraId or PresetId', async t => {
+  const { macro } = await loadMacro(t);
+
+  await assert.rejects(macro.activateCameraPreset({ PresetId: 3 }, 'Test'), { message: 'Unable to set Camera Preset, a CameraId and PresetId are required. Cause: Test' });
+});
+
+test('activateCameraPreset resolves false and leaves the MainSource when the preset fails to activate', async t => {
+  const { macro, sim, advance, logged } = await loadMacro(t);
+  sim.commands.length = 0;
+
+  let result;
+  macro.activateCameraPreset({ CameraId: 2, PresetId: 9, PresetName: 'Removed' }, 'Test').then(value => result = value);
+  await advance(3000);
+
+  assert.equal(result, false);
+  assert.equal(sim.last('SetMainVideoSource'), undefined);
+  assert.equal(logged('error', 'Failed to Activate Camera Preset [9]').length, 1);
+});
+
+test('activateDefaultCameraPreset activates the preset marked as the default', async t => {
+  const { macro, sim, advance } = await loadMacro(t);
+  sim.commands.length = 0;
+
+  let result;
+  macro.activateDefaultCameraPreset('Test').then(value => result = value);
+  await advance(100);
+  assert.deepEqual(sim.last('Camera.Preset.Activate').Params, { PresetId: 1 });
+
+  await advance(2500);
+  assert.deepEqual(sim.last('SetMainVideoSource').Params, { ConnectorId: 1 });
+  assert.equal(result, true);
+});
+
+test('activateDefaultCameraPreset warns and resolves false without a default preset', async t => {
+  const { macro, sim, logged } = await loadMacro(t, { setup: sim => sim.presets.forEach(preset => preset.DefaultPosition = 'False') });
+  sim.commands.length = 0;
+
+  assert.equal(await macro.activateDefaultCameraPreset('Test'), false);
+  assert.equal(sim.last('Camera.Preset.Activate'), undefined);
+  assert.equal(logged('warn', 'Unable to find Default Camera Preset').length, 1);
+});
+
+test('waitForCameraStop resolves 500ms after the last position change', async t => {
+  const { macro, sim, advance } = await loadMacro(t);
+
+  let resolution;
+  macro.expectCameraMotion([1], 'Test');
+  macro.waitForCameraStop([1], {}).then(value => resolution = value);
+
+  move(sim, 1);
+  await advance(400);
+  move(sim, 1);
+  await advance(400);
+  assert.equal(resolution, undefined);
+
+  await advance(200);
+  assert.deepEqual(resolution, ['Camera [1] Stopped']);
+});
+
+test('waitForCameraStop resolves after the failsafe when the camera never moves', async t => {
+  const { macro, advance } = await loadMacro(t);
+
+  let resolution;
+  macro.expectCameraMotion([1], 'Test');
+  macro.waitForCameraStop([1], {}).then(value => resolution = value);
+
+  await advance(2400);
+  assert.equal(resolution, undefined);
+
+  await advance(200);
+  assert.deepEqual(resolution, ['Camera [1] Timed Out']);
+});
+
+test('waitForCameraStop resolves straight away for a camera that is not moving', async t => {
+  const { macro } = await loadMacro(t);
+
+  assert.deepEqual(await macro.waitForCameraStop([2], {}), ['Camera [2] Stopped']);
+});
+
+test('waitForCameraStop resolves when its request is interrupted', async t => {
+  const { macro, flush } = await loadMacro(t);
+  const request = {};
+
+  let resolution;
+  macro.expectCameraMotion([1], 'Test');
+  macro.waitForCameraStop([1], request).then(value => resolution = value);
+  request.Interrupt();
+  await flush();
+
+  assert.equal(resolution, 'Superseded');
+});
+
+test('a camera moving as tracking starts is not treated as a manual move', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: { Features: { ShowTrackingOptions: true } } });
+
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Speaker');
+  move(sim, 1);
+  await advance(200);
+  move(sim, 2);
+  await advance(1000);
+
+  assert.equal(sim.sent('Widget.SetValue').filter(command => command.Params.Value == 'Type:Automatic~Feature:Manual').length, 0);
+});
+
+test('a camera moving while tracking is live is not treated as a manual move', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: { Features: { ShowTrackingOptions: true } } });
+
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Speaker');
+  move(sim, 1);
+  await advance(3000);
+  move(sim, 1);
+  await advance(1000);
+
+  assert.equal(sim.sent('Widget.SetValue').filter(command => command.Params.Value == 'Type:Automatic~Feature:Manual').length, 0);
+});
+
+test('a Panel selection for a preset without a CameraId is logged and cleared', async t => {
+  const { sim, press, advance, logged } = await loadMacro(t);
+  sim.commands.length = 0;
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~PresetId:3~PresetName:Audience');
+  await advance(3000);
+
+  assert.equal(sim.last('Camera.Preset.Activate'), undefined);
+  assert.equal(logged('error', 'Failed to activate Camera Preset [Audience]').length, 1);
+  assert.ok(sim.last('Widget.UnsetValue'));
+});
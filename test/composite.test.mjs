@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+const compositeConfig = { Composites: { Enabled: true, Entries: [{ Name: 'Panel Discussion', Presets: [{ Preset: 'Wide' }, { PresetId: 3 }] }] } };
+
+/** Returns the PresetIds activated, in order */
+const activated = sim => sim.sent('Camera.Preset.Activate').map(command => command.Params.PresetId);
+
+test('buildUserInterface lists the Composites under their own label', async t => {
+  const { sim } = await loadMacro(t, { config: compositeConfig });
+
+  assert.match(sim.panel(), /<Name>Multi-Camera Views<\/Name>/);
+  assert.match(sim.panel(), /<WidgetId>camPresets~PresetList~Composites<\/WidgetId>[\s\S]*<Key>Type:Composite~CompositeId:1~CompositeName:Panel Discussion<\/Key>\s*<Name>Panel Discussion<\/Name>/);
+});
+
+test('buildUserInterface skips a Composite with 2 Camera Presets on the same camera', async t => {
+  const { sim, logged } = await loadMacro(t, { config: { Composites: { Enabled: true, Entries: [{ Name: 'Stage', Presets: [{ Preset: 'Lectern' }, { Preset: 'Wide' }] }] } } });
+
+  assert.doesNotMatch(sim.panel(), /camPresets~PresetList~Composites/);
+  assert.equal(logged('warn', 'Composite [Stage] needs a Camera Preset on a separate camera').length, 1);
+});
+
+test('selecting a Composite activates each Camera Preset and composes their cameras once they stop', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: compositeConfig });
+  sim.commands.length = 0;
+
+  await press('camPresets~PresetList~Composites', 'released', 'Type:Composite~CompositeId:1~CompositeName:Panel Discussion');
+  await advance(100);
+  assert.deepEqual(activated(sim), [2, 3]);
+  assert.equal(sim.last('SetMainVideoSource'), undefined);
+
+  await advance(2500);
+  assert.deepEqual(sim.last('SetMainVideoSource').Params, { ConnectorId: [1, 2], Layout: 'Equal' });
+  assert.deepEqual(sim.last('Widget.SetValue').Params, { WidgetId: 'camPresets~PresetList~Composites', Value: 'Type:Composite~CompositeId:1~CompositeName:Panel Discussion' });
+});
+
+test('a Composite with a Camera Preset missing from the codec leaves the MainSource as is', async t => {
+  const { sim, press, advance, logged } = await loadMacro(t, { config: { ...compositeConfig, Webhook: { Enabled: true, Url: 'http://receiver.invalid/hook' } } });
+  sim.presets = sim.presets.filter(preset => preset.PresetId != 3);
+  sim.commands.length = 0;
+
+  await press('camPresets~PresetList~Composites', 'released', 'Type:Composite~CompositeId:1~CompositeName:Panel Discussion');
+  await advance(3000);
+
+  assert.deepEqual(activated(sim), [2, 3]);
+  assert.equal(sim.last('SetMainVideoSource'), undefined);
+  assert.equal(sim.last('HttpClient.Post'), undefined);
+  assert.equal(logged('log', 'Composite Activated').length, 0);
+  assert.equal(logged('error', 'Failed to Activate Camera Preset [3] for Composite [Panel Discussion]').length, 1);
+});
+
+test('the Macro API activates a Composite by name with its own Layout', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: { Composites: { Enabled: true, Entries: [{ ...compositeConfig.Composites.Entries[0], Layout: 'PIP' }] } }
+  });
+
+  sim.emit('Event.Message.Send', { Text: 'Macro:camPresets~Action:ActivateComposite~CompositeName:panel discussion~RequestId:4' });
+  await advance(3000);
+
+  assert.deepEqual(sim.last('SetMainVideoSource').Params, { ConnectorId: [1, 2], Layout: 'PIP' });
+  assert.equal(sim.last('Message.Send').Params.Text, 'Macro:camPresets~Response:ActivateComposite~RequestId:4~Status:OK');
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+/** Returns the Paths of the config problems reported at startup */
+const problemPaths = logged => logged('warn', 'config problem(s)').flatMap(entry => entry.Args[0].Problems.map(problem => problem.Path));
+
+test('validateConfig replaces an invalid value with its default and reports it', async t => {
+  const { macro, logged } = await loadMacro(t, { config: { Features: { ShowTrackingOptions: 'yes' }, RoomReset: { PeopleLeaveDelay: -5 } } });
+
+  assert.equal(macro.config.Features.ShowTrackingOptions, false);
+  assert.equal(macro.config.RoomReset.PeopleLeaveDelay, 120);
+  assert.deepEqual(problemPaths(logged), ['config.Features.ShowTrackingOptions', 'config.RoomReset.PeopleLeaveDelay']);
+});
+
+test('validateConfig reports unknown keys and keeps valid settings', async t => {
+  const { macro, logged } = await loadMacro(t, { config: { Features: { ShowTrackingOption: true }, Composites: { Layout: 'PIP' } } });
+
+  assert.equal(macro.config.Composites.Layout, 'PIP');
+  assert.deepEqual(problemPaths(logged), ['config.Features.ShowTrackingOption']);
+});
+
+test('validateConfig replaces a Camera Selection that is not an object with its default', async t => {
+  const { macro, logged } = await loadMacro(t, { config: { CallPolicies: { ParkSelection: 'Privacy' } } });
+
+  assert.deepEqual(macro.config.CallPolicies.ParkSelection, { Preset: 'Privacy' });
+  assert.deepEqual(problemPaths(logged), ['config.CallPolicies.ParkSelection']);
+});
+
+test('validateConfig drops invalid text pack entries and packs that are not objects', async t => {
+  const { macro, logged } = await loadMacro(t, { config: { UserInterface: { Panel: { TextPacks: { Italian: 'Preset', German: { Name: 42 } } } } } });
+
+  assert.equal(macro.config.UserInterface.Panel.TextPacks.Italian, undefined);
+  assert.equal(macro.config.UserInterface.Panel.TextPacks.German.Name, undefined);
+  assert.deepEqual(problemPaths(logged), ['config.UserInterface.Panel.TextPacks.German.Name', 'config.UserInterface.Panel.TextPacks.Italian']);
+});
+
+test('showConfigProblemAlert shows the problems once when ShowAlert is on', async t => {
+  const { sim } = await loadMacro(t, { config: { ConfigValidation: { ShowAlert: true }, Features: { ShowTrackingOptions: 'yes' } } });
+
+  assert.deepEqual(sim.last('Message.Alert.Display').Params, {
+    Title: 'Camera Presets Config',
+    Text: 'Invalid settings were replaced with defaults, see the macro console. Check: Features.ShowTrackingOptions',
+    Duration: 30
+  });
+});
+
+test('showConfigProblemAlert stays quiet without any problems', async t => {
+  const { sim } = await loadMacro(t, { config: { ConfigValidation: { ShowAlert: true } } });
+
+  assert.equal(sim.last('Message.Alert.Display'), undefined);
+});
+
+test('validateConfig ignores Schedule rules and Call Policies with an invalid time or without a Selection', async t => {
+  const { macro, logged } = await loadMacro(t, {
+    config: {
+      Schedule: { Rules: [{ Name: 'Morning', Start: '8am', End: '12:00', Selection: { Preset: 'Wide' } }, { Name: 'Day', Start: '00:00', End: '24:00', Selection: { Preset: 'Wide' } }] },
+      CallPolicies: { Policies: [{ Name: 'Studio', RemoteURI: 'studio' }, { Name: 'Any', Selection: { Preset: 'Audience' } }] }
+    }
+  });
+
+  assert.deepEqual(macro.config.Schedule.Rules.map(rule => rule.Name), ['Day']);
+  assert.deepEqual(macro.config.CallPolicies.Policies.map(policy => policy.Name), ['Any']);
+  assert.deepEqual(problemPaths(logged), ['config.Schedule.Rules.0.Start', 'config.Schedule.Rules.0', 'config.CallPolicies.Policies.0.Selection', 'config.CallPolicies.Policies.0']);
+});
+
+test('validateConfig ignores Tour Stops and Voice Follow Zones without a Preset or PresetId', async t => {
+  const { macro, logged } = await loadMacro(t, {
+    config: {
+      Tour: { Stops: [{ Dwell: 5 }, { PresetId: 2, Dwell: 5 }] },
+      VoiceFollow: { Zones: [{ Name: 'Front', ConnectorId: 1, Preset: 'Lectern' }, { Name: 'Back', ConnectorId: 2, Selection: { Preset: 'Audience' } }] }
+    }
+  });
+
+  assert.deepEqual(macro.config.Tour.Stops, [{ PresetId: 2, Dwell: 5 }]);
+  assert.deepEqual(macro.config.VoiceFollow.Zones.map(zone => zone.Name), ['Front']);
+  assert.deepEqual(problemPaths(logged), ['config.Tour.Stops.0.Preset', 'config.Tour.Stops.0', 'config.VoiceFollow.Zones.1.Preset', 'config.VoiceFollow.Zones.1.Selection', 'config.VoiceFollow.Zones.1']);
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+/** Lists the Names of the values of a GroupButton */
+const valueNames = (xml, widgetId) => {
+  const start = xml.indexOf(`<WidgetId>${widgetId}</WidgetId>`);
+  const valueSpace = xml.slice(start, xml.indexOf('</ValueSpace>', start));
+  return [...valueSpace.matchAll(/<Value>\s*<Key>[^<]*<\/Key>\s*<Name>([^<]*)<\/Name>/g)].map(match => match[1]);
+};
+
+/** Starts with call 5 connected to a far end that allows camera control */
+const feccCall = sim => Object.assign(sim.status, {
+  'Call': [{ id: '5', Status: 'Connected' }],
+  'Conference.Call': [{ id: '5', Capabilities: { FECC: { Mode: 'On', NumberOfPresets: '3' } } }]
+});
+
+test('the Far End section offers the presets the far end reports, labelled by number', async t => {
+  const { sim } = await loadMacro(t, { config: { FarEndControl: { Enabled: true } }, setup: feccCall });
+
+  assert.deepEqual(valueNames(sim.panel(), 'camPresets~PresetList~FarEnd~Presets'), ['Preset 1', 'Preset 2', 'Preset 3']);
+  assert.match(sim.panel(), /camPresets~PresetList~FarEnd~Pad/);
+});
+
+test('the Far End section offers the configured presets and leaves out the pad when ShowPad is off', async t => {
+  const { sim } = await loadMacro(t, {
+    config: { FarEndControl: { Enabled: true, ShowPad: false, Presets: [{ PresetId: 2, Name: 'Stage' }] } },
+    setup: feccCall
+  });
+
+  assert.deepEqual(valueNames(sim.panel(), 'camPresets~PresetList~FarEnd~Presets'), ['Stage']);
+  assert.doesNotMatch(sim.panel(), /camPresets~PresetList~FarEnd~Pad/);
+});
+
+test('the Far End section is removed once its call ends', async t => {
+  const { sim, advance } = await loadMacro(t, { config: { FarEndControl: { Enabled: true } }, setup: feccCall });
+
+  sim.status['Call'] = [];
+  sim.emit('Status.Call', { id: '5', ghost: 'True' });
+  await advance(2000);
+
+  assert.doesNotMatch(sim.panel(), /camPresets~PresetList~FarEnd/);
+});
+
+test('the Far End section moves to another connected call that allows camera control', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: { FarEndControl: { Enabled: true } }, setup: feccCall });
+
+  sim.status['Call'] = [{ id: '6', Status: 'Connected' }];
+  sim.status['Conference.Call'] = [{ id: '6', Capabilities: { FECC: { Mode: 'On', NumberOfPresets: '2' } } }];
+  sim.emit('Status.Call', { id: '5', ghost: 'True' });
+  await advance(2000);
+
+  assert.deepEqual(valueNames(sim.panel(), 'camPresets~PresetList~FarEnd~Presets'), ['Preset 1', 'Preset 2']);
+  await press('camPresets~PresetList~FarEnd~Presets', 'released', '1');
+  assert.deepEqual(sim.last('FarEndControl.RoomPreset.Activate').Params, { CallId: '6', PresetId: 1 });
+});
+
+test('a FECC capability change that fails to update the Panel is logged instead of left unhandled', async t => {
+  const { sim, flush, logged } = await loadMacro(t, {
+    config: { FarEndControl: { Enabled: true } },
+    setup: sim => sim.status['Call'] = [{ id: '5', Status: 'Connected' }]
+  });
+  sim.handlers['Command.UserInterface.Extensions.Panel.Save'] = () => {
+    throw new sim.XapiError(`Panel too large`);
+  };
+
+  sim.status['Conference.Call'] = [{ id: '5', Capabilities: { FECC: { Mode: 'On', NumberOfPresets: '4' } } }];
+  sim.emit('Status.Conference.Call', { id: '5', Capabilities: { FECC: { Mode: 'On' } } });
+  await flush();
+
+  assert.equal(logged('error', 'Failed to update Far End Camera Control').length, 1);
+});
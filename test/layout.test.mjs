@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+/** Lists the Names of the values of a GroupButton */
+const valueNames = (xml, widgetId) => {
+  const start = xml.indexOf(`<WidgetId>${widgetId}</WidgetId>`);
+  const valueSpace = xml.slice(start, xml.indexOf('</ValueSpace>', start));
+  return [...valueSpace.matchAll(/<Value>\s*<Key>[^<]*<\/Key>\s*<Name>([^<]*)<\/Name>/g)].map(match => match[1]);
+};
+
+/** Opens the Admin page and selects a preset */
+const selectAdminPreset = async (sim, press, flush, presetId) => {
+  await press('camPresets~PresetList~Admin');
+  sim.emit('Event.UserInterface.Message.TextInput.Response', { FeedbackId: 'camPresets~Admin~Pin', Text: '0000' });
+  await flush();
+  await press('camPresets~Admin~Presets', 'released', `${presetId}`);
+};
+
+test('buildUserInterface pins favorites, shows labels and follows the Metadata order', async t => {
+  const { sim } = await loadMacro(t, { config: { PresetLayout: { Columns: 2, Metadata: { 3: { Favorite: true, Label: 'Crowd' }, 2: { Order: 1 } } } } });
+  const panel = sim.panel();
+
+  assert.deepEqual(valueNames(panel, 'camPresets~PresetList~Favorites'), ['Crowd']);
+  assert.match(panel, /<Key>Type:Preset~CameraId:2~PresetId:3~PresetName:Audience<\/Key>/);
+  assert.deepEqual(valueNames(panel, 'camPresets~PresetList~Camera1'), ['Wide', 'Lectern ✪']);
+  assert.match(panel, /<WidgetId>camPresets~PresetList~Camera1<\/WidgetId>\s*<Type>GroupButton<\/Type>\s*<Options>size=4;columns=2<\/Options>/);
+});
+
+test('the Admin page favorites a preset and saves it to the Storage Macro', async t => {
+  const { sim, press, flush, advance } = await loadMacro(t, { config: { Admin: { Enabled: true } } });
+
+  await selectAdminPreset(sim, press, flush, 2);
+  await press('camPresets~Admin~Favorite');
+  await advance(2000);
+
+  assert.deepEqual(valueNames(sim.panel(), 'camPresets~PresetList~Favorites'), ['Wide']);
+  assert.match(sim.macros['Camera_Presets_Memory'], /"PresetMetadata": \{\s*"2": \{\s*"Favorite": true/);
+});
+
+test('the Admin page moves a preset down and saves the order of every preset', async t => {
+  const { sim, press, flush, advance } = await loadMacro(t, { config: { Admin: { Enabled: true }, Features: { GroupPresetsByCamera: false } } });
+
+  await selectAdminPreset(sim, press, flush, 1);
+  await press('camPresets~Admin~MoveDown');
+  await advance(2000);
+
+  assert.deepEqual(valueNames(sim.panel(), 'camPresets~PresetList~Presets'), ['Manual 🔧', 'Wide', 'Lectern ✪', 'Audience']);
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+/** Returns the Text of the messages sent to other macros, in order */
+const messages = sim => sim.sent('Message.Send').map(command => command.Params.Text);
+
+test('the Macro API lists the Camera Presets with their display names', async t => {
+  const { sim, advance } = await loadMacro(t, { setup: sim => sim.presets[1].Name = '#1 [Stage] Wide' });
+  sim.commands.length = 0;
+
+  sim.emit('Event.Message.Send', { Text: 'Macro:camPresets~Action:GetPresets~RequestId:1' });
+  await advance(100);
+
+  assert.deepEqual(messages(sim), [
+    'Macro:camPresets~Response:GetPresets~RequestId:1~Status:OK~Index:1~Total:3~CameraId:1~PresetId:1~PresetName:Lectern~Default:True',
+    'Macro:camPresets~Response:GetPresets~RequestId:1~Status:OK~Index:2~Total:3~CameraId:1~PresetId:2~PresetName:Wide~Default:False',
+    'Macro:camPresets~Response:GetPresets~RequestId:1~Status:OK~Index:3~Total:3~CameraId:2~PresetId:3~PresetName:Audience~Default:False'
+  ]);
+});
+
+test('the Macro API reports the current selection', async t => {
+  const { sim, press, advance } = await loadMacro(t);
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(3000);
+  sim.emit('Event.Message.Send', { Text: 'Macro:camPresets~Action:GetSelection~RequestId:2' });
+  await advance(100);
+
+  assert.equal(sim.last('Message.Send').Params.Text, 'Macro:camPresets~Response:GetSelection~RequestId:2~Status:OK~Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+});
+
+test('the Macro API rejects a tracking feature it does not know', async t => {
+  const { sim, advance } = await loadMacro(t);
+
+  sim.emit('Event.Message.Send', { Text: 'Macro:camPresets~Action:ActivateTracking~Feature:Crowd~RequestId:3' });
+  await advance(100);
+
+  assert.equal(sim.last('Message.Send').Params.Text, 'Macro:camPresets~Response:ActivateTracking~RequestId:3~Status:Error~Reason:Feature must be Presenter, Speaker, Frames, Tour or Voice');
+  assert.equal(sim.last('SpeakerTrack.Activate'), undefined);
+});
+
+test('selection changes are broadcast to other macros once per change', async t => {
+  const { sim, press, advance } = await loadMacro(t);
+  sim.commands.length = 0;
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(3000);
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(3000);
+
+  assert.equal(messages(sim).filter(text => text.includes('Event:SelectionChanged')).length, 1);
+  assert.match(messages(sim)[0], /^Macro:camPresets~Event:SelectionChanged~Type:Preset~CameraId:2~PresetId:3~PresetName:Audience~Cause:/);
+});
+
+test('encodeKeyValuePairs and parseKeyValuePairs round trip values holding separators', async t => {
+  const { macro } = await loadMacro(t, { init: false });
+
+  const text = macro.encodeKeyValuePairs({ Type: 'Preset', PresetId: 4, PresetName: 'Q&A ~ 50%: Stage' });
+  assert.equal(text, 'Type:Preset~PresetId:4~PresetName:Q&A %7E 50%25%3A Stage');
+  assert.deepEqual(macro.parseKeyValuePairs(text), { Type: 'Preset', PresetId: 4, PresetName: 'Q&A ~ 50%: Stage' });
+});
+
+test('the Macro API encodes preset names that hold separators', async t => {
+  const { sim, advance } = await loadMacro(t, { setup: sim => sim.presets[2].Name = 'Audience: Left ~ 1' });
+
+  sim.emit('Event.Message.Send', { Text: 'Macro:camPresets~Action:ActivatePreset~PresetName:Audience%3A Left %7E 1~RequestId:9' });
+  await advance(3000);
+
+  assert.deepEqual(sim.last('Camera.Preset.Activate').Params, { PresetId: 3 });
+  assert.ok(sim.sent('Message.Send').some(command => command.Params.Text.includes('PresetName:Audience%3A Left %7E 1')));
+});
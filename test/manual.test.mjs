@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+const manualConfig = { ManualControl: { Enabled: true, ZoomSpeed: 4 } };
+
+/** Returns the values set on a widget, in order */
+const valuesSet = (sim, widgetId) => sim.sent('Widget.SetValue').filter(command => command.Params.WidgetId == widgetId).map(command => command.Params.Value);
+
+test('the Manual Control page lists the connected cameras and only offers Save when ShowSavePreset is on', async t => {
+  const { sim } = await loadMacro(t, {
+    config: manualConfig,
+    setup: sim => sim.status['Cameras.Camera'] = [{ id: '1', Connected: 'True' }, { id: '2', Connected: 'False' }, { id: '3', Connected: 'True' }]
+  });
+
+  assert.match(sim.panel(), /<PageId>camPresets~Manual<\/PageId>/);
+  assert.match(sim.panel(), /<Key>1<\/Key>[\s\S]*<Key>3<\/Key>/);
+  assert.doesNotMatch(sim.panel(), /<Key>2<\/Key>\s*<Name>Camera 2<\/Name>/);
+  assert.doesNotMatch(sim.panel(), /camPresets~Manual~Save/);
+});
+
+test('the Zoom spinner ramps the camera at the ZoomSpeed and marks the selection Manual', async t => {
+  const { sim, press } = await loadMacro(t, { config: manualConfig });
+
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Manual');
+  await press('camPresets~Manual~Zoom', 'pressed', 'increment');
+  assert.deepEqual(sim.last('Camera.Ramp').Params, { CameraId: 1, Zoom: 'In', ZoomSpeed: 4 });
+  assert.deepEqual(valuesSet(sim, 'camPresets~PresetList~Presets'), ['Type:Automatic~Feature:Manual']);
+
+  await press('camPresets~Manual~Zoom', 'released', 'increment');
+  assert.deepEqual(sim.last('Camera.Ramp').Params, { CameraId: 1, Zoom: 'Stop' });
+});
+
+test('a camera moved from the pad is not treated as a manual move from outside the Panel', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: manualConfig });
+
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Manual');
+  await press('camPresets~Manual~PanTilt', 'pressed', 'up');
+  sim.emit('Status.Cameras.Camera.*.Position', { id: '1', Tilt: 20 });
+  await advance(200);
+  await press('camPresets~Manual~PanTilt', 'released', 'up');
+  sim.emit('Status.Cameras.Camera.*.Position', { id: '1', Tilt: 25 });
+  await advance(1000);
+
+  assert.equal(valuesSet(sim, 'camPresets~PresetList~Presets').length, 1);
+});
+
+test('the Manual Control page is ignored while ManualControl is off', async t => {
+  const { sim, press } = await loadMacro(t);
+
+  await press('camPresets~Manual~PanTilt', 'pressed', 'left');
+  assert.equal(sim.last('Camera.Ramp'), undefined);
+});
@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+/** Selects a preset from the Panel, which saves it to the Storage Macro */
+const selectAudience = press => press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+
+test('a missing Storage Macro is created', async t => {
+  const { sim, press, advance } = await loadMacro(t);
+  assert.ok(sim.macros['Camera_Presets_Memory'].includes('const memory = {}'));
+
+  await selectAudience(press);
+  await advance(5000);
+  assert.match(sim.macros['Camera_Presets_Memory'], /"PresetId": 3/);
+});
+
+/** Content of a Storage Macro holding a saved selection */
+const savedSelection = selection => `/* Storage */\nconst memory = ${JSON.stringify({ LastSelection: selection })};\n`;
+
+test('a saved selection that is still live is shown on startup', async t => {
+  const { sim } = await loadMacro(t, {
+    setup: sim => {
+      sim.macros['Camera_Presets_Memory'] = savedSelection({ Type: 'Automatic', Feature: 'Speaker' });
+      sim.status['Cameras.SpeakerTrack.Status'] = 'Active';
+    }
+  });
+
+  assert.equal(sim.last('Widget.SetValue').Params.Value, 'Type:Automatic~Feature:Speaker');
+  assert.equal(sim.last('SpeakerTrack.Activate'), undefined);
+});
+
+test('a saved preset the camera has left is reapplied on startup when OnStartup is Reapply', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: { Persistence: { OnStartup: 'Reapply' } },
+    setup: sim => {
+      sim.macros['Camera_Presets_Memory'] = savedSelection({ Type: 'Preset', CameraId: 2, PresetId: 3, PresetName: 'Audience' });
+      sim.presets[2].Pan = 100;
+      sim.status['Cameras.Camera'][1].Position = { Pan: 300, Tilt: 0, Zoom: 0 };
+    }
+  });
+  await advance(3000);
+
+  assert.deepEqual(sim.sent('Camera.Preset.Activate').map(command => command.Params), [{ PresetId: 3 }]);
+});
+
+test('a saved preset the camera has left is not shown on startup when OnStartup is Show', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    setup: sim => {
+      sim.macros['Camera_Presets_Memory'] = savedSelection({ Type: 'Preset', CameraId: 2, PresetId: 3, PresetName: 'Audience' });
+      sim.presets[2].Pan = 100;
+      sim.status['Cameras.Camera'][1].Position = { Pan: 300, Tilt: 0, Zoom: 0 };
+    }
+  });
+  await advance(3000);
+
+  assert.equal(sim.last('Camera.Preset.Activate'), undefined);
+  assert.equal(sim.sent('Widget.SetValue').filter(command => command.Params.WidgetId == 'camPresets~PresetList~Camera2').length, 0);
+});
+
+test('a Storage Macro that fails to parse is left untouched', async t => {
+  const content = '/* Storage */\nconst memory = { "LastSelection": ';
+  const { sim, press, advance, logged } = await loadMacro(t, { setup: sim => sim.macros['Camera_Presets_Memory'] = content });
+
+  await selectAudience(press);
+  await advance(5000);
+
+  assert.equal(sim.macros['Camera_Presets_Memory'], content);
+  assert.equal(sim.sent('Macros.Macro.Save').length, 0);
+  assert.equal(logged('warn', 'Unable to parse Storage Macro').length, 1);
+});
+
+test('a Storage Macro that fails to load is left untouched', async t => {
+  const content = '/* Storage */\nconst memory = {};\n';
+  const { sim, press, advance, logged } = await loadMacro(t, {
+    setup: sim => {
+      sim.macros['Camera_Presets_Memory'] = content;
+      sim.handlers['Command.Macros.Macro.Get'] = () => {
+        throw new sim.XapiError(`Macro runtime busy`);
+      };
+    }
+  });
+
+  await selectAudience(press);
+  await advance(5000);
+
+  assert.equal(sim.macros['Camera_Presets_Memory'], content);
+  assert.equal(sim.sent('Macros.Macro.Save').length, 0);
+  assert.equal(logged('warn', 'Unable to read Storage Macro').length, 1);
+});
+
+test('a listed Storage Macro that fails to load with a not found error is left untouched', async t => {
+  const content = '/* Storage */\nconst memory = {};\n';
+  const { sim, press, advance, logged } = await loadMacro(t, {
+    setup: sim => {
+      sim.macros['Camera_Presets_Memory'] = content;
+      sim.handlers['Command.Macros.Macro.Get'] = ({ Name }) => {
+        if (Name == undefined) {
+          return { Macro: [{ Name: 'Camera_Presets_Memory' }] };
+        }
+        throw new sim.XapiError(`No such macro`);
+      };
+    }
+  });
+
+  await selectAudience(press);
+  await advance(5000);
+
+  assert.equal(sim.macros['Camera_Presets_Memory'], content);
+  assert.equal(sim.sent('Macros.Macro.Save').length, 0);
+  assert.equal(logged('warn', 'Unable to read Storage Macro').length, 1);
+});
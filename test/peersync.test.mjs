@@ -0,0 +1,175 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { loadMacro } from './support/macro.mjs';
+import { startServer } from './support/server.mjs';
+
+const secret = 'b7Kq2vR9xWm4Lp8T';
+const credentials = Buffer.from('sync:peerpass').toString('base64');
+
+/** Reads the data saved to the Storage Macro */
+const saved = sim => {
+  const content = sim.macros['Camera_Presets_Memory'] ?? '{}';
+  return JSON.parse(content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1));
+};
+
+/** Saves Peer Sync secrets to the Storage Macro */
+const storeSecrets = (sim, PeerSync) => sim.macros['Camera_Presets_Memory'] = `const memory = ${JSON.stringify({ PeerSync })};`;
+
+/** Signs a Peer Sync message the way a peer does, adding a Timestamp after its Origin */
+const signed = (text, { key = secret, timestamp = Date.now() } = {}) => {
+  const stamped = text.replace(/^(PeerSync:[^~]*~Origin:[^~]*)/, `$1~Timestamp:${timestamp}`);
+  return `${stamped}~Signature:${createHmac('sha256', key).update(stamped).digest('hex')}`;
+};
+
+/** Returns the PresetIds activated, in order */
+const activated = sim => sim.sent('Camera.Preset.Activate').map(command => command.Params.PresetId);
+
+test('Peer Sync posts signed selections to a peer with the Secret and Credentials from the Storage Macro', async t => {
+  const peer = await startServer(t);
+  const { sim, press, until } = await loadMacro(t, {
+    timers: ['setInterval'],
+    config: { PeerSync: { Enabled: true, Group: 'Boardroom', DefaultState: 'Combined', Peers: [{ Name: 'Room B', Url: peer.url('/putxml') }] } },
+    setup: sim => storeSecrets(sim, { Secret: secret, Credentials: { 'Room B': credentials } })
+  });
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await until(() => peer.requests.length == 1);
+
+  const [request] = peer.requests;
+  assert.equal(request.Path, '/putxml');
+  assert.equal(request.Headers['authorization'], `Basic ${credentials}`);
+  assert.equal(request.Headers['content-type'], 'text/xml');
+  const text = request.Body.match(/<Text>(.*)<\/Text>/)[1];
+  assert.equal(text, signed('PeerSync:Boardroom~Origin:FOC0000TEST~Event:Selection~Type:Preset~PresetId:3~PresetName:Audience', { timestamp: text.match(/Timestamp:(\d+)/)[1] }));
+  assert.doesNotMatch(request.Body, new RegExp(secret));
+  assert.equal(sim.sent('HttpClient.Post').length, 1);
+});
+
+test('Peer Sync sends nothing while the rooms are Split', async t => {
+  const { sim, press, advance } = await loadMacro(t, {
+    config: { PeerSync: { Enabled: true, Group: 'Boardroom', Peers: [{ Name: 'Room B', Url: 'https://10.1.1.20/putxml' }] } },
+    setup: sim => storeSecrets(sim, { Secret: secret, Credentials: { 'Room B': credentials } })
+  });
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(3000);
+
+  assert.equal(sim.sent('HttpClient.Post').length, 0);
+});
+
+test('Peer Sync does not echo a selection from a peer back to its peers', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: { PeerSync: { Enabled: true, Group: 'Boardroom', DefaultState: 'Combined', Peers: [{ Name: 'Room B', Url: 'https://10.1.1.20/putxml' }] } },
+    setup: sim => storeSecrets(sim, { Secret: secret, Credentials: { 'Room B': credentials } })
+  });
+
+  sim.emit('Event.Message.Send', { Text: signed(`PeerSync:Boardroom~Origin:FOC0000PEER~Event:Selection~Type:Preset~PresetName:Audience`) });
+  sim.emit('Event.Message.Send', { Text: signed(`PeerSync:Boardroom~Origin:FOC0000TEST~Event:Selection~Type:Preset~PresetName:Wide`) });
+  await advance(3000);
+
+  assert.deepEqual(activated(sim), [3]);
+  assert.equal(sim.sent('HttpClient.Post').length, 0);
+});
+
+test('Peer Sync matches presets by PresetId when MatchPresetsBy is Id', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: { PeerSync: { Enabled: true, Group: 'Boardroom', DefaultState: 'Combined', MatchPresetsBy: 'Id' } },
+    setup: sim => storeSecrets(sim, { Secret: secret })
+  });
+
+  sim.emit('Event.Message.Send', { Text: signed(`PeerSync:Boardroom~Origin:FOC0000PEER~Event:Selection~Type:Preset~PresetId:2~PresetName:Stage`) });
+  await advance(3000);
+
+  assert.deepEqual(activated(sim), [2]);
+});
+
+test('Peer Sync follows a State change from a peer without sending it back', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: { PeerSync: { Enabled: true, Group: 'Boardroom', Peers: [{ Name: 'Room B', Url: 'https://10.1.1.20/putxml' }] } },
+    setup: sim => storeSecrets(sim, { Secret: secret, Credentials: { 'Room B': credentials } })
+  });
+
+  sim.emit('Event.Message.Send', { Text: signed(`PeerSync:Boardroom~Origin:FOC0000PEER~Event:State~State:Combined`) });
+  await advance(2000);
+
+  assert.equal(sim.sent('Widget.SetValue').filter(command => command.Params.WidgetId == 'camPresets~PresetList~PeerSync').pop().Params.Value, 'on');
+  assert.equal(sim.sent('HttpClient.Post').length, 0);
+});
+
+test('Peer Sync ignores messages that are unsigned or signed with another Secret', async t => {
+  const { sim, advance, logged } = await loadMacro(t, {
+    config: { PeerSync: { Enabled: true, Group: 'Boardroom', DefaultState: 'Combined' } },
+    setup: sim => storeSecrets(sim, { Secret: secret })
+  });
+
+  sim.emit('Event.Message.Send', { Text: 'PeerSync:Boardroom~Origin:FOC0000PEER~Event:Selection~Type:Preset~PresetName:Audience' });
+  sim.emit('Event.Message.Send', { Text: `PeerSync:Boardroom~Secret:${secret}~Origin:FOC0000PEER~Event:Selection~Type:Preset~PresetName:Audience` });
+  sim.emit('Event.Message.Send', { Text: signed('PeerSync:Boardroom~Origin:FOC0000PEER~Event:Selection~Type:Preset~PresetName:Wide', { key: 'guessed-secret-00' }) });
+  await advance(3000);
+
+  assert.deepEqual(activated(sim), []);
+  assert.equal(logged('warn', `the Signature doesn't match the Secret`).length, 3);
+});
+
+test('Peer Sync ignores a replayed message and a message sent too long ago', async t => {
+  const { sim, advance, logged } = await loadMacro(t, {
+    config: { PeerSync: { Enabled: true, Group: 'Boardroom', DefaultState: 'Combined' } },
+    setup: sim => storeSecrets(sim, { Secret: secret })
+  });
+
+  const message = signed('PeerSync:Boardroom~Origin:FOC0000PEER~Event:State~State:Split');
+  sim.emit('Event.Message.Send', { Text: message });
+  await advance(1000);
+  sim.emit('Event.Message.Send', { Text: message });
+  sim.emit('Event.Message.Send', { Text: signed('PeerSync:Boardroom~Origin:FOC0000PEER~Event:Selection~Type:Preset~PresetName:Wide', { timestamp: Date.now() - 60000 }) });
+  await advance(3000);
+
+  assert.deepEqual(activated(sim), []);
+  assert.equal(logged('warn', 'it was already received').length, 1);
+  assert.equal(logged('warn', 'it was sent more than [30000ms] from now').length, 1);
+});
+
+test('Peer Sync stays off until a Secret is set, saving empty entries to fill in', async t => {
+  const { sim, press, advance, logged } = await loadMacro(t, {
+    config: { PeerSync: { Enabled: true, Group: 'Boardroom', DefaultState: 'Combined', Peers: [{ Name: 'Room B', Url: 'https://10.1.1.20/putxml', Credentials: credentials }] } }
+  });
+  await advance(2000);
+
+  assert.deepEqual(saved(sim).PeerSync, { Secret: '', Credentials: { 'Room B': '' } });
+  assert.equal(logged('warn', 'Peer Sync is off until a Secret').length, 1);
+  assert.equal(logged('warn', 'Credentials for Peer [Room B] are ignored in config').length, 1);
+  assert.doesNotMatch(sim.panel(), /camPresets~PresetList~PeerSync/);
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  sim.emit('Event.Message.Send', { Text: signed('PeerSync:Boardroom~Origin:FOC0000PEER~Event:Selection~Type:Preset~PresetName:Wide', { key: '' }) });
+  await advance(3000);
+
+  assert.equal(sim.sent('HttpClient.Post').length, 0);
+  assert.deepEqual(activated(sim), [3]);
+});
+
+test('Peer Sync stays off with a Secret saved as a number', async t => {
+  const { sim, advance, logged } = await loadMacro(t, {
+    config: { PeerSync: { Enabled: true, Group: 'Boardroom', DefaultState: 'Combined' } },
+    setup: sim => sim.macros['Camera_Presets_Memory'] = 'const memory = { "PeerSync": { "Secret": 12345678901234567890 } };'
+  });
+  await advance(2000);
+
+  assert.equal(logged('warn', 'must be quoted as a string').length, 1);
+  assert.equal(logged('warn', 'Peer Sync is off until a Secret').length, 1);
+  assert.equal(saved(sim).PeerSync.Secret, 12345678901234567890);
+});
+
+test('Peer Sync skips a peer without Credentials', async t => {
+  const { sim, press, advance, logged } = await loadMacro(t, {
+    config: { PeerSync: { Enabled: true, Group: 'Boardroom', DefaultState: 'Combined', Peers: [{ Name: 'Room B', Url: 'https://10.1.1.20/putxml' }] } },
+    setup: sim => storeSecrets(sim, { Secret: secret })
+  });
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(3000);
+
+  assert.equal(sim.sent('HttpClient.Post').length, 0);
+  assert.equal(logged('warn', 'not sent to Peer [Room B], no Credentials set').length, 1);
+});
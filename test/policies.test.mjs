@@ -0,0 +1,125 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+/** A connected call from the Broadcast Studio */
+const studioCall = { id: '5', Status: 'Connected', Direction: 'Incoming', CallType: 'Video', Protocol: 'SIP', RemoteNumber: 'studio@example.com', CallbackNumber: 'sip:studio@example.com' };
+
+test('Call Policies match the RemoteURI of a connecting call', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: { CallPolicies: { Enabled: true, Policies: [{ Name: 'Studio', RemoteURI: '^STUDIO@example\\.com$', Selection: { Preset: 'Audience' } }] } },
+    setup: sim => sim.status['Call'] = [studioCall]
+  });
+  sim.commands.length = 0;
+
+  sim.emit('Status.Call', { id: '5', Status: 'Connected' });
+  await advance(3000);
+
+  assert.deepEqual(sim.last('Camera.Preset.Activate').Params, { PresetId: 3 });
+});
+
+test('Call Policies are checked in order by Direction and Protocol', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: {
+      CallPolicies: {
+        Enabled: true,
+        Policies: [
+          { Name: 'Outgoing', Direction: 'Outgoing', Selection: { Preset: 'Wide' } },
+          { Name: 'H323', Protocol: 'H323', Selection: { Preset: 'Wide' } },
+          { Name: 'Incoming SIP', Direction: 'incoming', Protocol: 'sip', Selection: { Preset: 'Audience' } }
+        ]
+      }
+    },
+    setup: sim => sim.status['Call'] = [studioCall]
+  });
+  sim.commands.length = 0;
+
+  sim.emit('Status.Call', { id: '5', Status: 'Connected' });
+  await advance(3000);
+
+  assert.deepEqual(sim.sent('Camera.Preset.Activate').map(command => command.Params), [{ PresetId: 3 }]);
+});
+
+test('a Call Policy runs once per call, however many times its status changes', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: { CallPolicies: { Enabled: true, Policies: [{ Name: 'Any', Selection: { Preset: 'Audience' } }] } },
+    setup: sim => sim.status['Call'] = [studioCall]
+  });
+  sim.commands.length = 0;
+
+  sim.emit('Status.Call', { id: '5', Status: 'Connecting' });
+  sim.emit('Status.Call', { id: '5', Status: 'Connected' });
+  await advance(3000);
+  sim.emit('Status.Call', { id: '5', Status: 'Connected' });
+  await advance(3000);
+
+  assert.deepEqual(sim.sent('Camera.Preset.Activate').map(command => command.Params), [{ PresetId: 3 }]);
+});
+
+test('Call Policies restore the previous selection once the last call disconnects', async t => {
+  const { sim, press, advance } = await loadMacro(t, {
+    config: { CallPolicies: { Enabled: true, OnDisconnect: 'Restore', Policies: [{ Name: 'Any', Selection: { Preset: 'Audience' } }] } },
+    setup: sim => sim.status['Call'] = [studioCall]
+  });
+  await press('camPresets~PresetList~Camera1', 'released', 'Type:Preset~CameraId:1~PresetId:2~PresetName:Wide');
+  await advance(3000);
+  sim.commands.length = 0;
+
+  sim.emit('Status.Call', { id: '5', Status: 'Connected' });
+  await advance(3000);
+  sim.emit('Status.Call', { id: '5', ghost: 'True' });
+  await advance(3000);
+
+  assert.deepEqual(sim.sent('Camera.Preset.Activate').map(command => command.Params), [{ PresetId: 3 }, { PresetId: 2 }]);
+});
+
+test('Call Policies park the camera once the last call disconnects', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: { Features: { OnCallSetDefaultPreset: false }, CallPolicies: { Enabled: true, OnDisconnect: 'Park', ParkSelection: { Preset: 'Wide' } } },
+    setup: sim => sim.status['Call'] = [studioCall, { ...studioCall, id: '6' }]
+  });
+  sim.commands.length = 0;
+
+  sim.emit('Status.Call', { id: '5', Status: 'Connected' });
+  sim.emit('Status.Call', { id: '6', Status: 'Connected' });
+  await advance(3000);
+  sim.emit('Status.Call', { id: '5', ghost: 'True' });
+  await advance(3000);
+  assert.deepEqual(sim.sent('Camera.Preset.Activate').map(command => command.Params), []);
+
+  sim.emit('Status.Call', { id: '6', ghost: 'True' });
+  await advance(3000);
+  assert.deepEqual(sim.sent('Camera.Preset.Activate').map(command => command.Params), [{ PresetId: 2 }]);
+});
+
+test('a Call Policy with an invalid RemoteURI is reported as a config problem and never matches', async t => {
+  const { sim, advance, logged } = await loadMacro(t, {
+    config: {
+      CallPolicies: {
+        Enabled: true,
+        Policies: [
+          { Name: 'Broken', RemoteURI: '^studio(', Selection: { Preset: 'Wide' } },
+          { Name: 'Studio', RemoteURI: 'studio', Selection: { Preset: 'Audience' } }
+        ]
+      }
+    },
+    setup: sim => sim.status['Call'] = [studioCall]
+  });
+  assert.equal(logged('warn', 'config.CallPolicies.Policies.0.RemoteURI').length, 1);
+  sim.commands.length = 0;
+
+  sim.emit('Status.Call', { id: '5', Status: 'Connected' });
+  await advance(3000);
+
+  assert.deepEqual(sim.sent('Camera.Preset.Activate').map(command => command.Params), [{ PresetId: 3 }]);
+});
+
+test('a Call Policy that fails is logged instead of left unhandled', async t => {
+  const { macro, sim, advance, logged } = await loadMacro(t, { config: { CallPolicies: { Enabled: true } } });
+  macro.config.CallPolicies.Policies.push(null);
+
+  sim.emit('Status.Call', { id: '5', Status: 'Connected' });
+  await advance(200);
+
+  assert.equal(logged('error', 'Failed to run Call [Connected] Policy').length, 1);
+});
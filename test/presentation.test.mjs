@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+const presentationConfig = { PresentationRules: { Enabled: true, Rules: [{ Name: 'Document Camera', Source: 3, Selection: { Preset: 'Wide' } }] } };
+
+/** Returns the PresetIds activated, in order */
+const activated = sim => sim.sent('Camera.Preset.Activate').map(command => command.Params.PresetId);
+
+test('the selection live before the presentation is restored once sharing stops', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: presentationConfig });
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(2500);
+  sim.emit('Status.Conference.Presentation.LocalInstance', { id: '1', Source: '3' });
+  await advance(2500);
+  assert.deepEqual(activated(sim), [3, 2]);
+
+  sim.emit('Status.Conference.Presentation.LocalInstance', { id: '1', ghost: 'True' });
+  await advance(2500);
+  assert.deepEqual(activated(sim), [3, 2, 3]);
+});
+
+test('the Presentation Rule selection is kept once sharing stops when RestoreOnStop is off', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: { PresentationRules: { ...presentationConfig.PresentationRules, RestoreOnStop: false } } });
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(2500);
+  sim.emit('Status.Conference.Presentation.LocalInstance', { id: '1', Source: '3' });
+  await advance(2500);
+  sim.emit('Status.Conference.Presentation.LocalInstance', { id: '1', ghost: 'True' });
+  await advance(2500);
+  assert.deepEqual(activated(sim), [3, 2]);
+});
+
+test('the first matching Presentation Rule is used and a rule without a Source matches any share', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: { PresentationRules: { Enabled: true, Rules: [...presentationConfig.PresentationRules.Rules, { Name: 'Any Share', Selection: { Preset: 'Audience' } }] } }
+  });
+
+  sim.emit('Status.Conference.Presentation.LocalInstance', { id: '1', Source: '2' });
+  await advance(2500);
+  assert.deepEqual(activated(sim), [3]);
+
+  sim.emit('Status.Conference.Presentation.LocalInstance', { id: '2', Source: '3' });
+  await advance(2500);
+  assert.deepEqual(activated(sim), [3, 2]);
+});
+
+test('a presentation already shared when the macro starts applies its Presentation Rule', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: presentationConfig,
+    setup: sim => sim.status['Conference.Presentation.LocalInstance'] = [{ id: '1', Source: '3' }]
+  });
+  await advance(2500);
+  assert.deepEqual(activated(sim), [2]);
+
+  sim.emit('Status.Conference.Presentation.LocalInstance', { id: '1', ghost: 'True' });
+  await advance(2500);
+  assert.deepEqual(activated(sim), [2]);
+});
+
+test('no Presentation Rule is applied at startup without a matching presentation', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: presentationConfig,
+    setup: sim => sim.status['Conference.Presentation.LocalInstance'] = [{ id: '1', Source: '2' }]
+  });
+  await advance(2500);
+
+  assert.deepEqual(activated(sim), []);
+});
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+/** Returns the values set on a widget, in order */
+const valuesSet = (sim, widgetId) => sim.sent('Widget.SetValue').filter(command => command.Params.WidgetId == widgetId).map(command => command.Params.Value);
+
+test('reconcilePanelSelection keeps a Manual selection once tracking stops', async t => {
+  const { sim, advance, logged } = await loadMacro(t);
+
+  sim.emit('Status.Cameras.Camera.*.Position', { id: '1', Pan: 120 });
+  await advance(100);
+  sim.emit('Status.Cameras.SpeakerTrack.Status', 'Inactive');
+  await advance(1100);
+
+  assert.deepEqual(valuesSet(sim, 'camPresets~PresetList~Presets'), ['Type:Automatic~Feature:Manual']);
+  assert.equal(logged('log', 'Panel selection reconciled').length, 0);
+});
+
+test('reconcilePanelSelection waits for a Camera Preset that is still being applied', async t => {
+  const { sim, press, advance, logged } = await loadMacro(t);
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  sim.emit('Status.Video.Input.MainVideoSource', '1');
+  await advance(1100);
+  assert.equal(sim.last('SetMainVideoSource'), undefined);
+  assert.equal(logged('log', 'Panel selection reconciled').length, 0);
+});
+
+test('the selection is left as is when ReconcileSelection is off', async t => {
+  const { sim, advance } = await loadMacro(t, { config: { Features: { ReconcileSelection: false } } });
+
+  sim.status['Cameras.SpeakerTrack.Status'] = 'Active';
+  sim.emit('Status.Cameras.SpeakerTrack.Status', 'Active');
+  await advance(2000);
+
+  assert.deepEqual(valuesSet(sim, 'camPresets~PresetList~Presets'), []);
+});
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+const roomResetConfig = { RoomReset: { Enabled: true, PeopleLeaveDelay: 60, OnStandby: false } };
+
+/** Returns the PresetIds activated, in order */
+const activated = sim => sim.sent('Camera.Preset.Activate').map(command => command.Params.PresetId);
+
+/** Starts with RoomAnalytics reporting an empty room */
+const emptyRoom = sim => Object.assign(sim.status, { 'RoomAnalytics.PeoplePresence': 'No', 'RoomAnalytics.PeopleCount.Current': '0' });
+
+test('a camera left in Manual is reset once the ManualIdleTimeout completes', async t => {
+  const { sim, advance } = await loadMacro(t, { config: { RoomReset: { ...roomResetConfig.RoomReset, OnPeopleLeave: false, ManualIdleTimeout: 1 } } });
+
+  sim.emit('Status.Cameras.Camera.*.Position', { id: '1', Pan: 120 });
+  await advance(30000, 1000);
+  sim.emit('Status.Cameras.Camera.*.Position', { id: '1', Pan: 140 });
+  await advance(58000, 1000);
+  assert.deepEqual(activated(sim), []);
+
+  await advance(5000);
+  assert.deepEqual(activated(sim), [1]);
+});
+
+test('a selection made before the ManualIdleTimeout completes cancels the reset', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: { RoomReset: { ...roomResetConfig.RoomReset, OnPeopleLeave: false, ManualIdleTimeout: 1 } } });
+
+  sim.emit('Status.Cameras.Camera.*.Position', { id: '1', Pan: 120 });
+  await advance(30000, 1000);
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(120000, 1000);
+  assert.deepEqual(activated(sim), [3]);
+});
+
+test('a tracking Selection is started when the codec enters Standby', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: { RoomReset: { Enabled: true, OnPeopleLeave: false, Selection: { DefaultPreset: false, Tracking: 'Speaker' } }, Features: { ShowTrackingOptions: true } }
+  });
+  sim.commands.length = 0;
+
+  sim.emit('Status.Standby.State', 'Standby');
+  await advance(1000);
+  assert.ok(sim.last('Cameras.SpeakerTrack.Activate'));
+  assert.deepEqual(activated(sim), []);
+});
+
+test('the reset is skipped while a call is active when SkipDuringCalls is on', async t => {
+  const { sim, advance, logged } = await loadMacro(t, { config: { RoomReset: { Enabled: true, OnPeopleLeave: false } } });
+  sim.status['Call'] = [{ id: '5', Status: 'Connected' }];
+
+  sim.emit('Status.Standby.State', 'Standby');
+  await advance(2500);
+  assert.deepEqual(activated(sim), []);
+  assert.equal(logged('log', 'Room Reset skipped, a call is active').length, 1);
+});
+
+test('a room that is already empty at startup is not reset by a restart', async t => {
+  const { sim, advance } = await loadMacro(t, { config: roomResetConfig, setup: emptyRoom });
+
+  await advance(300000, 1000);
+  assert.deepEqual(activated(sim), []);
+});
+
+test('a selection made in an empty room starts the PeopleLeaveDelay', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: roomResetConfig, setup: emptyRoom });
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(58000, 1000);
+  assert.deepEqual(activated(sim), [3]);
+
+  await advance(5000);
+  assert.deepEqual(activated(sim), [3, 1]);
+
+  await advance(300000, 1000);
+  assert.deepEqual(activated(sim), [3, 1]);
+});
+
+test('a call ending in an empty room starts the PeopleLeaveDelay', async t => {
+  const { sim, advance } = await loadMacro(t, { config: { ...roomResetConfig, Features: { OnCallSetDefaultPreset: false } }, setup: emptyRoom });
+  sim.presets[0].DefaultPosition = 'False';
+  sim.presets[1].DefaultPosition = 'True';
+
+  sim.emit('Status.Call', { id: '5', Status: 'Connected' });
+  await advance(1000);
+  sim.emit('Status.Call', { id: '5', ghost: 'True' });
+  await advance(58000, 1000);
+  assert.deepEqual(activated(sim), []);
+
+  await advance(5000);
+  assert.deepEqual(activated(sim), [2]);
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+/** A rule starting half an hour after the tests' Monday 09:00 start */
+const talk = { Name: 'Talk', Days: ['Mon'], Start: '09:30', End: '10:30', Selection: { Preset: 'Audience' } };
+
+test('the Schedule applies a rule as its time window starts', async t => {
+  const { sim, advance } = await loadMacro(t, { config: { Schedule: { Enabled: true, Rules: [talk] } } });
+  sim.commands.length = 0;
+
+  await advance(29 * 60000, 60000);
+  assert.equal(sim.last('Camera.Preset.Activate'), undefined);
+
+  await advance(2 * 60000, 1000);
+  assert.deepEqual(sim.last('Camera.Preset.Activate').Params, { PresetId: 3 });
+});
+
+test('findActiveScheduleRule checks Days, Dates and ExcludeDates', async t => {
+  const { macro } = await loadMacro(t, {
+    init: false,
+    config: {
+      Schedule: {
+        Rules: [
+          { Name: 'Holiday', ExcludeDates: ['2026-03-02'], Start: '08:00', End: '12:00', Selection: { Preset: 'Wide' } },
+          { Name: 'Weekend', Days: ['Saturday', 'Sun'], Start: '08:00', End: '12:00', Selection: { Preset: 'Wide' } },
+          { Name: 'Exam', Dates: ['2026-03-02'], Start: '08:00', End: '12:00', Selection: { Preset: 'Audience' } }
+        ]
+      }
+    }
+  });
+
+  assert.equal(macro.findActiveScheduleRule(new Date('2026-03-02T09:00:00')).Name, 'Exam');
+  assert.equal(macro.findActiveScheduleRule(new Date('2026-03-07T09:00:00')).Name, 'Holiday');
+  assert.equal(macro.findActiveScheduleRule(new Date('2026-03-02T12:00:00')), undefined);
+});
+
+test('findActiveScheduleRule matches a rule spanning midnight on the day it starts', async t => {
+  const { macro } = await loadMacro(t, {
+    init: false,
+    config: { Schedule: { Rules: [{ Name: 'Overnight', Days: ['Mon'], Start: '22:00', End: '06:00', Selection: { Tracking: 'Frames' } }] } }
+  });
+
+  assert.equal(macro.findActiveScheduleRule(new Date('2026-03-02T23:00:00')).Name, 'Overnight');
+  assert.equal(macro.findActiveScheduleRule(new Date('2026-03-03T05:59:00')).Name, 'Overnight');
+  assert.equal(macro.findActiveScheduleRule(new Date('2026-03-03T23:00:00')), undefined);
+});
+
+test('a call that connects during a Schedule rule applies the rule in place of the Default Camera Preset', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: { Schedule: { Enabled: true, Rules: [{ Name: 'Morning', Days: ['Mon'], Start: '08:00', End: '12:00', Selection: { Preset: 'Wide' } }] } }
+  });
+  sim.commands.length = 0;
+
+  sim.emit('Status.Call', { id: '5', Status: 'Connected' });
+  await advance(3000);
+  assert.deepEqual(sim.sent('Camera.Preset.Activate').map(command => command.Params.PresetId), [2]);
+});
+
+test('a Schedule rule that fails to apply is logged instead of left unhandled', async t => {
+  const { sim, advance, logged } = await loadMacro(t, { config: { Schedule: { Enabled: true, Rules: [talk] } } });
+  sim.handlers['Command.Video.Input.SetMainVideoSource'] = () => {
+    throw new sim.XapiError(`Connector unavailable`);
+  };
+
+  await advance(30 * 60000, 60000);
+  await advance(5000);
+
+  assert.equal(logged('error', 'Failed to apply Schedule Rule [Talk]').length, 1);
+});
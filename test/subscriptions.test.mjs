@@ -0,0 +1,457 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { loadMacro } from './support/macro.mjs';
+
+const audience = 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience';
+const wide = 'Type:Preset~CameraId:1~PresetId:2~PresetName:Wide';
+
+/** Returns the values set on a widget, in order */
+const valuesSet = (sim, widgetId) => sim.sent('Widget.SetValue').filter(command => command.Params.WidgetId == widgetId).map(command => command.Params.Value);
+
+/** Signs a Peer Sync message with the Secret saved by peerSyncSecret, the way a peer does */
+const peerSyncSigned = text => {
+  const stamped = text.replace(/^(PeerSync:[^~]*~Origin:[^~]*)/, `$1~Timestamp:${Date.now()}`);
+  return `${stamped}~Signature:${createHmac('sha256', 'b7Kq2vR9xWm4Lp8T').update(stamped).digest('hex')}`;
+};
+
+/** Saves a Peer Sync Secret to the Storage Macro, which Peer Sync needs to start */
+const peerSyncSecret = sim => sim.macros['Camera_Presets_Memory'] = `const memory = ${JSON.stringify({ PeerSync: { Secret: 'b7Kq2vR9xWm4Lp8T' } })};`;
+
+/** Returns the PresetIds activated, in order */
+const activated = sim => sim.sent('Camera.Preset.Activate').map(command => command.Params.PresetId);
+
+test('Subscribe.WidgetAction activates a Camera Preset selected in the Panel', async t => {
+  const { sim, press, advance } = await loadMacro(t);
+
+  await press('camPresets~PresetList~Camera2', 'released', audience);
+  assert.deepEqual(valuesSet(sim, 'camPresets~PresetList~Camera2'), [audience]);
+  assert.deepEqual(activated(sim), [3]);
+
+  await advance(2500);
+  assert.deepEqual(sim.last('SetMainVideoSource').Params, { ConnectorId: 2 });
+});
+
+test('Subscribe.WidgetAction prompts for the native camera controls when Manual is selected', async t => {
+  const { sim, press } = await loadMacro(t);
+
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Manual');
+  assert.equal(sim.last('Message.Prompt.Display').Params.Duration, 10);
+  assert.deepEqual(activated(sim), []);
+});
+
+test('Subscribe.WidgetAction ignores widgets it did not render', async t => {
+  const { sim, press } = await loadMacro(t);
+
+  await press('otherMacro~Presets', 'released', audience);
+  assert.deepEqual(activated(sim), []);
+});
+
+test('Subscribe.CameraPresetActivated shows a preset activated from the native camera menu', async t => {
+  const { sim, flush } = await loadMacro(t);
+
+  sim.emit('Event.CameraPresetActivated', { PresetId: 2, CameraId: 1 });
+  await flush();
+  assert.deepEqual(valuesSet(sim, 'camPresets~PresetList~Camera1'), [wide]);
+});
+
+test('Subscribe.CameraPresetActivated clears the selection from the other camera groups', async t => {
+  const { sim, press, flush } = await loadMacro(t);
+
+  await press('camPresets~PresetList~Camera2', 'released', audience);
+  const unset = sim.sent('Widget.UnsetValue').length;
+
+  sim.emit('Event.CameraPresetActivated', { PresetId: 2, CameraId: 1 });
+  await flush();
+  assert.deepEqual(sim.sent('Widget.UnsetValue').slice(unset).map(command => command.Params.WidgetId), ['camPresets~PresetList~Presets', 'camPresets~PresetList~Camera2']);
+});
+
+test('Subscribe.CameraPresetListUpdated rebuilds the Panel once the updates stop', async t => {
+  const { sim, advance } = await loadMacro(t);
+  const saves = sim.sent('Panel.Save').length;
+
+  sim.presets.push({ PresetId: 4, CameraId: 2, Name: 'Panel', DefaultPosition: 'False' });
+  sim.emit('Event.CameraPresetListUpdated', {});
+  await advance(1000);
+  sim.emit('Event.CameraPresetListUpdated', {});
+  await advance(1000);
+  assert.equal(sim.sent('Panel.Save').length, saves);
+
+  await advance(600);
+  assert.equal(sim.sent('Panel.Save').length, saves + 1);
+  assert.match(sim.panel(), /<Name>Panel<\/Name>/);
+});
+
+test('Subscribe.ExtensionsLayoutUpdated saves the Panel again once it is removed from the codec', async t => {
+  const { sim, advance } = await loadMacro(t);
+  const saves = sim.sent('Panel.Save').length;
+
+  sim.emit('Event.UserInterface.Extensions.Widget.LayoutUpdated', {});
+  await advance(3000);
+  assert.equal(sim.sent('Panel.Save').length, saves);
+
+  delete sim.panels['camPresets'];
+  sim.emit('Event.UserInterface.Extensions.Widget.LayoutUpdated', {});
+  await advance(3000);
+  assert.equal(sim.sent('Panel.Save').length, saves + 1);
+  assert.ok(sim.panels['camPresets']);
+});
+
+test('Subscribe.CameraPosition marks the selection Manual when a camera is moved by hand', async t => {
+  const { sim, flush } = await loadMacro(t);
+
+  sim.emit('Status.Cameras.Camera.*.Position', { id: '1', Pan: 120 });
+  await flush();
+  assert.deepEqual(valuesSet(sim, 'camPresets~PresetList~Presets'), ['Type:Automatic~Feature:Manual']);
+});
+
+test('Subscribe.CameraPosition ignores a camera moving to a Camera Preset', async t => {
+  const { sim, press, advance } = await loadMacro(t);
+
+  await press('camPresets~PresetList~Camera2', 'released', audience);
+  sim.emit('Status.Cameras.Camera.*.Position', { id: '2', Pan: 120 });
+  await advance(1000);
+  assert.deepEqual(valuesSet(sim, 'camPresets~PresetList~Presets'), []);
+});
+
+test('Subscribe.AllConfigurations rebuilds the Panel for Language and Camera changes only', async t => {
+  const { sim, advance } = await loadMacro(t);
+  const saves = sim.sent('Panel.Save').length;
+
+  sim.emit('Config', { Audio: { DefaultVolume: 50 } });
+  await advance(2000);
+  assert.equal(sim.sent('Panel.Save').length, saves);
+
+  sim.config['UserInterface.Language'] = 'French';
+  sim.emit('Config', { UserInterface: { Language: 'French' } });
+  await advance(2000);
+  assert.equal(sim.sent('Panel.Save').length, saves + 1);
+});
+
+test('Subscribe.MacroApi runs commands sent by other macros and responds', async t => {
+  const { sim, advance } = await loadMacro(t);
+
+  sim.emit('Event.Message.Send', { Text: 'Macro:camPresets~Action:ActivatePreset~PresetName:Wide~RequestId:7' });
+  await advance(3000);
+  assert.deepEqual(activated(sim), [2]);
+  assert.ok(sim.sent('Message.Send').some(command => command.Params.Text == 'Macro:camPresets~Response:ActivatePreset~RequestId:7~Status:OK'));
+
+  sim.emit('Event.Message.Send', { Text: 'Macro:camPresets~Action:Unknown~RequestId:8' });
+  await advance(100);
+  assert.equal(sim.last('Message.Send').Params.Text, 'Macro:camPresets~Response:Unknown~RequestId:8~Status:Error~Reason:Unknown Action');
+});
+
+test('Subscribe.MacroApi ignores messages for another Macro API Id', async t => {
+  const { sim, advance } = await loadMacro(t);
+  const sent = sim.sent('Message.Send').length;
+
+  sim.emit('Event.Message.Send', { Text: 'Macro:otherMacro~Action:ActivatePreset~PresetId:2' });
+  await advance(2500);
+  assert.deepEqual(activated(sim), []);
+  assert.equal(sim.sent('Message.Send').length, sent);
+});
+
+test('Subscribe.AdminWidgetAction and AdminTextInputResponse unlock the Admin page with the PIN and rename a preset', async t => {
+  const { sim, press, flush, logged } = await loadMacro(t, { config: { Admin: { Enabled: true, Pin: '1234' } } });
+
+  await press('camPresets~PresetList~Admin');
+  assert.equal(sim.last('TextInput.Display').Params.FeedbackId, 'camPresets~Admin~Pin');
+
+  sim.emit('Event.UserInterface.Message.TextInput.Response', { FeedbackId: 'camPresets~Admin~Pin', Text: '0000' });
+  await flush();
+  assert.equal(logged('warn', 'Incorrect Admin PIN').length, 1);
+  assert.doesNotMatch(sim.panel(), /camPresets~Admin~Rename/);
+
+  sim.emit('Event.UserInterface.Message.TextInput.Response', { FeedbackId: 'camPresets~Admin~Pin', Text: '1234' });
+  await flush();
+  assert.match(sim.panel(), /camPresets~Admin~Rename/);
+  assert.deepEqual(sim.last('Panel.Open').Params, { PanelId: 'camPresets', PageId: 'camPresets~Admin' });
+
+  await press('camPresets~Admin~Presets', 'released', '2');
+  await press('camPresets~Admin~Rename');
+  assert.deepEqual([sim.last('TextInput.Display').Params.FeedbackId, sim.last('TextInput.Display').Params.InputText], ['camPresets~Admin~Rename', 'Wide']);
+
+  sim.emit('Event.UserInterface.Message.TextInput.Response', { FeedbackId: 'camPresets~Admin~Rename', Text: 'Room' });
+  await flush();
+  assert.deepEqual(sim.last('Camera.Preset.Edit').Params, { PresetId: 2, Name: 'Room' });
+});
+
+test('Subscribe.AdminWidgetAction ignores Admin widgets while the page is locked', async t => {
+  const { sim, press } = await loadMacro(t, { config: { Admin: { Enabled: true } } });
+
+  await press('camPresets~Admin~Presets', 'released', '2');
+  await press('camPresets~Admin~Default');
+  assert.equal(sim.last('Camera.Preset.Edit'), undefined);
+});
+
+test('Subscribe.AdminPromptResponse removes a preset once confirmed', async t => {
+  const { sim, press, flush } = await loadMacro(t, { config: { Admin: { Enabled: true } } });
+
+  await press('camPresets~PresetList~Admin');
+  sim.emit('Event.UserInterface.Message.TextInput.Response', { FeedbackId: 'camPresets~Admin~Pin', Text: '0000' });
+  await flush();
+  await press('camPresets~Admin~Presets', 'released', '3');
+  await press('camPresets~Admin~Remove');
+  assert.equal(sim.last('Message.Prompt.Display').Params.FeedbackId, 'camPresets~Admin~Remove');
+
+  sim.emit('Event.UserInterface.Message.Prompt.Response', { FeedbackId: 'camPresets~Admin~Remove', OptionId: 2 });
+  await flush();
+  assert.equal(sim.last('Camera.Preset.Remove'), undefined);
+
+  sim.emit('Event.UserInterface.Message.Prompt.Response', { FeedbackId: 'camPresets~Admin~Remove', OptionId: 1 });
+  await flush();
+  assert.deepEqual(sim.last('Camera.Preset.Remove').Params, { PresetId: 3 });
+});
+
+test('Subscribe.AdminTextInputResponse stores the camera position as a new preset and the Panel lists it', async t => {
+  const { sim, press, flush, advance } = await loadMacro(t, { config: { Admin: { Enabled: true } } });
+
+  await press('camPresets~PresetList~Admin');
+  sim.emit('Event.UserInterface.Message.TextInput.Response', { FeedbackId: 'camPresets~Admin~Pin', Text: '0000' });
+  await flush();
+  await press('camPresets~Admin~Cameras', 'released', '2');
+  await press('camPresets~Admin~Store');
+  assert.equal(sim.last('TextInput.Display').Params.FeedbackId, 'camPresets~Admin~Store');
+
+  sim.emit('Event.UserInterface.Message.TextInput.Response', { FeedbackId: 'camPresets~Admin~Store', Text: ' Choir ' });
+  await advance(2000);
+  assert.deepEqual(sim.last('Camera.Preset.Store').Params, { CameraId: 2, Name: 'Choir' });
+  assert.match(sim.panel(), /<Key>Type:Preset~CameraId:2~PresetId:4~PresetName:Choir<\/Key>/);
+});
+
+test('Subscribe.AdminWidgetAction moves the default to the selected preset', async t => {
+  const { sim, press, flush } = await loadMacro(t, { config: { Admin: { Enabled: true } } });
+
+  await press('camPresets~PresetList~Admin');
+  sim.emit('Event.UserInterface.Message.TextInput.Response', { FeedbackId: 'camPresets~Admin~Pin', Text: '0000' });
+  await flush();
+  await press('camPresets~Admin~Presets', 'released', '3');
+  await press('camPresets~Admin~Default');
+  await flush();
+  assert.deepEqual(sim.sent('Camera.Preset.Edit').map(command => command.Params), [{ PresetId: 1, DefaultPosition: 'False' }, { PresetId: 3, DefaultPosition: 'True' }]);
+});
+
+test('Subscribe.ManualControlWidgetAction moves the selected camera from the pad', async t => {
+  const { sim, press } = await loadMacro(t, { config: { ManualControl: { Enabled: true } } });
+
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Manual');
+  assert.deepEqual(sim.last('Panel.Open').Params, { PanelId: 'camPresets', PageId: 'camPresets~Manual' });
+
+  await press('camPresets~Manual~Cameras', 'released', '2');
+  assert.deepEqual(sim.last('SetMainVideoSource').Params, { ConnectorId: 2 });
+
+  await press('camPresets~Manual~PanTilt', 'pressed', 'left');
+  assert.deepEqual(sim.last('Camera.Ramp').Params, { CameraId: 2, Pan: 'Left', PanSpeed: 8 });
+
+  await press('camPresets~Manual~PanTilt', 'released', 'left');
+  assert.deepEqual(sim.last('Camera.Ramp').Params, { CameraId: 2, Pan: 'Stop' });
+});
+
+test('Subscribe.ManualControlTextInputResponse saves the position as a Camera Preset', async t => {
+  const { sim, press, flush } = await loadMacro(t, { config: { ManualControl: { Enabled: true, ShowSavePreset: true } } });
+
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Manual');
+  await press('camPresets~Manual~Save');
+  assert.equal(sim.last('TextInput.Display').Params.FeedbackId, 'camPresets~Manual~Save');
+
+  sim.emit('Event.UserInterface.Message.TextInput.Response', { FeedbackId: 'camPresets~Manual~Save', Text: ' Desk ' });
+  await flush();
+  assert.deepEqual(sim.last('Camera.Preset.Store').Params, { CameraId: 1, Name: 'Desk' });
+});
+
+test('Subscribe.FarEndWidgetAction and FarEndCapabilities control the far end camera of a call', async t => {
+  const { sim, press, flush } = await loadMacro(t, {
+    config: { FarEndControl: { Enabled: true } },
+    setup: sim => sim.status['Call'] = [{ id: '5', Status: 'Connected' }]
+  });
+  assert.doesNotMatch(sim.panel(), /camPresets~PresetList~FarEnd~Presets/);
+
+  sim.status['Conference.Call'] = [{ id: '5', Capabilities: { FECC: { Mode: 'On', NumberOfPresets: '4' } } }];
+  sim.emit('Status.Conference.Call', { id: '5', Capabilities: { FECC: { Mode: 'On' } } });
+  await flush();
+  assert.match(sim.panel(), /camPresets~PresetList~FarEnd~Presets/);
+
+  await press('camPresets~PresetList~FarEnd~Presets', 'released', '2');
+  assert.deepEqual(sim.last('FarEndControl.RoomPreset.Activate').Params, { CallId: '5', PresetId: 2 });
+
+  await press('camPresets~PresetList~FarEnd~Pad', 'pressed', 'up');
+  assert.deepEqual(sim.last('FarEndControl.Camera.Move').Params, { CallId: '5', Value: 'Up' });
+  await press('camPresets~PresetList~FarEnd~Pad', 'released', 'up');
+  assert.deepEqual(sim.last('FarEndControl.Camera.Stop').Params, { CallId: '5' });
+});
+
+test('Subscribe.PresetPagingWidgetAction opens the next page of Camera Presets', async t => {
+  const { sim, press } = await loadMacro(t, { config: { PresetLayout: { PageSize: 1 } } });
+  assert.match(sim.panel(), /<PageId>camPresets~Presets3<\/PageId>/);
+
+  await press('camPresets~PresetList~More');
+  assert.deepEqual(sim.last('Panel.Open').Params, { PanelId: 'camPresets', PageId: 'camPresets~Presets2' });
+
+  await press('camPresets~Presets2~More');
+  assert.deepEqual(sim.last('Panel.Open').Params, { PanelId: 'camPresets', PageId: 'camPresets~Presets3' });
+});
+
+test('Subscribe.PeerSyncWidgetAction combines and splits the rooms', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: { PeerSync: { Enabled: true, Group: 'Boardroom' } }, setup: peerSyncSecret });
+  assert.equal(valuesSet(sim, 'camPresets~PresetList~PeerSync').pop(), 'off');
+
+  await press('camPresets~PresetList~PeerSync', 'changed', 'on');
+  assert.equal(valuesSet(sim, 'camPresets~PresetList~PeerSync').pop(), 'on');
+  await advance(2000);
+  assert.match(sim.macros['Camera_Presets_Memory'], /"PeerSyncState": "Combined"/);
+
+  await press('camPresets~PresetList~PeerSync', 'changed', 'off');
+  assert.equal(valuesSet(sim, 'camPresets~PresetList~PeerSync').pop(), 'off');
+});
+
+test('Subscribe.PeerSyncMessage applies a selection from a peer while the rooms are Combined', async t => {
+  const { sim, advance } = await loadMacro(t, { config: { PeerSync: { Enabled: true, Group: 'Boardroom', DefaultState: 'Combined' } }, setup: peerSyncSecret });
+
+  sim.emit('Event.Message.Send', { Text: peerSyncSigned('PeerSync:Boardroom~Origin:FOC0000PEER~Event:Selection~Type:Preset~PresetName:Audience') });
+  await advance(2500);
+  assert.deepEqual(activated(sim), [3]);
+
+  sim.emit('Event.Message.Send', { Text: peerSyncSigned('PeerSync:Lobby~Origin:FOC0000PEER~Event:Selection~Type:Preset~PresetName:Wide') });
+  await advance(2500);
+  assert.deepEqual(activated(sim), [3]);
+});
+
+test('Subscribe.CallConnected activates the Default Camera Preset once per call', async t => {
+  const { sim, advance } = await loadMacro(t);
+
+  sim.emit('Status.Call', { id: '5', Status: 'Connecting' });
+  sim.emit('Status.Call', { id: '5', Status: 'Connected' });
+  await advance(2500);
+  assert.deepEqual(activated(sim), [1]);
+
+  sim.emit('Status.Call', { id: '5', ghost: 'True' });
+  sim.emit('Status.Call', { id: '6', Status: 'Connected' });
+  await advance(2500);
+  assert.deepEqual(activated(sim), [1, 1]);
+});
+
+test('Subscribe.VoiceFollowMicrophone and VoiceFollowEthernet follow the active microphone zone', async t => {
+  const { sim, press, advance } = await loadMacro(t, {
+    config: {
+      VoiceFollow: {
+        Enabled: true,
+        Zones: [
+          { Name: 'Front', ConnectorType: 'Microphone', ConnectorId: 1, Preset: 'Lectern' },
+          { Name: 'Back', ConnectorType: 'Ethernet', ConnectorId: 2, SubId: 3, Preset: 'Audience' }
+        ]
+      }
+    }
+  });
+
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Voice');
+  await advance(2500);
+  assert.deepEqual(activated(sim), [2]);
+  assert.deepEqual(sim.sent('VuMeter.Start').map(command => `${command.Params.ConnectorType} ${command.Params.ConnectorId}`), ['Microphone 1', 'Ethernet 2']);
+
+  for (let step = 0; step < 60; step++) {
+    sim.emit('Event.Audio.Input.Connectors.Microphone', { id: '1', VuMeter: '40' });
+    await advance(100);
+  }
+  assert.deepEqual(activated(sim), [2, 1]);
+
+  for (let step = 0; step < 60; step++) {
+    sim.emit('Event.Audio.Input.Connectors.Microphone', { id: '1', VuMeter: '5' });
+    sim.emit('Event.Audio.Input.Connectors.Ethernet', { id: '2', SubId: [{ id: '3', VuMeter: '40' }] });
+    await advance(100);
+  }
+  assert.deepEqual(activated(sim), [2, 1, 3]);
+});
+
+test('Subscribe.RoomResetStandby resets the camera when the codec enters Standby', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: { RoomReset: { Enabled: true, OnPeopleLeave: false } },
+    setup: sim => sim.presets[0].DefaultPosition = 'False'
+  });
+  sim.presets[1].DefaultPosition = 'True';
+
+  sim.emit('Status.Standby.State', 'Halfwake');
+  await advance(2500);
+  assert.deepEqual(activated(sim), []);
+
+  sim.emit('Status.Standby.State', 'Standby');
+  await advance(2500);
+  assert.deepEqual(activated(sim), [2]);
+});
+
+test('Subscribe.RoomResetPeoplePresence and RoomResetPeopleCount reset the camera once the room empties', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: { RoomReset: { Enabled: true, PeopleLeaveDelay: 60 } },
+    setup: sim => Object.assign(sim.status, { 'RoomAnalytics.PeoplePresence': 'Yes', 'RoomAnalytics.PeopleCount.Current': '2' })
+  });
+
+  sim.emit('Status.RoomAnalytics.PeoplePresence', 'No');
+  await advance(1000);
+  sim.emit('Status.RoomAnalytics.PeopleCount.Current', '0');
+  await advance(58000, 1000);
+  assert.deepEqual(activated(sim), []);
+
+  await advance(4000);
+  assert.deepEqual(activated(sim), [1]);
+});
+
+test('Subscribe.PresentationLocalInstance applies a Presentation Rule while its source is shared', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: { PresentationRules: { Enabled: true, Rules: [{ Name: 'Document Camera', Source: 3, Selection: { Preset: 'Wide' } }] } }
+  });
+
+  sim.emit('Status.Conference.Presentation.LocalInstance', { id: '1', Source: '2' });
+  await advance(2500);
+  assert.deepEqual(activated(sim), []);
+
+  sim.emit('Status.Conference.Presentation.LocalInstance', { id: '2', Source: '3' });
+  await advance(2500);
+  assert.deepEqual(activated(sim), [2]);
+});
+
+test('Subscribe.ReconcileSpeakerTrackStatus corrects the selection to the live tracking feature', async t => {
+  const { sim, advance } = await loadMacro(t);
+
+  sim.status['Cameras.SpeakerTrack.Status'] = 'Active';
+  sim.emit('Status.Cameras.SpeakerTrack.Status', 'Active');
+  await advance(500);
+  assert.deepEqual(valuesSet(sim, 'camPresets~PresetList~Presets'), []);
+
+  await advance(600);
+  assert.deepEqual(valuesSet(sim, 'camPresets~PresetList~Presets'), ['Type:Automatic~Feature:Speaker']);
+});
+
+test('Subscribe.ReconcileMainVideoSource clears a preset that is no longer on the Main Video Source', async t => {
+  const { sim, flush, advance } = await loadMacro(t);
+
+  sim.emit('Event.CameraPresetActivated', { PresetId: 3, CameraId: 2 });
+  sim.status['Video.Input.MainVideoSource'] = '2';
+  await advance(3000);
+  const unset = sim.sent('Widget.UnsetValue').length;
+
+  sim.status['Video.Input.MainVideoSource'] = '1';
+  sim.emit('Status.Video.Input.MainVideoSource', '1');
+  await flush();
+  await advance(1100);
+  assert.ok(sim.sent('Widget.UnsetValue').slice(unset).some(command => command.Params.WidgetId == 'camPresets~PresetList~Camera2'));
+});
+
+test('Subscribe.CamerasSpeakerTrackStatus and CamerasSpeakerTrackFramesStatus show tracking started outside the Panel', async t => {
+  const { sim, flush } = await loadMacro(t, { config: { Features: { ShowTrackingOptions: true, ReconcileSelection: false } } });
+
+  sim.emit('Status.Cameras.SpeakerTrack.Status', 'Active');
+  await flush();
+  sim.emit('Status.Cameras.SpeakerTrack.Frames.Status', 'Active');
+  await flush();
+  assert.deepEqual(valuesSet(sim, 'camPresets~PresetList~Presets'), ['Type:Automatic~Feature:Speaker', 'Type:Automatic~Feature:Frames']);
+});
+
+test('Subscribe.CamerasPresenterTrackStatus shows PresenterTrack started outside the Panel', async t => {
+  const { sim, flush } = await loadMacro(t, {
+    config: { Features: { ShowTrackingOptions: true, ReconcileSelection: false } },
+    setup: sim => sim.status['Cameras.PresenterTrack.Availability'] = 'Available'
+  });
+
+  sim.emit('Status.Cameras.PresenterTrack.Status', 'Follow');
+  await flush();
+  assert.deepEqual(valuesSet(sim, 'camPresets~PresetList~Presets'), ['Type:Automatic~Feature:Presenter']);
+});
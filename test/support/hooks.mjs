@@ -0,0 +1,27 @@
+/**
+ * Module hooks that let the tests import the macro as it is deployed to the codec
+ *
+ * - ```import xapi from 'xapi'``` resolves to the stand-in ./xapi.mjs, carrying the importer's query string so each
+ *   macro instance gets its own stand-in
+ * - The macro's trailing ```init();``` is dropped so tests can configure it first, and its top level declarations are exported
+ */
+const macroFile = 'Camera_Presets_On_Homescreen.js';
+const declaration = /^(?:async\s+)?(?:const|let|var|function\*?|class)\s+([A-Za-z_$][\w$]*)/gm;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier == 'xapi') {
+    const query = new URL(context.parentURL ?? 'file:///').search;
+    return { url: new URL(`./xapi.mjs${query}`, import.meta.url).href, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (!new URL(url).pathname.endsWith(`/${macroFile}`)) {
+    return nextLoad(url, context);
+  }
+  const { source } = await nextLoad(url, { ...context, format: 'module' });
+  const text = `${source}`.replace(/\binit\(\);?\s*$/, '');
+  const names = [...new Set([...text.matchAll(declaration)].map(match => match[1]))];
+  return { format: 'module', source: `${text}\nexport { ${names.join(', ')} };\n`, shortCircuit: true };
+}
@@ -0,0 +1,132 @@
+/**
+ * Loads a fresh instance of the macro against its own stand-in ```xapi```
+ *
+ * ```loadMacro(t, options)``` seeds a codec with 3 Camera Presets on 2 cameras, lays ```options.config``` over the macro's
+ * config, runs ```options.setup(sim)``` and then ```init```. With ```options.timers``` set, time only moves through ```advance```
+ *
+ * Tests that talk to a local stand-in server pass ```timers: ['setInterval']```, so timeouts run in real time while
+ * intervals, which would keep the test process alive, stay mocked
+ */
+import { setImmediate as tick, setTimeout as sleep } from 'node:timers/promises';
+
+let instance = 0;
+
+/** The codec every test starts from */
+function seedCodec(sim) {
+  sim.presets = [
+    { PresetId: 1, CameraId: 1, Name: 'Lectern', DefaultPosition: 'True' },
+    { PresetId: 2, CameraId: 1, Name: 'Wide', DefaultPosition: 'False' },
+    { PresetId: 3, CameraId: 2, Name: 'Audience', DefaultPosition: 'False' }
+  ];
+  Object.assign(sim.status, {
+    'Cameras.Camera': [{ id: '1', Connected: 'True' }, { id: '2', Connected: 'True' }],
+    'Cameras.SpeakerTrack.Availability': 'Available',
+    'Cameras.SpeakerTrack.Status': 'Inactive',
+    'Cameras.SpeakerTrack.Frames.Availability': 'Available',
+    'Cameras.SpeakerTrack.Frames.Status': 'Inactive',
+    'Cameras.PresenterTrack.Availability': 'Unavailable',
+    'Cameras.PresenterTrack.Status': 'Off',
+    'Video.Input.MainVideoSource': '1',
+    'Call': [],
+    'SystemUnit.Hardware.Module.SerialNumber': 'FOC0000TEST',
+    'UserInterface.ContactInfo.Name': 'Test Room'
+  });
+  Object.assign(sim.config, {
+    'UserInterface.Language': 'English'
+  });
+}
+
+/** Lays overrides over an object in place, replacing arrays and values and merging objects */
+function merge(target, overrides) {
+  Object.entries(overrides ?? {}).forEach(([key, value]) => {
+    if (value != null && typeof value == 'object' && !Array.isArray(value) && !(value instanceof RegExp) && typeof target[key] == 'object' && target[key] != null) {
+      merge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+/** Lets pending promise chains settle */
+export async function flush(rounds = 20) {
+  for (let round = 0; round < rounds; round++) {
+    await tick();
+  }
+}
+
+/**
+ * @param {import('node:test').TestContext} t
+ * @param {{ config?: object, setup?: (sim: object) => void | Promise<void>, timers?: boolean | string[], init?: boolean }} [options]
+ */
+export async function loadMacro(t, { config = {}, setup, timers = true, init = true } = {}) {
+  const mockedTimers = timers === true ? ['setTimeout', 'setInterval', 'Date'] : timers || [];
+  const query = `?instance=${++instance}`;
+  const { sim } = await import(`./xapi.mjs${query}`);
+  seedCodec(sim);
+
+  const logs = [];
+  const levels = ['log', 'info', 'debug', 'warn', 'error'];
+  const originals = Object.fromEntries(levels.map(level => [level, console[level]]));
+  if (!process.env.DEBUG_MACRO) {
+    levels.forEach(level => console[level] = (...args) => logs.push({ Level: level, Args: args }));
+  }
+  t.after(() => Object.assign(console, originals));
+
+  if (mockedTimers.length > 0) {
+    t.mock.timers.enable({ apis: mockedTimers, now: new Date('2026-03-02T09:00:00').getTime() });
+  }
+
+  const macro = await import(new URL(`../../Camera_Presets_On_Homescreen.js${query}`, import.meta.url).href);
+  merge(macro.config, config);
+  await setup?.(sim);
+
+  /** Moves fake time forward in small steps, letting promises settle between each */
+  async function advance(ms, step = 100) {
+    for (let elapsed = 0; elapsed < ms; elapsed += step) {
+      t.mock.timers.tick(Math.min(step, ms - elapsed));
+      await flush();
+    }
+  }
+
+  const harness = {
+    macro,
+    sim,
+    logs,
+    flush,
+    advance,
+    /** Presses a Panel widget, ex: ```press('camPresets~PresetList~Presets', 'released', '1')``` */
+    async press(WidgetId, Type = 'clicked', Value = '') {
+      sim.emit('Event.UserInterface.Extensions.Widget.Action', { WidgetId, Type, Value });
+      await flush();
+    },
+    /** Waits in real time until a check passes, for tests that leave timeouts unmocked */
+    async until(check, timeout = 5000) {
+      const start = performance.now();
+      while (!check()) {
+        if (performance.now() - start > timeout) {
+          throw new Error(`Timed out after [${timeout}ms] waiting for ${check}`);
+        }
+        await sleep(5);
+      }
+    },
+    /** Returns the logs written at a level whose first argument contains a key, ex: ```logged('warn', 'Warn')``` */
+    logged(level, text = '') {
+      return logs.filter(log => log.Level == level && JSON.stringify(log.Args).includes(text));
+    }
+  };
+
+  if (init) {
+    const running = macro.init();
+    if (mockedTimers.includes('setTimeout')) {
+      while (!(await Promise.race([running.then(() => true), flush(5).then(() => false)]))) {
+        t.mock.timers.tick(100);
+      }
+    } else {
+      await running;
+    }
+    await flush();
+  }
+
+  return harness;
+}
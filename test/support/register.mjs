@@ -0,0 +1,8 @@
+/**
+ * Preloaded by ```npm test``` to stand in for the codec's macro runtime
+ */
+import { register } from 'node:module';
+
+register('./hooks.mjs', import.meta.url);
+
+globalThis._main_macro_name = () => 'Camera_Presets_On_Homescreen';
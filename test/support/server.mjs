@@ -0,0 +1,29 @@
+/**
+ * A local stand-in for a Webhook receiver or a peer codec's ```/putxml``` endpoint
+ *
+ * ```startServer(t, respond)``` records every request in ```requests``` and answers with the status ```respond(request)```
+ * returns, 200 by default. The server closes when the test ends
+ */
+import http from 'node:http';
+
+export async function startServer(t, respond = () => 200) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => body += chunk);
+    request.on('end', () => {
+      const entry = { Method: request.method, Path: request.url, Headers: request.headers, Body: body };
+      requests.push(entry);
+      response.statusCode = respond(entry, requests.length);
+      response.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+
+  return { requests, url: path => `http://127.0.0.1:${server.address().port}${path}` };
+}
@@ -0,0 +1,237 @@
+/**
+ * Stand-in for the RoomOS ```xapi``` module, used to run the macro off the codec
+ *
+ * Every command is recorded in ```sim.commands``` and answered by a handler in ```sim.handlers```, keyed by its full path,
+ * ex: ```Command.Camera.Preset.List```. Statuses and configurations are read from ```sim.status``` and ```sim.config```,
+ * keyed by their path without the ```Status.``` or ```Config.``` prefix. ```sim.emit``` fires Event, Status and Config feedback
+ *
+ * Each macro instance gets its own copy of this module, see ./hooks.mjs
+ */
+import http from 'node:http';
+import https from 'node:https';
+
+/** Errors thrown by the stand-in mirror the codec, which rejects with a ```message``` and a ```code``` */
+class XapiError extends Error {
+  constructor(message, code = 1) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export const sim = {
+  /** Every command, in the order issued: ```{ Path, Params, Body }```, or ```{ Path, Set }``` for a configuration set */
+  commands: [],
+  handlers: {},
+  status: {},
+  config: {},
+  listeners: {},
+  /** The codec's Camera Presets, used by the default Camera Preset handlers */
+  presets: [],
+  /** Macros stored on the codec, keyed by name */
+  macros: {},
+  /** UserInterface Extension Panels saved on the codec, keyed by PanelId */
+  panels: {},
+
+  /** Fires feedback to every subscriber of a path, ex: ```emit('Event.CameraPresetActivated', { PresetId: 1, CameraId: 1 })``` */
+  emit(path, value) {
+    (this.listeners[path] ?? []).slice().forEach(listener => listener(value));
+  },
+
+  /** Returns the commands issued on a path, or on any path that ends with it */
+  sent(path) {
+    return this.commands.filter(command => command.Path == path || command.Path.endsWith(`.${path}`));
+  },
+
+  /** Returns the last command issued on a path */
+  last(path) {
+    return this.sent(path).slice(-1)[0];
+  },
+
+  /** Returns the XML of the last Panel saved */
+  panel() {
+    return this.last('UserInterface.Extensions.Panel.Save')?.Body ?? '';
+  },
+
+  XapiError
+};
+
+function feedback(path) {
+  return {
+    on: listener => {
+      (sim.listeners[path] ??= []).push(listener);
+      return () => sim.listeners[path] = sim.listeners[path].filter(item => item != listener);
+    },
+    once: listener => {
+      const off = feedback(path).on(value => {
+        off();
+        listener(value);
+      });
+      return off;
+    }
+  };
+}
+
+/** Looks a path up in a store, walking into the nearest stored parent for paths like ```Call.5.Status```, where lists are matched by ```id``` */
+function lookup(store, key) {
+  const parts = key.split('.');
+  for (let index = parts.length; index > 0; index--) {
+    let value = store[parts.slice(0, index).join('.')];
+    if (value === undefined) {
+      continue;
+    }
+    for (const part of parts.slice(index)) {
+      value = Array.isArray(value) ? value.find(item => `${item.id}` == part) : value?.[part];
+    }
+    return value;
+  }
+}
+
+function read(path) {
+  const [root, ...rest] = path.split('.');
+  const value = lookup(root == 'Config' ? sim.config : sim.status, rest.join('.'));
+  if (value instanceof Error) {
+    return Promise.reject(value);
+  }
+  if (value === undefined) {
+    return Promise.reject(new XapiError(`No match on address expression: ${path}`, 3));
+  }
+  return Promise.resolve(value);
+}
+
+function run(path, params, body) {
+  sim.commands.push({ Path: path, Params: params ?? {}, Body: body });
+  const handler = sim.handlers[path];
+  if (handler == undefined) {
+    return Promise.resolve({ status: 'OK' });
+  }
+  try {
+    return Promise.resolve(handler(params ?? {}, body));
+  } catch (e) {
+    return Promise.reject(e);
+  }
+}
+
+function node(path) {
+  return new Proxy(function () { }, {
+    get(target, key) {
+      if (typeof key == 'symbol' || key == 'then') {
+        return undefined;
+      }
+      switch (key) {
+        case 'on': case 'once':
+          return feedback(path)[key];
+        case 'get':
+          return () => read(path);
+        case 'set':
+          return value => {
+            sim.commands.push({ Path: path, Set: value });
+            return Promise.resolve();
+          };
+      }
+      return node(path == '' ? key : `${path}.${key}`);
+    },
+    apply(target, self, [params, body]) {
+      return run(path, params, body);
+    }
+  });
+}
+
+/** Posts to a local stand-in receiver the way ```xCommand HttpClient Post``` does, rejecting on a connection error or a status of 300 or more */
+function httpPost({ Url, Header = [], Timeout = 10, AllowInsecureHTTPS }, body) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(Url);
+    const headers = Object.fromEntries([].concat(Header).map(line => {
+      const index = line.indexOf(':');
+      return [line.slice(0, index).trim(), line.slice(index + 1).trim()];
+    }));
+    const request = (url.protocol == 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body ?? '') },
+      rejectUnauthorized: `${AllowInsecureHTTPS}` != 'True'
+    }, response => {
+      let data = '';
+      response.on('data', chunk => data += chunk);
+      response.on('end', () => {
+        if (response.statusCode >= 300) {
+          reject(Object.assign(new XapiError(`Command returned an error.`), { data: { StatusCode: `${response.statusCode}` } }));
+          return;
+        }
+        resolve({ StatusCode: `${response.statusCode}`, Body: data });
+      });
+    });
+    request.setTimeout(Timeout * 1000, () => request.destroy(new XapiError(`Operation timed out`)));
+    request.on('error', e => reject(new XapiError(e.message)));
+    request.end(body ?? '');
+  });
+}
+
+/** Handlers that behave like a codec with the Camera Presets in ```sim.presets``` */
+Object.assign(sim.handlers, {
+  'Command.Camera.Preset.List': () => ({ Preset: sim.presets.map(preset => ({ ...preset })) }),
+  'Command.Camera.Preset.Show': ({ PresetId }) => {
+    const preset = sim.presets.find(item => item.PresetId == PresetId);
+    if (preset == undefined) {
+      throw new XapiError(`Preset not found`);
+    }
+    return { ...preset };
+  },
+  'Command.Camera.Preset.Activate': ({ PresetId }) => {
+    if (sim.presets.find(item => item.PresetId == PresetId) == undefined) {
+      throw new XapiError(`Preset not found`);
+    }
+    return { status: 'OK' };
+  },
+  'Command.Camera.Preset.Store': ({ CameraId, PresetId, Name, DefaultPosition = 'False' }) => {
+    const id = PresetId ?? Math.max(0, ...sim.presets.map(item => item.PresetId)) + 1;
+    sim.presets = [...sim.presets.filter(item => item.PresetId != id), { PresetId: id, CameraId: Number(CameraId), Name, DefaultPosition }];
+    sim.emit('Event.CameraPresetListUpdated', {});
+    return { PresetId: id };
+  },
+  'Command.Camera.Preset.Edit': ({ PresetId, Name, DefaultPosition }) => {
+    const preset = sim.presets.find(item => item.PresetId == PresetId);
+    if (preset == undefined) {
+      throw new XapiError(`Preset not found`);
+    }
+    Object.assign(preset, Name == undefined ? {} : { Name }, DefaultPosition == undefined ? {} : { DefaultPosition });
+    sim.emit('Event.CameraPresetListUpdated', {});
+    return { status: 'OK' };
+  },
+  'Command.Camera.Preset.Remove': ({ PresetId }) => {
+    sim.presets = sim.presets.filter(item => item.PresetId != PresetId);
+    sim.emit('Event.CameraPresetListUpdated', {});
+    return { status: 'OK' };
+  },
+  'Command.Video.Input.SetMainVideoSource': ({ ConnectorId }) => {
+    sim.status['Video.Input.MainVideoSource'] = `${ConnectorId}`;
+    return { status: 'OK' };
+  },
+  'Command.UserInterface.Extensions.Panel.Save': ({ PanelId }, body) => {
+    sim.panels[PanelId] = body;
+    return { status: 'OK' };
+  },
+  'Command.UserInterface.Extensions.Panel.Remove': ({ PanelId }) => {
+    delete sim.panels[PanelId];
+    return { status: 'OK' };
+  },
+  'Command.UserInterface.Extensions.List': () => {
+    return { Extensions: { Panel: Object.keys(sim.panels).map(PanelId => ({ PanelId })) } };
+  },
+  'Command.Macros.Macro.Get': ({ Name }) => {
+    if (Name == undefined) {
+      return { Macro: Object.keys(sim.macros).map(name => ({ Name: name })) };
+    }
+    if (sim.macros[Name] == undefined) {
+      throw new XapiError(`No such macro`);
+    }
+    return { Macro: [{ Name, Content: sim.macros[Name] }] };
+  },
+  'Command.Macros.Macro.Save': ({ Name }, body) => {
+    sim.macros[Name] = body;
+    return { status: 'OK' };
+  },
+  'Command.HttpClient.Post': httpPost
+});
+
+const xapi = node('');
+
+export default xapi;
@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+/** Lists the Names of the values of a GroupButton */
+const valueNames = (xml, widgetId) => {
+  const start = xml.indexOf(`<WidgetId>${widgetId}</WidgetId>`);
+  const valueSpace = xml.slice(start, xml.indexOf('</ValueSpace>', start));
+  return [...valueSpace.matchAll(/<Value>\s*<Key>[^<]*<\/Key>\s*<Name>([^<]*)<\/Name>/g)].map(match => match[1]);
+};
+
+/** Presets on a single camera named with tags */
+const taggedPresets = [
+  { PresetId: 1, CameraId: 1, Name: '[Stage] Lectern', DefaultPosition: 'False' },
+  { PresetId: 2, CameraId: 1, Name: 'Audience', DefaultPosition: 'False' },
+  { PresetId: 3, CameraId: 1, Name: '#1 Wide', DefaultPosition: 'False' },
+  { PresetId: 4, CameraId: 1, Name: '_Privacy', DefaultPosition: 'False' },
+  { PresetId: 5, CameraId: 1, Name: '#2 [Stage] Piano', DefaultPosition: 'False' }
+];
+
+test('parsePresetNameTags reads the section, order and hidden tags', async t => {
+  const { macro } = await loadMacro(t, { init: false });
+
+  assert.deepEqual(macro.parsePresetNameTags('#3 [Stage] Lectern'), { DisplayName: 'Lectern', Section: 'Stage', Order: 3, Hidden: false });
+  assert.deepEqual(macro.parsePresetNameTags('_[Stage] Piano'), { DisplayName: 'Piano', Section: 'Stage', Order: undefined, Hidden: true });
+  assert.deepEqual(macro.parsePresetNameTags(' Wide [ Room ] #12 '), { DisplayName: 'Wide', Section: 'Room', Order: 12, Hidden: false });
+});
+
+test('parsePresetNameTags leaves text that only looks like a tag in the name', async t => {
+  const { macro } = await loadMacro(t, { init: false });
+
+  assert.equal(macro.parsePresetNameTags('Room #2B').Order, undefined);
+  assert.equal(macro.parsePresetNameTags('Room #2B').DisplayName, 'Room #2B');
+  assert.equal(macro.parsePresetNameTags('Desk_1').Hidden, false);
+  assert.equal(macro.parsePresetNameTags('[] Wide').Section, '');
+});
+
+test('parsePresetNameTags keeps the full name when only tags are left', async t => {
+  const { macro } = await loadMacro(t, { init: false });
+
+  assert.equal(macro.parsePresetNameTags('[Stage]').DisplayName, '[Stage]');
+  assert.equal(macro.parsePresetNameTags('#4').DisplayName, '#4');
+});
+
+test('buildUserInterface hides, orders and sections presets by their name tags', async t => {
+  const { sim } = await loadMacro(t, { setup: sim => sim.presets = taggedPresets });
+  const panel = sim.panel();
+
+  assert.deepEqual(valueNames(panel, 'camPresets~PresetList~Presets'), ['Manual 🔧', 'Wide', 'Audience']);
+  assert.deepEqual(valueNames(panel, 'camPresets~PresetList~Section1'), ['Piano', 'Lectern']);
+  assert.match(panel, /<WidgetId>camPresets~PresetList~Section1~Name<\/WidgetId>\s*<Name>Stage<\/Name>/);
+  assert.match(panel, /<Key>Type:Preset~CameraId:1~PresetId:1~PresetName:Lectern<\/Key>/);
+  assert.doesNotMatch(panel, /Privacy/);
+});
+
+test('buildUserInterface names sections after their camera when presets are grouped by camera', async t => {
+  const { sim } = await loadMacro(t, {
+    setup: sim => sim.presets = [...taggedPresets, { PresetId: 6, CameraId: 2, Name: '[Stage] Choir', DefaultPosition: 'False' }]
+  });
+
+  assert.match(sim.panel(), /<WidgetId>camPresets~PresetList~Camera1~Section1~Name<\/WidgetId>\s*<Name>Camera 1 - Stage<\/Name>/);
+  assert.deepEqual(valueNames(sim.panel(), 'camPresets~PresetList~Camera2~Section1'), ['Choir']);
+});
+
+test('buildUserInterface shows presets as named when PresetNameTags is off', async t => {
+  const { sim } = await loadMacro(t, {
+    config: { Features: { PresetNameTags: false } },
+    setup: sim => sim.presets = taggedPresets
+  });
+
+  assert.deepEqual(valueNames(sim.panel(), 'camPresets~PresetList~Presets'), ['Manual 🔧', '[Stage] Lectern', 'Audience', '#1 Wide', '_Privacy', '#2 [Stage] Piano']);
+});
+
+test('Subscribe.CameraPresetActivated highlights a tagged preset in its section with its display name', async t => {
+  const { sim, flush } = await loadMacro(t, { setup: sim => sim.presets = taggedPresets });
+
+  sim.emit('Event.CameraPresetActivated', { PresetId: 1, CameraId: 1 });
+  await flush();
+  assert.deepEqual(sim.last('Widget.SetValue').Params, { WidgetId: 'camPresets~PresetList~Section1', Value: 'Type:Preset~CameraId:1~PresetId:1~PresetName:Lectern' });
+});
+
+test('Subscribe.WidgetAction activates a tagged preset by its PresetId', async t => {
+  const { sim, press } = await loadMacro(t, { setup: sim => sim.presets = taggedPresets });
+
+  await press('camPresets~PresetList~Section1', 'released', 'Type:Preset~CameraId:1~PresetId:5~PresetName:Piano');
+  assert.deepEqual(sim.last('Camera.Preset.Activate').Params, { PresetId: 5 });
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+const tourConfig = { Tour: { Enabled: true, Stops: [{ Preset: 'Wide', Dwell: 5 }, { Preset: 'Audience', Dwell: 5 }] } };
+
+/** Returns the PresetIds activated, in order */
+const activated = sim => sim.sent('Camera.Preset.Activate').map(command => command.Params.PresetId);
+
+/** Returns the last value set on a widget */
+const lastValue = (sim, widgetId) => sim.sent('Widget.SetValue').filter(command => command.Params.WidgetId == widgetId).pop()?.Params.Value;
+
+test('a Tour visits each Stop in turn and loops', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: tourConfig });
+
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Tour');
+  await advance(2500);
+  assert.deepEqual(activated(sim), [2]);
+
+  await advance(7500);
+  await advance(7500);
+  assert.deepEqual(activated(sim), [2, 3, 2]);
+});
+
+test('a Tour shows the live Stop in the Infobox', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: tourConfig });
+
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Tour');
+  await advance(2500);
+  assert.equal(lastValue(sim, 'camPresets~PresetList~Info'), 'Tour running, now showing Wide');
+  assert.equal(lastValue(sim, 'camPresets~PresetList~Presets'), 'Type:Automatic~Feature:Tour');
+});
+
+test('a Tour stops when the camera is moved by hand', async t => {
+  const { sim, press, advance, logged } = await loadMacro(t, { config: tourConfig });
+
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Tour');
+  await advance(6000);
+  sim.emit('Status.Cameras.Camera.*.Position', { id: '1', Pan: 120 });
+  await advance(10000);
+
+  assert.equal(logged('log', 'Camera Preset Tour Stopped').length, 1);
+  assert.deepEqual(activated(sim), [2]);
+});
+
+test('a Tour stops when another selection is made', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: tourConfig });
+
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Tour');
+  await advance(2500);
+  await press('camPresets~PresetList~Camera1', 'released', 'Type:Preset~CameraId:1~PresetId:1~PresetName:Lectern');
+  await advance(15000);
+
+  assert.deepEqual(activated(sim), [2, 1]);
+  assert.equal(lastValue(sim, 'camPresets~PresetList~Info'), 'Select a Camera Preset from the list below');
+});
+
+test('a Tour that fails is logged and stopped instead of left unhandled', async t => {
+  const { sim, press, advance, logged } = await loadMacro(t, { config: tourConfig });
+  sim.handlers['Command.Video.Input.SetMainVideoSource'] = () => {
+    throw new sim.XapiError(`Connector unavailable`);
+  };
+
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Tour');
+  await advance(20000);
+
+  assert.equal(logged('error', 'Camera Preset Tour failed').length, 1);
+  assert.equal(logged('log', 'Camera Preset Tour Stopped').length, 1);
+  assert.deepEqual(activated(sim), [2]);
+});
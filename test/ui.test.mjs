@@ -0,0 +1,131 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+/** Lists the WidgetIds in a Panel, in order */
+const widgetIds = xml => [...xml.matchAll(/<WidgetId>([^<]+)<\/WidgetId>/g)].map(match => match[1]);
+
+/** Lists the Names of the values of a GroupButton */
+const valueNames = (xml, widgetId) => {
+  const start = xml.indexOf(`<WidgetId>${widgetId}</WidgetId>`);
+  const valueSpace = xml.slice(start, xml.indexOf('</ValueSpace>', start));
+  return [...valueSpace.matchAll(/<Value>\s*<Key>[^<]*<\/Key>\s*<Name>([^<]*)<\/Name>/g)].map(match => match[1]);
+};
+
+test('buildUserInterface groups Camera Presets by camera and marks the default', async t => {
+  const { sim } = await loadMacro(t);
+  const panel = sim.panel();
+
+  assert.equal(sim.last('Panel.Save').Params.PanelId, 'camPresets');
+  assert.deepEqual(widgetIds(panel), ['camPresets~PresetList~Info', 'camPresets~PresetList~Presets', 'camPresets~PresetList~Camera1~Name', 'camPresets~PresetList~Camera1', 'camPresets~PresetList~Camera2~Name', 'camPresets~PresetList~Camera2']);
+  assert.deepEqual(valueNames(panel, 'camPresets~PresetList~Presets'), ['Manual 🔧']);
+  assert.deepEqual(valueNames(panel, 'camPresets~PresetList~Camera1'), ['Lectern ✪', 'Wide']);
+  assert.deepEqual(valueNames(panel, 'camPresets~PresetList~Camera2'), ['Audience']);
+});
+
+test('buildUserInterface labels each camera group with its configured name', async t => {
+  const { sim } = await loadMacro(t, { config: { UserInterface: { Panel: { Text: { Page: { CameraGroups: { Names: { 1: 'Front Camera' } } } } } } } });
+
+  assert.match(sim.panel(), /<WidgetId>camPresets~PresetList~Camera1~Name<\/WidgetId>\s*<Name>Front Camera<\/Name>/);
+  assert.match(sim.panel(), /<WidgetId>camPresets~PresetList~Camera2~Name<\/WidgetId>\s*<Name>Camera 2<\/Name>/);
+});
+
+test('buildUserInterface lists presets from a single camera in the main group', async t => {
+  const { sim } = await loadMacro(t, { setup: sim => sim.presets = sim.presets.filter(preset => preset.CameraId == 1) });
+
+  assert.deepEqual(widgetIds(sim.panel()), ['camPresets~PresetList~Info', 'camPresets~PresetList~Presets']);
+  assert.deepEqual(valueNames(sim.panel(), 'camPresets~PresetList~Presets'), ['Manual 🔧', 'Lectern ✪', 'Wide']);
+});
+
+test('buildUserInterface keeps every camera in the main group when GroupPresetsByCamera is off', async t => {
+  const { sim } = await loadMacro(t, { config: { Features: { GroupPresetsByCamera: false } } });
+
+  assert.deepEqual(widgetIds(sim.panel()), ['camPresets~PresetList~Info', 'camPresets~PresetList~Presets']);
+  assert.deepEqual(valueNames(sim.panel(), 'camPresets~PresetList~Presets'), ['Manual 🔧', 'Lectern ✪', 'Wide', 'Audience']);
+});
+
+test('buildUserInterface shows a notice when there are no Camera Presets', async t => {
+  const { sim } = await loadMacro(t, { setup: sim => sim.presets = [] });
+
+  assert.match(sim.panel(), /<WidgetId>camPresets~PresetList~Presets<\/WidgetId>\s*<Name>No Camera Presets found[^<]*<\/Name>\s*<Type>Text<\/Type>/);
+});
+
+test('buildUserInterface adds the tracking features the codec has when ShowTrackingOptions is on', async t => {
+  const { sim } = await loadMacro(t, { config: { Features: { ShowTrackingOptions: true } } });
+
+  assert.deepEqual(valueNames(sim.panel(), 'camPresets~PresetList~Presets'), ['Manual 🔧', 'Speaker 🔀', 'Frames 🔀']);
+});
+
+test('buildUserInterface applies name tags and escapes preset names', async t => {
+  const { sim } = await loadMacro(t, {
+    setup: sim => sim.presets = [
+      { PresetId: 1, CameraId: 1, Name: 'Wide', DefaultPosition: 'False' },
+      { PresetId: 2, CameraId: 1, Name: '#1 Q&A <Mic>', DefaultPosition: 'False' },
+      { PresetId: 3, CameraId: 1, Name: '_Privacy', DefaultPosition: 'False' }
+    ]
+  });
+
+  assert.deepEqual(valueNames(sim.panel(), 'camPresets~PresetList~Presets'), ['Manual 🔧', 'Q&amp;A &lt;Mic&gt;', 'Wide']);
+  assert.match(sim.panel(), /<Key>Type:Preset~CameraId:1~PresetId:2~PresetName:Q&amp;A &lt;Mic&gt;<\/Key>/);
+});
+
+test('buildUserInterface skips saving a Panel that has not changed', async t => {
+  const { macro, sim } = await loadMacro(t);
+  const saves = sim.sent('Panel.Save').length;
+
+  await macro.buildUserInterface('Test');
+  assert.equal(sim.sent('Panel.Save').length, saves);
+
+  await macro.buildUserInterface('Test', true);
+  assert.equal(sim.sent('Panel.Save').length, saves + 1);
+});
+
+test('buildUserInterface uses the text pack for the UserInterface Language', async t => {
+  const { sim } = await loadMacro(t, {
+    config: { UserInterface: { Panel: { TextPacks: { German: { Name: 'Kamera' } } } } },
+    setup: sim => sim.config['UserInterface.Language'] = 'German'
+  });
+
+  assert.match(sim.panel(), /<Name>Kamera<\/Name>\s*<ActivityType>/);
+});
+
+test('buildUserInterface keeps the default text for elements a text pack leaves out', async t => {
+  const { sim } = await loadMacro(t, { setup: sim => sim.config['UserInterface.Language'] = 'French' });
+
+  assert.deepEqual(valueNames(sim.panel(), 'camPresets~PresetList~Presets'), ['Manuel 🔧']);
+  assert.match(sim.panel(), /<WidgetId>camPresets~PresetList~Camera2~Name<\/WidgetId>\s*<Name>Caméra 2<\/Name>/);
+  assert.match(sim.panel(), /<Name>Lectern ✪<\/Name>/);
+});
+
+test('buildUserInterface uses the base text pack for a regional language', async t => {
+  const { sim } = await loadMacro(t, { setup: sim => sim.config['UserInterface.Language'] = 'SpanishLatin' });
+
+  assert.match(sim.panel(), /<Name>Preajustes de cámara<\/Name>\s*<ActivityType>/);
+});
+
+test('buildUserInterface uses the default text for a language without a text pack', async t => {
+  const { sim } = await loadMacro(t, { setup: sim => sim.config['UserInterface.Language'] = 'Norwegian' });
+
+  assert.match(sim.panel(), /<Name>Camera Presets<\/Name>\s*<ActivityType>/);
+  assert.deepEqual(valueNames(sim.panel(), 'camPresets~PresetList~Presets'), ['Manual 🔧']);
+});
+
+test('configChangePaths lists the dotted path of each setting in a Configuration change', async t => {
+  const { macro } = await loadMacro(t, { init: false });
+
+  assert.deepEqual(macro.configChangePaths({ Cameras: { Camera: [{ id: '1', Name: 'Front' }] }, UserInterface: { Language: 'French' } }), ['Cameras.Camera.Name', 'UserInterface.Language']);
+});
+
+test('scheduleUserInterfaceBuild coalesces a burst of causes into 1 build', async t => {
+  const { macro, sim, advance, logged } = await loadMacro(t);
+  const saves = sim.sent('Panel.Save').length;
+  sim.presets.pop();
+
+  macro.scheduleUserInterfaceBuild('First');
+  await advance(1000);
+  macro.scheduleUserInterfaceBuild('Second');
+  await advance(1600);
+
+  assert.equal(sim.sent('Panel.Save').length, saves + 1);
+  assert.equal(logged('info', 'Building Camera Preset Panel').filter(entry => entry.Args[0].Cause == 'First, Second').length, 1);
+});
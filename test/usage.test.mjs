@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+/** Reads the data saved to the Storage Macro */
+const saved = sim => {
+  const content = sim.macros['Camera_Presets_Memory'] ?? '{}';
+  return JSON.parse(content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1));
+};
+
+/** Activates the Default Camera Preset the way the codec reports it */
+const reportDefaultActivated = sim => sim.emit('Event.CameraPresetActivated', { PresetId: 1, CameraId: 1 });
+
+test('a Camera Preset selected in the Panel is counted with its live time and a manual override', async t => {
+  const { sim, press, advance } = await loadMacro(t);
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(60000, 1000);
+  sim.emit('Status.Cameras.Camera.*.Position', { id: '2', Pan: 120 });
+  await advance(5000);
+
+  assert.deepEqual(saved(sim).Usage.Presets['3'], { Activations: 1, Seconds: 60, Overrides: 1, Sources: { Panel: 1 }, CameraId: 2, Name: 'Audience' });
+  assert.deepEqual(saved(sim).Usage.Tracking['Manual'].Sources, { Manual: 1 });
+});
+
+test('a Camera Preset activated from the native camera menu is counted as NativeMenu', async t => {
+  const { sim, advance } = await loadMacro(t);
+
+  sim.emit('Event.CameraPresetActivated', { PresetId: 2, CameraId: 1 });
+  await advance(5000);
+
+  assert.deepEqual(saved(sim).Usage.Presets['2'].Sources, { NativeMenu: 1 });
+});
+
+test('the Usage page lists usage from the Admin page and exports it as JSON', async t => {
+  const { sim, press, flush, advance, logged } = await loadMacro(t, { config: { Admin: { Enabled: true } } });
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(3000);
+
+  await press('camPresets~PresetList~Admin');
+  sim.emit('Event.UserInterface.Message.TextInput.Response', { FeedbackId: 'camPresets~Admin~Pin', Text: '0000' });
+  await flush();
+  await press('camPresets~Admin~Usage');
+  assert.deepEqual(sim.last('Panel.Open').Params, { PanelId: 'camPresets', PageId: 'camPresets~Usage' });
+  assert.match(sim.panel(), /<WidgetId>camPresets~Usage~Entry0<\/WidgetId>\s*<Name>Audience: 1 /);
+
+  await press('camPresets~Usage~Export');
+  const report = JSON.parse(logged('log', 'Preset Usage Report')[0].Args[0].Report);
+  assert.equal(report.Presets['3'].Activations, 1);
+  assert.ok(!isNaN(Date.parse(report.Exported)));
+});
+
+test('a Default Camera Preset activated on call connect is counted as CallAuto', async t => {
+  const { sim, advance } = await loadMacro(t);
+
+  sim.emit('Status.Call', { id: '5', Status: 'Connected' });
+  await advance(200);
+  assert.deepEqual(sim.last('Widget.SetValue').Params, { WidgetId: 'camPresets~PresetList~Camera1', Value: 'Type:Preset~CameraId:1~PresetId:1~PresetName:Lectern' });
+
+  reportDefaultActivated(sim);
+  await advance(5000);
+  assert.deepEqual(saved(sim).Usage.Presets['1'].Sources, { CallAuto: 1 });
+  assert.equal(saved(sim).Usage.Presets['1'].Activations, 1);
+});
+
+test('a Default Camera Preset activated from the Macro API or a Room Reset is counted under its source', async t => {
+  const { sim, advance } = await loadMacro(t, { config: { RoomReset: { Enabled: true, OnPeopleLeave: false } } });
+
+  sim.emit('Event.Message.Send', { Text: 'Macro:camPresets~Action:ActivateDefaultPreset' });
+  await advance(200);
+  reportDefaultActivated(sim);
+  await advance(3000);
+
+  sim.emit('Event.CameraPresetActivated', { PresetId: 2, CameraId: 1 });
+  await advance(3000);
+
+  sim.emit('Status.Standby.State', 'Standby');
+  await advance(200);
+  reportDefaultActivated(sim);
+  await advance(5000);
+
+  assert.deepEqual(saved(sim).Usage.Presets['1'].Sources, { MacroApi: 1, RoomReset: 1 });
+  assert.deepEqual(saved(sim).Usage.Presets['2'].Sources, { NativeMenu: 1 });
+});
+
+test('the live time of the current selection is saved while it stays live', async t => {
+  const { sim, press, advance } = await loadMacro(t);
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(150000, 1000);
+
+  const seconds = saved(sim).Usage.Presets['3'].Seconds;
+  assert.ok(seconds >= 120 && seconds <= 150, `Saved [${seconds}] seconds`);
+});
+
+test('the live time saved before a restart is kept', async t => {
+  const first = await loadMacro(t);
+  await first.press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await first.advance(90000, 1000);
+  const content = first.sim.macros['Camera_Presets_Memory'];
+  t.mock.timers.reset();
+
+  const second = await loadMacro(t, { setup: sim => sim.macros['Camera_Presets_Memory'] = content });
+  await second.press('camPresets~PresetList~Camera1', 'released', 'Type:Preset~CameraId:1~PresetId:2~PresetName:Wide');
+  await second.advance(5000);
+
+  assert.equal(saved(second.sim).Usage.Presets['3'].Seconds, 60);
+});
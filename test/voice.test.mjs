@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+
+/** A Front zone on an analog microphone and a Back zone on an Ethernet microphone channel */
+const voiceConfig = {
+  VoiceFollow: {
+    Enabled: true,
+    Zones: [
+      { Name: 'Front', ConnectorType: 'Microphone', ConnectorId: 1, Preset: 'Lectern' },
+      { Name: 'Back', ConnectorType: 'Ethernet', ConnectorId: 2, SubId: 3, Preset: 'Audience' }
+    ]
+  }
+};
+
+/** Returns the PresetIds activated, in order */
+const activated = sim => sim.sent('Camera.Preset.Activate').map(command => command.Params.PresetId);
+
+/** Reports the VuMeter level of each zone every 100ms for a while */
+async function speak(sim, advance, { front, back }, ms) {
+  for (let elapsed = 0; elapsed < ms; elapsed += 100) {
+    sim.emit('Event.Audio.Input.Connectors.Microphone', { id: '1', VuMeter: `${front}` });
+    sim.emit('Event.Audio.Input.Connectors.Ethernet', { id: '2', SubId: [{ id: '3', VuMeter: `${back}` }] });
+    await advance(100);
+  }
+}
+
+/** Starts Voice Follow from the Panel and lets it settle on the OverviewSelection */
+async function startVoice(press, advance) {
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Voice');
+  await advance(2500);
+}
+
+/** Lists the connectors a VuMeter command was sent for, in order */
+const meters = (sim, path) => sim.sent(path).map(command => `${command.Params.ConnectorType} ${command.Params.ConnectorId}`);
+
+test('Voice Follow switches to the OverviewSelection while several zones are active', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: voiceConfig });
+  await startVoice(press, advance);
+
+  await speak(sim, advance, { front: 40, back: 5 }, 6000);
+  assert.deepEqual(activated(sim), [2, 1]);
+
+  await speak(sim, advance, { front: 40, back: 40 }, 7000);
+  assert.deepEqual(activated(sim), [2, 1, 2]);
+});
+
+test('Voice Follow switches to the OverviewSelection once the room is silent', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: voiceConfig });
+  await startVoice(press, advance);
+  await speak(sim, advance, { front: 40, back: 5 }, 6000);
+
+  await speak(sim, advance, { front: 5, back: 5 }, 7000);
+  assert.deepEqual(activated(sim), [2, 1]);
+
+  await speak(sim, advance, { front: 5, back: 5 }, 3000);
+  assert.deepEqual(activated(sim), [2, 1, 2]);
+});
+
+test('Voice Follow keeps a zone active while its level stays inside the Hysteresis', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: voiceConfig });
+  await startVoice(press, advance);
+  await speak(sim, advance, { front: 40, back: 5 }, 6000);
+
+  await speak(sim, advance, { front: 27, back: 5 }, 10000);
+  assert.deepEqual(activated(sim), [2, 1]);
+
+  await speak(sim, advance, { front: 20, back: 40 }, 3000);
+  assert.deepEqual(activated(sim), [2, 1, 3]);
+});
+
+test('Voice Follow waits the MinimumSwitchInterval between switches', async t => {
+  const { sim, press, advance } = await loadMacro(t, { config: { VoiceFollow: { ...voiceConfig.VoiceFollow, MinimumSwitchInterval: 10000 } } });
+  await startVoice(press, advance);
+  await speak(sim, advance, { front: 40, back: 5 }, 10000);
+  assert.deepEqual(activated(sim), [2, 1]);
+
+  await speak(sim, advance, { front: 5, back: 40 }, 7000);
+  assert.deepEqual(activated(sim), [2, 1]);
+
+  await speak(sim, advance, { front: 5, back: 40 }, 3000);
+  assert.deepEqual(activated(sim), [2, 1, 3]);
+});
+
+test('stopping Voice Follow stops only the VuMeters it started', async t => {
+  const { sim, press, advance } = await loadMacro(t, {
+    config: {
+      VoiceFollow: {
+        Enabled: true,
+        Zones: [
+          { Name: 'Front', ConnectorType: 'Microphone', ConnectorId: 1, Preset: 'Lectern' },
+          { Name: 'Back', ConnectorType: 'Ethernet', ConnectorId: 2, SubId: 3, Preset: 'Audience' },
+          { Name: 'Side', ConnectorType: 'Microphone', ConnectorId: 4, Preset: 'Audience' }
+        ]
+      }
+    },
+    setup: sim => sim.handlers['Command.Audio.VuMeter.Start'] = ({ ConnectorId }) => {
+      if (ConnectorId == 4) {
+        throw new sim.XapiError(`Connector unavailable`);
+      }
+    }
+  });
+
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Voice');
+  await advance(2500);
+  assert.deepEqual(meters(sim, 'VuMeter.Start'), ['Microphone 1', 'Ethernet 2', 'Microphone 4']);
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(2500);
+
+  assert.deepEqual(meters(sim, 'VuMeter.Stop'), ['Microphone 1', 'Ethernet 2']);
+  assert.equal(sim.sent('VuMeter.StopAll').length, 0);
+
+  await press('camPresets~PresetList~Camera1', 'released', 'Type:Preset~CameraId:1~PresetId:2~PresetName:Wide');
+  await advance(2500);
+  assert.equal(sim.sent('VuMeter.Stop').length, 2);
+});
@@ -0,0 +1,168 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMacro } from './support/macro.mjs';
+import { startServer } from './support/server.mjs';
+
+/** Webhook config pointed at a local stand-in receiver, with short retry delays */
+const webhookConfig = (url, overrides = {}) => ({ Webhook: { Enabled: true, Url: url, RetryDelay: 10, MaxRetryDelay: 40, ...overrides } });
+
+/** Queues a PresetActivated event */
+const notify = (macro, PresetId) => macro.notifyWebhook('PresetActivated', { Preset: { PresetId }, Cause: 'Test' });
+
+/** Rejects the way ```xCommand HttpClient Post``` does for a status code */
+const httpError = (XapiError, StatusCode) => Object.assign(new XapiError(`Command returned an error.`), { data: { StatusCode: `${StatusCode}` } });
+
+test('Webhook events are posted to the receiver as JSON with the configured headers', async t => {
+  const receiver = await startServer(t);
+  const { macro, until } = await loadMacro(t, {
+    timers: ['setInterval'],
+    config: webhookConfig(receiver.url('/hook'), { Headers: ['Authorization: Bearer abc123'] })
+  });
+
+  notify(macro, 2);
+  await until(() => receiver.requests.length == 1);
+
+  const [request] = receiver.requests;
+  assert.equal(request.Method, 'POST');
+  assert.equal(request.Path, '/hook');
+  assert.equal(request.Headers['content-type'], 'application/json');
+  assert.equal(request.Headers['authorization'], 'Bearer abc123');
+  const body = JSON.parse(request.Body);
+  assert.equal(body.Room, 'Test Room');
+  assert.equal(body.Event, 'PresetActivated');
+  assert.deepEqual(body.Preset, { PresetId: 2 });
+  assert.ok(!isNaN(Date.parse(body.Timestamp)));
+});
+
+test('a Camera Preset selected in the Panel posts a PresetActivated event without waiting on the receiver', async t => {
+  const { sim, press, advance } = await loadMacro(t, {
+    config: webhookConfig('http://receiver.invalid/hook'),
+    setup: sim => sim.handlers['Command.HttpClient.Post'] = () => new Promise(() => { })
+  });
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(3000);
+
+  assert.deepEqual(sim.last('SetMainVideoSource').Params, { ConnectorId: 2 });
+  const body = JSON.parse(sim.last('HttpClient.Post').Body);
+  assert.equal(body.Event, 'PresetActivated');
+  assert.deepEqual(body.Preset, { PresetId: 3, Name: 'Audience' });
+  assert.equal(body.CameraId, 2);
+});
+
+test('a camera moved by hand posts a Manual event', async t => {
+  const { sim, advance } = await loadMacro(t, {
+    config: webhookConfig('http://receiver.invalid/hook'),
+    setup: sim => sim.handlers['Command.HttpClient.Post'] = () => { }
+  });
+
+  sim.emit('Status.Cameras.Camera.*.Position', { id: '2', Pan: 120 });
+  await advance(100);
+
+  const body = JSON.parse(sim.last('HttpClient.Post').Body);
+  assert.equal(body.Event, 'Manual');
+  assert.equal(body.CameraId, 2);
+});
+
+test('selecting the same Camera Preset twice posts an event for each selection', async t => {
+  const { sim, press, advance } = await loadMacro(t, {
+    config: webhookConfig('http://receiver.invalid/hook'),
+    setup: sim => sim.handlers['Command.HttpClient.Post'] = () => { }
+  });
+  sim.commands.length = 0;
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(2600);
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(2600);
+
+  assert.deepEqual(sim.sent('HttpClient.Post').map(command => JSON.parse(command.Body).Event), ['PresetActivated', 'PresetActivated']);
+});
+
+test('tracking selected from the Panel posts 1 event when the codec reports it', async t => {
+  const { sim, press, advance } = await loadMacro(t, {
+    config: { ...webhookConfig('http://receiver.invalid/hook'), Features: { ShowTrackingOptions: true } },
+    setup: sim => sim.handlers['Command.HttpClient.Post'] = () => { }
+  });
+  sim.commands.length = 0;
+
+  await press('camPresets~PresetList~Presets', 'released', 'Type:Automatic~Feature:Frames');
+  sim.emit('Status.Cameras.SpeakerTrack.Status', 'Active');
+  sim.emit('Status.Cameras.SpeakerTrack.Frames.Status', 'Active');
+  await advance(1000);
+
+  assert.deepEqual(sim.sent('HttpClient.Post').map(command => JSON.parse(command.Body).Feature), ['Frames']);
+});
+
+test('no Webhook events are posted while the Webhook is disabled', async t => {
+  const { sim, press, advance } = await loadMacro(t);
+
+  await press('camPresets~PresetList~Camera2', 'released', 'Type:Preset~CameraId:2~PresetId:3~PresetName:Audience');
+  await advance(3000);
+
+  assert.equal(sim.sent('HttpClient.Post').length, 0);
+});
+
+test('Webhook events are kept through a receiver outage and delivered in order', async t => {
+  const receiver = await startServer(t, (request, count) => count <= 8 ? 503 : 200);
+  const { macro, until } = await loadMacro(t, { timers: ['setInterval'], config: webhookConfig(receiver.url('/hook')) });
+
+  [1, 2, 3, 4].forEach(PresetId => notify(macro, PresetId));
+  await until(() => receiver.requests.length == 12);
+
+  const delivered = receiver.requests.slice(8).map(request => JSON.parse(request.Body).Preset.PresetId);
+  assert.deepEqual(delivered, [1, 2, 3, 4]);
+  assert.ok(receiver.requests.slice(0, 8).every(request => JSON.parse(request.Body).Preset.PresetId == 1));
+});
+
+test('a Webhook event the receiver rejects with a client error is dropped', async t => {
+  const receiver = await startServer(t, (request, count) => count == 1 ? 400 : 200);
+  const { macro, until, logged } = await loadMacro(t, { timers: ['setInterval'], config: webhookConfig(receiver.url('/hook')) });
+
+  notify(macro, 1);
+  notify(macro, 2);
+  await until(() => receiver.requests.length == 2);
+
+  assert.deepEqual(receiver.requests.map(request => JSON.parse(request.Body).Preset.PresetId), [1, 2]);
+  assert.equal(logged('warn', 'Status Code [400], dropping it').length, 1);
+});
+
+test('Webhook retries back off exponentially up to MaxRetryDelay', async t => {
+  const attempts = [];
+  const { macro, sim, advance } = await loadMacro(t, {
+    config: webhookConfig('http://receiver.invalid/hook', { RetryDelay: 2000, MaxRetryDelay: 30000 }),
+    setup: sim => sim.handlers['Command.HttpClient.Post'] = () => {
+      attempts.push(Date.now());
+      throw httpError(sim.XapiError, 503);
+    }
+  });
+
+  notify(macro, 1);
+  await advance(95000, 1000);
+
+  const gaps = attempts.slice(1).map((time, index) => time - attempts[index]);
+  assert.deepEqual(gaps, [2000, 4000, 8000, 16000, 30000, 30000]);
+  assert.equal(sim.sent('HttpClient.Post').length, 7);
+});
+
+test('a full Webhook queue drops its oldest events first', async t => {
+  const delivered = [];
+  let online = false;
+  const { macro, advance, logged } = await loadMacro(t, {
+    config: webhookConfig('http://receiver.invalid/hook', { RetryDelay: 1000, QueueLength: 3 }),
+    setup: sim => sim.handlers['Command.HttpClient.Post'] = (params, body) => {
+      if (!online) {
+        throw httpError(sim.XapiError, 503);
+      }
+      delivered.push(JSON.parse(body).Preset.PresetId);
+    }
+  });
+
+  [1, 2, 3, 4, 5].forEach(PresetId => notify(macro, PresetId));
+  await advance(3000);
+  online = true;
+  await advance(5000);
+
+  assert.deepEqual(delivered, [3, 4, 5]);
+  assert.equal(logged('warn', 'Webhook Queue full').length, 2);
+});